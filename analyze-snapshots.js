@@ -9,13 +9,45 @@
 
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { Command } from 'commander'
+import { Argument, Command, InvalidArgumentError } from 'commander'
 import OutlookDOMDiff from './analyzers/dom-diff.js'
-import { loadHTMLFile, saveResults, generateHTMLReport } from './utils/file-utils.js'
+import { sanitizeSnapshots } from './utils/snapshot-sanitizer.js'
+import {
+  STDIN_PATH,
+  loadSnapshot,
+  expandSnapshotPaths,
+  loadAnchorConfig,
+  loadSelectorList,
+  describeFile,
+  createResultMeta,
+  getResultSchema,
+  saveResults,
+  saveSnapshot,
+  saveAnchorModule,
+  generateBatchIndexReport,
+  generateVerifyReport,
+  generateLocalesReport,
+  generateJUnitReport,
+  generateSarifReport,
+  findSnapshotSeries,
+  getWatchTarget,
+  watchTargets,
+} from './utils/file-utils.js'
+import { DEFAULT_REPORT_FORMATS, REPORTERS, writeReports } from './utils/reporters.js'
+import { createAnalysisServer } from './utils/analysis-server.js'
 
 // Convert ES module URL to file path
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
+// Exit code when the analysis ran but a --fail-under/--fail-on-removed/--require-anchor gate failed
+const EXIT_GATE_FAILED = 2
+
+// Quiet period after the last snapshot change before a watched analysis runs again
+const WATCH_DEBOUNCE_MS = 300
+
+// View shown by the snapshots of each mode (--inbox/--read/--write, batch file names)
+const MODE_VIEWS = { inbox: 'inbox', read: 'reading', write: 'compose' }
+
 /**
  * Convert absolute path to path relative to project root
  * @param {string} absolutePath - Absolute file path
@@ -25,78 +57,1414 @@ function toProjectPath(absolutePath) {
   return path.relative(__dirname, absolutePath).replace(/\//g, '\\')
 }
 
+/**
+ * Describe a snapshot path for console output
+ * @param {string} snapshotPath - Absolute file path or STDIN_PATH
+ * @returns {string} Display path
+ */
+function toDisplayPath(snapshotPath) {
+  return snapshotPath === STDIN_PATH ? '(stdin)' : toProjectPath(snapshotPath)
+}
+
+/**
+ * Determine which snapshot files to compare
+ * Explicit files (arguments or --before/--after) take precedence; otherwise the
+ * mode flags pick one of the bundled pairs in html/, defaulting to inbox.
+ * @param {Array<string>} files - Positional arguments (paths, globs or '-')
+ * @param {Object} options - Command line options
+ * @returns {Promise<Array<string>>} Absolute before and after paths (or STDIN_PATH)
+ */
+async function resolveSnapshotPaths(files, options) {
+  const usesFlags = options.before !== undefined || options.after !== undefined
+  const usesMode = options.inbox || options.read || options.write
+  let snapshots
+
+  if (files.length > 0 && usesFlags) {
+    throw new Error('Pass snapshots either as arguments or with --before/--after, not both')
+  }
+
+  if (usesFlags) {
+    if (options.before === undefined || options.after === undefined) {
+      throw new Error('--before and --after must be used together')
+    }
+    const before = await expandSnapshotPaths([options.before])
+    const after = await expandSnapshotPaths([options.after])
+    if (before.length !== 1 || after.length !== 1) {
+      throw new Error(
+        `--before and --after must each match exactly one file (matched ${before.length} and ${after.length})`
+      )
+    }
+    snapshots = [before[0], after[0]]
+  } else if (files.length > 0) {
+    snapshots = await expandSnapshotPaths(files)
+    if (snapshots.length !== 2) {
+      throw new Error(
+        `Expected exactly two snapshots (before and after), got ${snapshots.length}: ${snapshots
+          .map(toDisplayPath)
+          .join(', ')}`
+      )
+    }
+  }
+
+  if (snapshots) {
+    if (usesMode) {
+      throw new Error('The --inbox/--read/--write shortcuts cannot be combined with explicit files')
+    }
+    if (snapshots.every(snapshot => snapshot === STDIN_PATH)) {
+      throw new Error('Only one snapshot can be read from standard input')
+    }
+    return snapshots.map(snapshot => (snapshot === STDIN_PATH ? snapshot : path.resolve(snapshot)))
+  }
+
+  // Default to inbox if no specific mode is selected
+  const mode = options.read ? 'read' : options.write ? 'write' : 'inbox'
+  return [
+    path.resolve(__dirname, `html/${mode}-A.html`),
+    path.resolve(__dirname, `html/${mode}-B.html`),
+  ]
+}
+
+/**
+ * Determine the view the bundled snapshots of the selected mode should show
+ * @param {Array<string>} files - Positional arguments
+ * @param {Object} options - Command line options
+ * @returns {string|null} Expected view, or null for explicit files
+ */
+function getExpectedView(files, options) {
+  if (files.length > 0 || options.before !== undefined || options.after !== undefined) {
+    return null
+  }
+  return MODE_VIEWS[options.read ? 'read' : options.write ? 'write' : 'inbox']
+}
+
+/**
+ * Log the view detected in each snapshot and warn when they disagree
+ * @param {Object} views - detectView() result per snapshot
+ * @param {string|null} expectedView - View implied by the mode
+ */
+function reportViews(views, expectedView) {
+  console.log('  - Detected views:')
+  Object.entries(views).forEach(([label, detection]) =>
+    console.log(`    - ${label}: ${detection.view} (confidence ${detection.confidence})`)
+  )
+  OutlookDOMDiff.checkViews(views, { expectedView }).forEach(warning =>
+    console.warn(`Warning: ${warning}`)
+  )
+}
+
+/**
+ * Log the recommended anchors that compare localized text
+ * @param {Object} recommendedAnchors - Anchors per feature
+ */
+function reportLocalizedAnchors(recommendedAnchors) {
+  const localized = Object.entries(recommendedAnchors).filter(([, anchor]) => anchor.localized)
+  if (localized.length > 0) {
+    console.log('  - Anchors relying on localized text (use the locales command to compare):')
+    localized.forEach(([feature, anchor]) =>
+      console.log(`    - ${feature}: ${anchor.primarySelector}`)
+    )
+  }
+}
+
+/**
+ * Determine which snapshots make up a timeline
+ * Explicit files are used in the order given (globs expand in natural sort order);
+ * otherwise every html/<mode>-*.html snapshot of the selected mode is used.
+ * @param {Array<string>} files - Positional arguments (paths, globs or '-')
+ * @param {Object} options - Command line options
+ * @returns {Promise<Array<string>>} Absolute snapshot paths (or STDIN_PATH), oldest first
+ */
+async function resolveTimelinePaths(files, options) {
+  if (options.before !== undefined || options.after !== undefined) {
+    throw new Error('--before/--after cannot be used with --timeline; list the snapshots in order')
+  }
+
+  let snapshots
+  if (files.length > 0) {
+    if (options.inbox || options.read || options.write) {
+      throw new Error('The --inbox/--read/--write shortcuts cannot be combined with explicit files')
+    }
+    snapshots = await expandSnapshotPaths(files)
+  } else {
+    const mode = options.read ? 'read' : options.write ? 'write' : 'inbox'
+    snapshots = await expandSnapshotPaths([path.resolve(__dirname, `html/${mode}-*.html`)])
+  }
+
+  if (snapshots.length < 2) {
+    throw new Error(`A timeline needs at least two snapshots, got ${snapshots.length}`)
+  }
+  if (snapshots.filter(snapshot => snapshot === STDIN_PATH).length > 1) {
+    throw new Error('Only one snapshot can be read from standard input')
+  }
+  return snapshots.map(snapshot => (snapshot === STDIN_PATH ? snapshot : path.resolve(snapshot)))
+}
+
+/**
+ * Load the anchor watchlist, falling back to the built-in one
+ * @param {Object} options - Command line options
+ * @returns {Promise<Object>} Normalized anchor config
+ */
+async function loadConfig(options) {
+  if (!options.config) {
+    return OutlookDOMDiff.getDefaultConfig()
+  }
+
+  const configPath = path.resolve(options.config)
+  console.log(`Loading anchor config: ${toProjectPath(configPath)}`)
+  const config = OutlookDOMDiff.normalizeConfig(await loadAnchorConfig(configPath))
+  console.log(`  - ${config.features.length} features loaded`)
+  return config
+}
+
+/**
+ * Decide whether and how to normalize the snapshots of a run
+ * Normalization runs when --normalize or --write-normalized is given, or when the
+ * anchor config has a "normalization" section; --no-normalize turns it off.
+ * @param {Object} config - Anchor config
+ * @param {Object} options - Command line options
+ * @returns {Object|null} Normalization settings, or null to analyze the raw snapshots
+ */
+function resolveNormalization(config, options) {
+  const requested = options.normalize !== undefined || options.writeNormalized
+  if (options.normalize === false || (!requested && !config.normalization)) {
+    return null
+  }
+
+  const settings = { ...config.normalization }
+  if (Array.isArray(options.normalize)) {
+    settings.steps = options.normalize
+  }
+  return OutlookDOMDiff.resolveNormalization(settings)
+}
+
+/**
+ * Normalize loaded snapshots and, with --write-normalized, save them for inspection
+ * @param {Array<Object>} snapshots - Loaded snapshots (from loadSnapshot)
+ * @param {Object|null} normalization - Settings from resolveNormalization
+ * @param {Object} options - Command line options
+ * @returns {Promise<Array<Object>>} Snapshots with their HTML normalized (sources unchanged)
+ */
+async function normalizeSnapshots(snapshots, normalization, options) {
+  if (!normalization) {
+    return snapshots
+  }
+
+  console.log(`Normalizing snapshots (${normalization.steps.join(', ') || 'no steps'})...`)
+  const names = new Set()
+  const normalized = []
+  for (const snapshot of snapshots) {
+    const { html, stats } = OutlookDOMDiff.normalizeSnapshot(snapshot.html, normalization)
+    const name =
+      snapshot.source.path === '(stdin)' ? 'stdin.html' : path.basename(snapshot.source.path)
+    console.log(
+      `  - ${name}: ${snapshot.html.length} -> ${html.length} characters (${
+        stats.droppedElements
+      } elements, ${stats.droppedComments} comments and ${
+        stats.strippedSvgNodes
+      } SVG nodes removed, ${stats.maskedDataUris + stats.maskedValues} values masked)`
+    )
+
+    if (options.writeNormalized) {
+      if (names.has(name)) {
+        throw new Error(`Two snapshots are named ${name}; write them to separate directories`)
+      }
+      names.add(name)
+      const outputPath = path.resolve(options.writeNormalized, name)
+      await saveSnapshot(html, outputPath, 'Normalized snapshot')
+    }
+    normalized.push({ ...snapshot, html })
+  }
+  return normalized
+}
+
+/**
+ * Parse a comma-separated list of normalization steps
+ * @param {string} value - Option value
+ * @returns {Array<string>} Step names
+ * @throws {InvalidArgumentError} If a step is unknown
+ */
+function parseNormalizationSteps(value) {
+  const steps = value
+    .split(',')
+    .map(step => step.trim())
+    .filter(step => step)
+  const known = OutlookDOMDiff.getDefaultNormalization().steps
+  const unknown = steps.find(step => !known.includes(step))
+  if (unknown) {
+    throw new InvalidArgumentError(`Unknown step "${unknown}" (expected ${known.join(', ')}).`)
+  }
+  return steps
+}
+
+/**
+ * Parse a comma-separated list of report formats
+ * @param {string} value - Option value
+ * @returns {Array<string>} Format names, without duplicates
+ * @throws {InvalidArgumentError} If a format is unknown or the list is empty
+ */
+function parseFormats(value) {
+  const formats = [
+    ...new Set(
+      value
+        .split(',')
+        .map(format => format.trim())
+        .filter(format => format)
+    ),
+  ]
+  const known = Object.keys(REPORTERS)
+  const unknown = formats.find(format => !known.includes(format))
+  if (unknown || formats.length === 0) {
+    throw new InvalidArgumentError(
+      `${unknown ? `Unknown format "${unknown}"` : 'No format given'} (expected ${known.join(
+        ', '
+      )}).`
+    )
+  }
+  return formats
+}
+
+/**
+ * Resolve the output paths of the reports
+ * @param {Object} options - Command line options
+ * @param {string} [prefix] - File name prefix of the default outputs in output/
+ * @returns {{outputJsonPath: string, outputHtmlPath: string, outputMarkdownPath: string,
+ *   outputCsvDir: string}}
+ */
+function resolveOutputPaths(options, prefix = 'analysis') {
+  // Use custom output paths if specified
+  const outputJsonPath = options.outputJson
+    ? path.resolve(options.outputJson)
+    : path.resolve(__dirname, `output/${prefix}-results.json`)
+
+  const outputHtmlPath = options.outputHtml
+    ? path.resolve(options.outputHtml)
+    : path.resolve(__dirname, `output/${prefix}-report.html`)
+
+  const outputMarkdownPath = options.outputMd
+    ? path.resolve(options.outputMd)
+    : path.resolve(__dirname, `output/${prefix}-report.md`)
+
+  const outputCsvDir = options.outputCsv
+    ? path.resolve(options.outputCsv)
+    : path.resolve(__dirname, `output/${prefix}-csv`)
+
+  return { outputJsonPath, outputHtmlPath, outputMarkdownPath, outputCsvDir }
+}
+
+/**
+ * Print where the reports of a pair or timeline analysis were saved
+ * @param {Object} outputPaths - Output paths from resolveOutputPaths
+ * @param {Object} options - Command line options (--format selects the reports)
+ */
+function printReportPaths(outputPaths, options) {
+  for (const format of options.format || DEFAULT_REPORT_FORMATS) {
+    const { label, output } = REPORTERS[format]
+    console.log(`  - ${label} saved to: ${toProjectPath(outputPaths[output])}`)
+  }
+}
+
+/**
+ * Make sure every --require-anchor names a watched feature, before the
+ * (slow) analysis runs
+ * @param {Object} config - Anchor config
+ * @param {Object} options - Command line options
+ */
+function checkRequiredAnchors(config, options) {
+  const featureNames = config.features.map(feature => feature.name)
+  const unknown = (options.requireAnchor || []).filter(name => !featureNames.includes(name))
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown anchor feature(s) for --require-anchor: ${unknown.join(
+        ', '
+      )} (known: ${featureNames.join(', ')})`
+    )
+  }
+}
+
+/**
+ * Check analysis results against the CI gates given on the command line
+ * Every feature watched in the view of the snapshots becomes an anchor check and
+ * every such feature with declared selectors a selector check. Problems that violate
+ * a gate are errors; other regressions (no anchor found, unreliable anchor, changed
+ * selector) are warnings.
+ * @param {Object} results - Pair or timeline analysis results
+ * @param {Object} config - Anchor config
+ * @param {Object} options - Command line options
+ * @returns {{passed: boolean, checks: Array<Object>}} Gate outcome and all checks
+ */
+function evaluateGates(results, config, options) {
+  const requiredAnchors = options.requireAnchor || []
+  const features = OutlookDOMDiff.selectViewFeatures(config.features, results.view)
+  const unwatched = requiredAnchors
+    .filter(name => !features.some(feature => feature.name === name))
+    .map(name => ({
+      suite: 'anchors',
+      name,
+      selector: null,
+      problems: [
+        {
+          ruleId: 'anchor-not-in-view',
+          level: 'error',
+          message: `${name} is not watched in the ${results.view} view`,
+        },
+      ],
+    }))
+  const anchorChecks = features.map(feature => {
+    const anchor = results.recommendedAnchors[feature.name]
+    const required = requiredAnchors.includes(feature.name)
+    const gated = required || options.failUnder !== undefined
+    const problems = []
+
+    if (!anchor.primarySelector) {
+      problems.push({
+        ruleId: 'anchor-missing',
+        level: gated ? 'error' : 'warning',
+        message: `No anchor found for ${feature.name}`,
+      })
+    } else {
+      if (options.failUnder !== undefined && anchor.stabilityScore < options.failUnder) {
+        problems.push({
+          ruleId: 'anchor-below-threshold',
+          level: 'error',
+          message: `Anchor ${anchor.primarySelector} for ${feature.name} scores ${anchor.stabilityScore}, below ${options.failUnder}`,
+        })
+      }
+      if (!anchor.isReliable) {
+        problems.push({
+          ruleId: 'anchor-unreliable',
+          level: required ? 'error' : 'warning',
+          message: `Anchor ${anchor.primarySelector} for ${feature.name} is not reliable (score ${anchor.stabilityScore})`,
+        })
+      }
+    }
+
+    return { suite: 'anchors', name: feature.name, selector: anchor.primarySelector, problems }
+  })
+
+  // Timeline results have no changed selectors
+  const selectorChecks = results.changedSelectors
+    ? features
+        .filter(feature => feature.selectors.length > 0)
+        .map(feature => {
+          const change = results.changedSelectors.find(entry => entry.elementName === feature.name)
+          const problems = []
+
+          if (change && change.status === 'removed') {
+            problems.push({
+              ruleId: 'selector-removed',
+              level: options.failOnRemoved ? 'error' : 'warning',
+              message: `None of the selectors for ${feature.name} match anymore (was ${change.before.selector})`,
+            })
+          } else if (change && change.status === 'changed') {
+            problems.push({
+              ruleId: 'selector-changed',
+              level: 'warning',
+              message: `${feature.name} is now matched by ${change.after.selector} instead of ${change.before.selector}`,
+            })
+          } else if (change) {
+            problems.push({
+              ruleId: 'selector-added',
+              level: 'note',
+              message: `${feature.name} is now matched by ${change.after.selector}`,
+            })
+          }
+
+          return { suite: 'selectors', name: feature.name, selector: null, problems }
+        })
+    : []
+
+  const checks = [...unwatched, ...anchorChecks, ...selectorChecks]
+  return {
+    passed: checks.every(check => check.problems.every(problem => problem.level !== 'error')),
+    checks,
+  }
+}
+
+/**
+ * Evaluate the CI gates, write the JUnit/SARIF outputs and report failed gates
+ * @param {Object} results - Pair or timeline analysis results
+ * @param {Object} config - Anchor config
+ * @param {Object} afterSource - Provenance of the last snapshot (from loadSnapshot)
+ * @param {Object} options - Command line options
+ * @returns {Promise<boolean>} Whether every gate passed
+ */
+async function applyGates(results, config, afterSource, options) {
+  const { passed, checks } = evaluateGates(results, config, options)
+
+  if (options.junit) {
+    console.log('Generating JUnit report...')
+    await generateJUnitReport(checks, path.resolve(options.junit))
+  }
+  if (options.sarif) {
+    console.log('Generating SARIF log...')
+    await generateSarifReport(checks, afterSource, path.resolve(options.sarif))
+  }
+
+  checks.forEach(check =>
+    check.problems
+      .filter(problem => problem.level === 'error')
+      .forEach(problem => console.error(`  - Gate failed: ${problem.message}`))
+  )
+  return passed
+}
+
+/**
+ * Parse the --fail-under threshold
+ * @param {string} value - Option value
+ * @returns {number} Non-negative stability score
+ */
+function parseScore(value) {
+  const score = Number(value)
+  if (value.trim() === '' || Number.isNaN(score) || score < 0) {
+    throw new InvalidArgumentError('Expected a non-negative stability score.')
+  }
+  return score
+}
+
+/**
+ * Collect a repeatable option into an array
+ * @param {string} value - Option value
+ * @param {Array<string>} previous - Values collected so far
+ * @returns {Array<string>}
+ */
+function collect(value, previous) {
+  return [...previous, value]
+}
+
 /**
  * Main function to run the analysis
+ * @param {Array<string>} files - Snapshot files given as arguments
  * @param {Object} options - Command line options
  */
-async function runAnalysis(options) {
+async function runAnalysis(files, options) {
   try {
-    // Determine which files to analyze based on the mode
-    let beforePath, afterPath
-
-    if (options.inbox) {
-      beforePath = path.resolve(__dirname, 'html/inbox-A.html')
-      afterPath = path.resolve(__dirname, 'html/inbox-B.html')
-    } else if (options.read) {
-      beforePath = path.resolve(__dirname, 'html/read-A.html')
-      afterPath = path.resolve(__dirname, 'html/read-B.html')
-    } else if (options.write) {
-      beforePath = path.resolve(__dirname, 'html/write-A.html')
-      afterPath = path.resolve(__dirname, 'html/write-B.html')
-    } else {
-      // Default to inbox if no specific mode is selected
-      beforePath = path.resolve(__dirname, 'html/inbox-A.html')
-      afterPath = path.resolve(__dirname, 'html/inbox-B.html')
+    const { passed } = await analyzeFiles(files, options)
+
+    if (!passed) {
+      console.error('One or more CI gates failed')
+      process.exit(EXIT_GATE_FAILED)
     }
+  } catch (error) {
+    console.error('Error during snapshot analysis:', error)
+    process.exit(1)
+  }
+}
 
-    // Use custom output paths if specified
-    const outputJsonPath = options.outputJson
-      ? path.resolve(options.outputJson)
-      : path.resolve(__dirname, 'output/analysis-results.json')
+/**
+ * Analyze the pair of snapshots selected on the command line and write its reports
+ * @param {Array<string>} files - Snapshot files given as arguments
+ * @param {Object} options - Command line options
+ * @returns {Promise<{results: Object, passed: boolean}>} Analysis results, and whether
+ *   the CI gates passed
+ */
+async function analyzeFiles(files, options) {
+  // Determine which files to analyze
+  const [beforePath, afterPath] = await resolveSnapshotPaths(files, options)
+  const outputPaths = resolveOutputPaths(options)
+
+  console.log('Starting Outlook HTML snapshot differential analysis of:')
+  console.log(`  - before-update file: ${toDisplayPath(beforePath)}`)
+  console.log(`  - after-update file: ${toDisplayPath(afterPath)}`)
+
+  const config = await loadConfig(options)
+  checkRequiredAnchors(config, options)
+  const { results, after } = await analyzePair(
+    beforePath,
+    afterPath,
+    config,
+    {
+      normalization: resolveNormalization(config, options),
+      expectedView: getExpectedView(files, options),
+    },
+    outputPaths,
+    options
+  )
+  const passed = await applyGates(results, config, after.source, options)
+
+  console.log('Analysis completed successfully!')
+  printReportPaths(outputPaths, options)
+
+  return { results, passed }
+}
+
+/**
+ * Run a pair or timeline analysis, then again whenever its snapshots change
+ * Changes are debounced, so saving a page (or several) triggers one run. After each
+ * run, the anchors that became reliable or unreliable and the new changed selectors
+ * since the last successful run are printed. Errors are logged without stopping the
+ * watch; press Ctrl+C to stop it.
+ * @param {Array<string>} files - Snapshot files given as arguments
+ * @param {Object} options - Command line options
+ */
+async function runWatch(files, options) {
+  try {
+    const analyze = options.timeline ? analyzeTimelineFiles : analyzeFiles
+    const targets = getWatchTargets(files, options)
+    const isOutput = getOutputMatcher(options)
+    let previous = null
+    let running = false
+    let pending = false
+    let timer = null
+
+    const run = async () => {
+      running = true
+      try {
+        const { results, passed } = await analyze(files, options)
+        if (!passed) {
+          console.error('One or more CI gates failed')
+        }
+        if (previous) {
+          reportRunDelta(previous, results)
+        }
+        previous = results
+      } catch (error) {
+        console.error(`Error during ${options.timeline ? 'timeline' : 'snapshot'} analysis:`, error)
+      }
+      running = false
+
+      if (pending) {
+        pending = false
+        schedule()
+      } else {
+        console.log('Watching for snapshot changes (press Ctrl+C to stop)...')
+      }
+    }
+    const schedule = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        if (running) {
+          pending = true
+        } else {
+          run()
+        }
+      }, WATCH_DEBOUNCE_MS)
+    }
+
+    watchTargets(targets, changedPath => {
+      if (!isOutput(changedPath) && isWatchedChange(targets, changedPath)) {
+        schedule()
+      }
+    })
+    console.log('Watching:')
+    targets.forEach(target =>
+      console.log(
+        `  - ${toProjectPath(target.file || target.directory)}${
+          target.file ? '' : ` (*.html${target.recursive ? ', recursively' : ''})`
+        }`
+      )
+    )
+    await run()
+  } catch (error) {
+    console.error('Error during watch:', error)
+    process.exit(1)
+  }
+}
+
+/**
+ * Determine what --watch watches: the snapshots given as paths, the directory of each
+ * glob pattern (the bundled html/ snapshots in timeline mode) and the anchor config
+ * @param {Array<string>} files - Snapshot files given as arguments
+ * @param {Object} options - Command line options
+ * @returns {Array<Object>} Watch targets from getWatchTarget
+ * @throws {Error} If a snapshot is read from standard input
+ */
+function getWatchTargets(files, options) {
+  const mode = options.read ? 'read' : options.write ? 'write' : 'inbox'
+  let patterns = files
+  if (options.before !== undefined || options.after !== undefined) {
+    patterns = [options.before, options.after].filter(pattern => pattern !== undefined)
+  } else if (files.length === 0) {
+    patterns = options.timeline
+      ? [path.resolve(__dirname, `html/${mode}-*.html`)]
+      : [
+          path.resolve(__dirname, `html/${mode}-A.html`),
+          path.resolve(__dirname, `html/${mode}-B.html`),
+        ]
+  }
+
+  if (patterns.includes(STDIN_PATH)) {
+    throw new Error('--watch cannot watch a snapshot read from standard input')
+  }
+  return [...patterns, ...(options.config ? [options.config] : [])].map(getWatchTarget)
+}
+
+/**
+ * Check whether a changed file is one of the watched files, or an HTML file in a
+ * watched directory
+ * @param {Array<Object>} targets - Watch targets from getWatchTargets
+ * @param {string} changedPath - Absolute path of the changed file
+ * @returns {boolean}
+ */
+function isWatchedChange(targets, changedPath) {
+  return targets.some(({ directory, file, recursive }) => {
+    // The directory itself is reported on platforms without file names
+    if (changedPath === directory) {
+      return true
+    }
+    if (file) {
+      return changedPath === file
+    }
+    const relative = path.relative(directory, changedPath)
+    return (
+      /\.html?$/i.test(changedPath) &&
+      !relative.startsWith('..') &&
+      (recursive || !relative.includes(path.sep))
+    )
+  })
+}
+
+/**
+ * Build a check for the files a run writes, so that they don't trigger another run
+ * @param {Object} options - Command line options
+ * @returns {Function} Tells whether an absolute path is a report or a normalized snapshot
+ */
+function getOutputMatcher(options) {
+  const outputs = [
+    ...Object.values(resolveOutputPaths(options)),
+    ...(options.writeNormalized ? [path.resolve(options.writeNormalized)] : []),
+  ]
+  return changedPath =>
+    outputs.some(output => changedPath === output || changedPath.startsWith(output + path.sep))
+}
+
+/**
+ * Print what changed since the last run of a watched analysis: the anchors that became
+ * reliable or unreliable, and the changed selectors that weren't reported before
+ * @param {Object} previous - Results of the last successful run
+ * @param {Object} results - Results of this run
+ */
+function reportRunDelta(previous, results) {
+  const lines = []
+
+  const features = new Set([
+    ...Object.keys(previous.recommendedAnchors),
+    ...Object.keys(results.recommendedAnchors),
+  ])
+  features.forEach(feature => {
+    const before = previous.recommendedAnchors[feature]
+    const after = results.recommendedAnchors[feature]
+    const wasReliable = Boolean(before && before.isReliable)
+    const isReliable = Boolean(after && after.isReliable)
+    if (isReliable && !wasReliable) {
+      lines.push(
+        `  - ${feature} became reliable: ${after.primarySelector} (score ${after.stabilityScore})`
+      )
+    } else if (wasReliable && !isReliable) {
+      lines.push(
+        after
+          ? `  - ${feature} became unreliable: ${
+              after.primarySelector || 'no anchor found'
+            } (score ${after.stabilityScore})`
+          : `  - ${feature} became unreliable: no longer watched in this view`
+      )
+    }
+  })
 
-    const outputHtmlPath = options.outputHtml
-      ? path.resolve(options.outputHtml)
-      : path.resolve(__dirname, 'output/analysis-report.html')
+  // Timeline results have no changed selectors
+  const describeChange = change =>
+    `${change.elementName} ${change.status}: ${change.before.selector || 'none'} -> ${
+      change.after.selector || 'none'
+    }`
+  const reported = new Set((previous.changedSelectors || []).map(describeChange))
+  ;(results.changedSelectors || [])
+    .map(describeChange)
+    .filter(change => !reported.has(change))
+    .forEach(change => lines.push(`  - New changed selector: ${change}`))
 
-    console.log('Starting Outlook HTML snapshot differential analysis of:')
-    console.log(`  - before-update file: ${toProjectPath(beforePath)}`)
-    console.log(`  - after-update file: ${toProjectPath(afterPath)}`)
+  if (lines.length === 0) {
+    console.log('No anchor or selector changes since the last run')
+    return
+  }
+  console.log('Changes since the last run:')
+  lines.forEach(line => console.log(line))
+}
+
+/**
+ * Fingerprint the files a run reads, for the meta block of its results
+ * @param {Array<Object>} snapshots - Loaded snapshots, each with its role (and timeline label)
+ * @param {Object} options - Command line options (--config and --selectors are fingerprinted too)
+ * @returns {Promise<Array<Object>>} Input fingerprints
+ */
+async function describeInputs(snapshots, options) {
+  const inputs = snapshots.map(({ role, label, source }) => ({
+    role,
+    ...(label === undefined ? {} : { label }),
+    ...source,
+  }))
+  if (options.config) {
+    inputs.push({ role: 'config', ...(await describeFile(options.config)) })
+  }
+  if (options.selectors) {
+    inputs.push({ role: 'selectors', ...(await describeFile(options.selectors)) })
+  }
+  return inputs
+}
+
+/**
+ * Load, analyze and report on one pair of snapshots
+ * @param {string} beforePath - Before snapshot path (or STDIN_PATH)
+ * @param {string} afterPath - After snapshot path (or STDIN_PATH)
+ * @param {Object} config - Anchor config
+ * @param {Object} preparation - Normalization settings (from resolveNormalization, or null)
+ *   and the view both snapshots should show (or null)
+ * @param {Object} outputPaths - Output paths from resolveOutputPaths
+ * @param {Object} options - Command line options, recorded in the results (--format selects
+ *   the reports, JSON and HTML by default)
+ * @returns {Promise<Object>} Analysis results and the loaded before and after snapshots
+ */
+async function analyzePair(
+  beforePath,
+  afterPath,
+  config,
+  { normalization, expectedView },
+  outputPaths,
+  options
+) {
+  // Load HTML files
+  console.log('Loading HTML Snapshots...')
+  const [before, after] = await normalizeSnapshots(
+    [await loadSnapshot(beforePath), await loadSnapshot(afterPath)],
+    normalization,
+    options
+  )
+
+  // Analyze differences
+  console.log('Analyzing structural differences...')
+  const results = analyzeSnapshots(before.html, after.html, config, {
+    expectedView,
+    strictView: options.strictView,
+  })
+  reportViews(results.views, expectedView)
+  reportLocalizedAnchors(results.recommendedAnchors)
+
+  // Save results
+  console.log('  - Analysis complete. Saving results...')
+  const inputs = await describeInputs(
+    [
+      { role: 'before', source: before.source },
+      { role: 'after', source: after.source },
+    ],
+    options
+  )
+  const saved = { meta: createResultMeta('analysis', inputs, options), ...results }
+  await writeReports(saved, options.format || DEFAULT_REPORT_FORMATS, outputPaths)
+  if (options.emitModule) {
+    await saveAnchorModule(saved, path.resolve(options.emitModule))
+  }
+
+  return { results, before, after }
+}
+
+/**
+ * Analyze every consecutive snapshot pair per mode in a directory
+ * Snapshots are discovered by their <mode>-<version>.html file names. Each pair
+ * gets its own results and report under <output-dir>/<mode>/<before>-to-<after>/,
+ * and index.json/index.html summarize all pairs.
+ * @param {string} [directory] - Directory containing the snapshots (defaults to html/)
+ * @param {Object} options - Command line options
+ */
+async function runBatch(directory, options) {
+  try {
+    const snapshotDir = directory ? path.resolve(directory) : path.resolve(__dirname, 'html')
+    const outputDir = options.outputDir
+      ? path.resolve(options.outputDir)
+      : path.resolve(__dirname, 'output/batch')
+    const series = await findSnapshotSeries(snapshotDir)
+    const modes = Object.keys(series)
+
+    if (modes.length === 0) {
+      throw new Error(`No <mode>-<version>.html snapshots found in ${toProjectPath(snapshotDir)}`)
+    }
+
+    console.log(`Starting batch analysis of ${toProjectPath(snapshotDir)}:`)
+    modes.forEach(mode =>
+      console.log(`  - ${mode}: ${series[mode].map(snapshot => snapshot.version).join(', ')}`)
+    )
+
+    const config = await loadConfig(options)
+    const normalization = resolveNormalization(config, options)
+    const index = { directory: snapshotDir, generated: new Date().toISOString(), modes: {} }
+    let failures = 0
+
+    for (const mode of modes) {
+      const snapshots = series[mode]
+      index.modes[mode] = []
+
+      if (snapshots.length < 2) {
+        console.log(`Skipping ${mode}: only one snapshot`)
+        continue
+      }
+
+      for (let i = 1; i < snapshots.length; i++) {
+        const before = snapshots[i - 1]
+        const after = snapshots[i]
+        const pairDir = path.join(mode, `${before.version}-to-${after.version}`)
+        const outputPaths = {
+          outputJsonPath: path.join(outputDir, pairDir, 'analysis-results.json'),
+          outputHtmlPath: path.join(outputDir, pairDir, 'analysis-report.html'),
+        }
+        const entry = {
+          before: before.version,
+          after: after.version,
+          results: path.join(pairDir, 'analysis-results.json').replace(/\\/g, '/'),
+          report: path.join(pairDir, 'analysis-report.html').replace(/\\/g, '/'),
+        }
+
+        console.log(`Analyzing ${mode}: ${before.version} -> ${after.version}`)
+        try {
+          const { results } = await analyzePair(
+            before.path,
+            after.path,
+            config,
+            { normalization, expectedView: MODE_VIEWS[mode] || null },
+            outputPaths,
+            options
+          )
+          const anchors = Object.values(results.recommendedAnchors)
+
+          index.modes[mode].push({
+            ...entry,
+            changedSelectors: results.changedSelectors.length,
+            elementChanges: results.elementChanges.changes.length,
+            reliableAnchors: anchors.filter(anchor => anchor.isReliable).length,
+            totalAnchors: anchors.length,
+          })
+        } catch (error) {
+          console.error(`Error analyzing ${mode} ${before.version} -> ${after.version}:`, error)
+          index.modes[mode].push({ ...entry, error: error.message })
+          failures++
+        }
+      }
+    }
+
+    // Save the index
+    console.log('Writing batch index...')
+    const meta = createResultMeta('batch', await describeInputs([], options), options)
+    await saveResults({ meta, ...index }, path.join(outputDir, 'index.json'))
+    await generateBatchIndexReport(index, path.join(outputDir, 'index.html'))
+
+    if (failures > 0) {
+      console.error(`Batch analysis finished with ${failures} failed pair(s)`)
+      process.exit(1)
+    }
+
+    console.log('Batch analysis completed successfully!')
+    console.log(`  - Index report saved to: ${toProjectPath(path.join(outputDir, 'index.html'))}`)
+  } catch (error) {
+    console.error('Error during batch analysis:', error)
+    process.exit(1)
+  }
+}
+
+/**
+ * Run a timeline analysis across an ordered list of snapshots
+ * @param {Array<string>} files - Snapshot files given as arguments
+ * @param {Object} options - Command line options
+ */
+async function runTimelineAnalysis(files, options) {
+  try {
+    const { passed } = await analyzeTimelineFiles(files, options)
+
+    if (!passed) {
+      console.error('One or more CI gates failed')
+      process.exit(EXIT_GATE_FAILED)
+    }
+  } catch (error) {
+    console.error('Error during timeline analysis:', error)
+    process.exit(1)
+  }
+}
+
+/**
+ * Analyze the timeline of snapshots selected on the command line and write its reports
+ * @param {Array<string>} files - Snapshot files given as arguments
+ * @param {Object} options - Command line options
+ * @returns {Promise<{results: Object, passed: boolean}>} Timeline results, and whether
+ *   the CI gates passed
+ */
+async function analyzeTimelineFiles(files, options) {
+  const snapshotPaths = await resolveTimelinePaths(files, options)
+  const outputPaths = resolveOutputPaths(options)
+
+  console.log(
+    `Starting Outlook HTML snapshot timeline analysis of ${snapshotPaths.length} versions:`
+  )
+  snapshotPaths.forEach(snapshotPath => console.log(`  - ${toDisplayPath(snapshotPath)}`))
+
+  const config = await loadConfig(options)
+  checkRequiredAnchors(config, options)
+  const normalization = resolveNormalization(config, options)
+
+  // Load HTML files
+  console.log('Loading HTML Snapshots...')
+  const loaded = []
+  for (const snapshotPath of snapshotPaths) {
+    loaded.push(await loadSnapshot(snapshotPath))
+  }
+  const snapshots = await normalizeSnapshots(loaded, normalization, options)
+  const labels = snapshotPaths.map(snapshotPath =>
+    snapshotPath === STDIN_PATH
+      ? '(stdin)'
+      : path.basename(snapshotPath, path.extname(snapshotPath))
+  )
+
+  // Analyze the sequence
+  console.log('Analyzing stability across versions...')
+  const expectedView = getExpectedView(files, options)
+  const results = OutlookDOMDiff.analyzeTimeline(
+    snapshots.map(snapshot => snapshot.html),
+    { labels, config, expectedView, strictView: options.strictView }
+  )
+  reportViews(results.views, expectedView)
+  reportLocalizedAnchors(results.recommendedAnchors)
+
+  // Save results
+  console.log('  - Analysis complete. Saving results...')
+  const inputs = await describeInputs(
+    snapshots.map((snapshot, index) => ({
+      role: 'version',
+      label: labels[index],
+      source: snapshot.source,
+    })),
+    options
+  )
+  const saved = { meta: createResultMeta('timeline', inputs, options), ...results }
+  await writeReports(saved, options.format || DEFAULT_REPORT_FORMATS, outputPaths)
+  if (options.emitModule) {
+    await saveAnchorModule(saved, path.resolve(options.emitModule))
+  }
+
+  const passed = await applyGates(results, config, snapshots[snapshots.length - 1].source, options)
+
+  console.log('Timeline analysis completed successfully!')
+  printReportPaths(outputPaths, options)
+
+  return { results, passed }
+}
+
+/**
+ * Compare snapshots of the same view in several display languages
+ * @param {Array<string>} files - Snapshot files, reference locale first
+ * @param {Object} options - Command line options
+ */
+async function runLocales(files, options) {
+  try {
+    const snapshotPaths = (await expandSnapshotPaths(files)).map(file =>
+      file === STDIN_PATH ? file : path.resolve(file)
+    )
+    const { outputJsonPath, outputHtmlPath } = resolveOutputPaths(options, 'locales')
+
+    if (snapshotPaths.length < 2) {
+      throw new Error(`Comparing locales needs at least two snapshots, got ${snapshotPaths.length}`)
+    }
+    if (snapshotPaths.filter(snapshotPath => snapshotPath === STDIN_PATH).length > 1) {
+      throw new Error('Only one snapshot can be read from standard input')
+    }
+    if (options.locales && options.locales.length !== snapshotPaths.length) {
+      throw new Error(
+        `--locales lists ${options.locales.length} locale(s) for ${snapshotPaths.length} snapshots`
+      )
+    }
+
+    console.log(
+      `Starting Outlook HTML snapshot locale comparison of ${snapshotPaths.length} snapshots:`
+    )
+    snapshotPaths.forEach(snapshotPath => console.log(`  - ${toDisplayPath(snapshotPath)}`))
+
+    const config = await loadConfig(options)
+    const normalization = resolveNormalization(config, options)
 
     // Load HTML files
     console.log('Loading HTML Snapshots...')
-    const beforeHTML = await loadHTMLFile(beforePath)
-    const afterHTML = await loadHTMLFile(afterPath)
+    const loaded = []
+    for (const snapshotPath of snapshotPaths) {
+      loaded.push(await loadSnapshot(snapshotPath))
+    }
+    const snapshots = await normalizeSnapshots(loaded, normalization, options)
 
-    // Analyze differences
-    console.log('Analyzing structural differences...')
-    const results = analyzeSnapshots(beforeHTML, afterHTML)
+    // Check every anchor in every locale
+    console.log('Comparing anchors across locales...')
+    const results = OutlookDOMDiff.compareLocales(
+      snapshots.map((snapshot, index) => ({
+        locale: options.locales ? options.locales[index] : undefined,
+        html: snapshot.html,
+      })),
+      { config, strictView: options.strictView }
+    )
+    reportViews(results.views, null)
+    Object.entries(results.localeAnchors)
+      .filter(([, anchor]) => !anchor.localeNeutral)
+      .forEach(([feature, anchor]) =>
+        console.log(
+          `  - No locale-neutral anchor for ${feature}${
+            anchor.labels ? ` (label map of its ${anchor.labels.attribute} saved)` : ''
+          }`
+        )
+      )
 
     // Save results
-    console.log('  - Analysis complete. Saving results...')
-    await saveResults(results, outputJsonPath)
+    console.log('  - Comparison complete. Saving results...')
+    const inputs = await describeInputs(
+      snapshots.map((snapshot, index) => ({
+        role: 'locale',
+        label: results.locales[index],
+        source: snapshot.source,
+      })),
+      options
+    )
+    await saveResults(
+      { meta: createResultMeta('locales', inputs, options), ...results },
+      outputJsonPath
+    )
 
     // Generate HTML report
     console.log('Generating HTML report...')
-    await generateHTMLReport(results, beforePath, afterPath, outputHtmlPath)
+    await generateLocalesReport(
+      results,
+      snapshots.map(snapshot => snapshot.source),
+      outputHtmlPath
+    )
 
-    console.log('Analysis completed successfully!')
+    console.log('Locale comparison completed successfully!')
     console.log(`  - JSON results saved to: ${toProjectPath(outputJsonPath)}`)
     console.log(`  - HTML report saved to: ${toProjectPath(outputHtmlPath)}`)
   } catch (error) {
-    console.error('Error during snapshot analysis:', error)
+    console.error('Error during locale comparison:', error)
     process.exit(1)
   }
 }
 
+/**
+ * Parse a comma-separated list of locales
+ * @param {string} value - Option value
+ * @returns {Array<string>} Locale codes
+ * @throws {InvalidArgumentError} If the list is empty
+ */
+function parseLocales(value) {
+  const locales = value
+    .split(',')
+    .map(locale => locale.trim())
+    .filter(locale => locale)
+  if (locales.length === 0) {
+    throw new InvalidArgumentError('Expected a comma-separated list of locales, e.g. en,de,ja.')
+  }
+  return locales
+}
+
+/**
+ * Check a list of existing selectors against a pair of snapshots
+ * @param {Array<string>} files - Snapshot files given as arguments
+ * @param {Object} options - Command line options
+ */
+async function runVerify(files, options) {
+  try {
+    const [beforePath, afterPath] = await resolveSnapshotPaths(files, options)
+    const { outputJsonPath, outputHtmlPath } = resolveOutputPaths(options, 'verify')
+    const selectorsPath = path.resolve(options.selectors)
+
+    console.log('Starting selector verification against:')
+    console.log(`  - before-update file: ${toDisplayPath(beforePath)}`)
+    console.log(`  - after-update file: ${toDisplayPath(afterPath)}`)
+
+    console.log(`Loading selectors: ${toProjectPath(selectorsPath)}`)
+    const selectors = await loadSelectorList(selectorsPath)
+    console.log(`  - ${selectors.length} selectors loaded`)
+
+    // Load HTML files
+    console.log('Loading HTML Snapshots...')
+    const before = await loadSnapshot(beforePath)
+    const after = await loadSnapshot(afterPath)
+
+    // Match every selector in both versions
+    console.log('Verifying selectors...')
+    const results = OutlookDOMDiff.verifySelectors(before.html, after.html, selectors)
+    results.selectors
+      .filter(result => result.status !== 'ok')
+      .forEach(result =>
+        console.log(
+          `  - ${result.status}: ${result.name} (${result.beforeCount} -> ${result.afterCount} matches)`
+        )
+      )
+
+    // Save results
+    console.log('  - Verification complete. Saving results...')
+    const inputs = await describeInputs(
+      [
+        { role: 'before', source: before.source },
+        { role: 'after', source: after.source },
+      ],
+      options
+    )
+    await saveResults(
+      { meta: createResultMeta('verify', inputs, options), ...results },
+      outputJsonPath
+    )
+
+    // Generate HTML report
+    console.log('Generating HTML report...')
+    await generateVerifyReport(results, before.source, after.source, outputHtmlPath)
+
+    console.log(
+      `Verification completed: ${results.summary.ok || 0} of ${results.summary.total} selectors ok`
+    )
+    console.log(`  - JSON results saved to: ${toProjectPath(outputJsonPath)}`)
+    console.log(`  - HTML report saved to: ${toProjectPath(outputHtmlPath)}`)
+  } catch (error) {
+    console.error('Error during selector verification:', error)
+    process.exit(1)
+  }
+}
+
+/**
+ * Replace the personal data in snapshots with pseudonyms
+ * All snapshots of a run share one set of pseudonyms, so a sanitized pair
+ * analyzes like the raw pair.
+ * @param {Array<string>} files - Snapshot files (paths or glob patterns)
+ * @param {Object} options - Command line options
+ */
+async function runSanitize(files, options) {
+  try {
+    const snapshotPaths = (await expandSnapshotPaths(files)).map(file => {
+      if (file === STDIN_PATH) {
+        throw new Error('sanitize reads snapshot files; standard input is not supported')
+      }
+      return path.resolve(file)
+    })
+    const outputDir = options.outputDir
+      ? path.resolve(options.outputDir)
+      : path.resolve(__dirname, 'output/sanitized')
+    const reportPath = path.join(outputDir, 'sanitize-report.json')
+
+    const names = snapshotPaths.map(snapshotPath => path.basename(snapshotPath))
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index)
+    if (duplicate) {
+      throw new Error(`Two snapshots are named ${duplicate}; sanitize them in separate runs`)
+    }
+    if (snapshotPaths.some(snapshotPath => path.dirname(snapshotPath) === outputDir)) {
+      throw new Error('The output directory must not contain the raw snapshots')
+    }
+
+    console.log(`Sanitizing ${snapshotPaths.length} snapshot(s):`)
+    snapshotPaths.forEach(snapshotPath => console.log(`  - ${toProjectPath(snapshotPath)}`))
+
+    const config = await loadConfig(options)
+    const keyTerms = config.features.flatMap(feature => OutlookDOMDiff.getFeatureKeyTerms(feature))
+
+    // Load HTML files
+    console.log('Loading HTML Snapshots...')
+    const snapshots = []
+    for (const snapshotPath of snapshotPaths) {
+      snapshots.push(await loadSnapshot(snapshotPath))
+    }
+
+    // Replace personal data
+    console.log('Replacing personal data...')
+    const { snapshots: sanitized, terms } = sanitizeSnapshots(
+      snapshots.map(snapshot => snapshot.html),
+      { seed: options.seed, keyTerms }
+    )
+    console.log(
+      `  - Found ${terms.emails.length} email address(es), ${terms.names.length} name(s) and ${terms.contentFragments} message content fragment(s)`
+    )
+
+    const outputs = []
+    for (let i = 0; i < sanitized.length; i++) {
+      const outputPath = path.join(outputDir, names[i])
+      const { replacements } = sanitized[i]
+      console.log(
+        `  - ${names[i]}: ${Object.entries(replacements)
+          .map(([kind, count]) => `${count} ${kind}`)
+          .join(', ')}`
+      )
+      await saveSnapshot(sanitized[i].html, outputPath, 'Sanitized snapshot')
+      outputs.push({ input: snapshotPaths[i], output: outputPath, replacements })
+    }
+
+    // Save the report (without the seed, which would let readers check guesses)
+    const { seed, ...recordedOptions } = options
+    const inputs = await describeInputs(
+      snapshots.map(snapshot => ({ role: 'snapshot', source: snapshot.source })),
+      options
+    )
+    await saveResults(
+      { meta: createResultMeta('sanitize', inputs, recordedOptions), files: outputs, terms },
+      reportPath
+    )
+
+    console.log('Sanitizing completed successfully!')
+    console.log(`  - Sanitized snapshots saved to: ${toProjectPath(outputDir)}`)
+  } catch (error) {
+    console.error('Error during snapshot sanitizing:', error)
+    process.exit(1)
+  }
+}
+
+/**
+ * Time each analysis phase on the bundled snapshot pairs in html/
+ * Every pair is analyzed --runs times and the median time of each phase is
+ * reported, so a slow first run (JIT warm-up) does not skew the numbers.
+ * @param {Array<string>} modes - Modes to benchmark (default: inbox, read and write)
+ * @param {Object} options - Command line options
+ */
+async function runBenchmark(modes, options) {
+  try {
+    const config = await loadConfig(options)
+    const selectedModes = modes.length > 0 ? modes : Object.keys(MODE_VIEWS)
+    const runs = options.runs === 1 ? '1 run' : `median of ${options.runs} runs`
+    console.log(`Benchmarking ${selectedModes.join(', ')} (${runs})`)
+
+    for (const mode of selectedModes) {
+      const before = await loadSnapshot(path.resolve(__dirname, `html/${mode}-A.html`))
+      const after = await loadSnapshot(path.resolve(__dirname, `html/${mode}-B.html`))
+      const runs = []
+      for (let run = 0; run < options.runs; run++) {
+        runs.push(timeAnalysisPhases(before.html, after.html, config))
+      }
+
+      const sizeKB = Math.round((before.source.size + after.source.size) / 1024)
+      console.log(`\n${mode}-A.html -> ${mode}-B.html (${sizeKB} KB)`)
+      Object.keys(runs[0].phases).forEach(phase => {
+        const median = getMedian(runs.map(timings => timings.phases[phase]))
+        console.log(`  ${phase.padEnd(36)} ${formatDuration(median)}`)
+      })
+      console.log(
+        `  ${'total'.padEnd(36)} ${formatDuration(getMedian(runs.map(timings => timings.total)))}`
+      )
+    }
+  } catch (error) {
+    console.error('Error during benchmark:', error)
+    process.exit(1)
+  }
+}
+
+/**
+ * Time the phases of one analysis (see OutlookDOMDiff.analyzeChangesAsync())
+ * Recommendation strategies are summed over the watched features.
+ * @param {string} beforeHTML - HTML before update
+ * @param {string} afterHTML - HTML after update
+ * @param {Object} config - Anchor config
+ * @returns {Object} Milliseconds per phase, in phase order, and in total
+ */
+function timeAnalysisPhases(beforeHTML, afterHTML, config) {
+  const phases = {}
+  const startTime = performance.now()
+  let current = null
+  let phaseStart = startTime
+  const endPhase = () => {
+    if (current) {
+      phases[current] = (phases[current] || 0) + performance.now() - phaseStart
+    }
+  }
+
+  OutlookDOMDiff.analyzeChanges(beforeHTML, afterHTML, {
+    config,
+    onProgress: ({ phase, strategy }) => {
+      endPhase()
+      current = strategy ? `${phase}: ${strategy}` : phase
+      phaseStart = performance.now()
+    },
+  })
+  endPhase()
+
+  return { phases, total: performance.now() - startTime }
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Non-empty list
+ * @returns {number}
+ */
+function getMedian(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Format a duration for console output
+ * @param {number} milliseconds - Duration
+ * @returns {string} e.g. "850 ms" or "2.4 s"
+ */
+function formatDuration(milliseconds) {
+  return milliseconds < 1000
+    ? `${Math.round(milliseconds)} ms`
+    : `${(milliseconds / 1000).toFixed(1)} s`
+}
+
+/**
+ * Parse the --runs count
+ * @param {string} value - Option value
+ * @returns {number} Positive integer
+ */
+function parseRuns(value) {
+  const runs = Number(value)
+  if (!Number.isInteger(runs) || runs < 1) {
+    throw new InvalidArgumentError('Expected a positive number of runs.')
+  }
+  return runs
+}
+
+/**
+ * Host the browser UI and the analysis API until interrupted
+ * The browser UI at http://<host>:<port>/ analyzes on the server when it is served from
+ * it; other local tools can call the JSON endpoints (see utils/analysis-server.js).
+ * @param {Object} options - Command line options
+ */
+async function runServe(options) {
+  try {
+    const config = await loadConfig(options)
+    const server = createAnalysisServer({
+      rootDirectory: __dirname,
+      config,
+      configInput: options.config
+        ? { role: 'config', ...(await describeFile(options.config)) }
+        : null,
+      options: options.config ? { config: options.config } : {},
+      host: options.host,
+    })
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(options.port, options.host, resolve)
+    })
+    const { port } = server.address()
+    const host = options.host.includes(':') ? `[${options.host}]` : options.host
+    console.log(`Serving the browser UI at http://${host}:${port}/ (press Ctrl+C to stop)`)
+    console.log('  - API: /api/status, /api/snapshots, /api/analyze, /api/results')
+  } catch (error) {
+    console.error('Error starting the server:', error)
+    process.exit(1)
+  }
+}
+
+/**
+ * Parse the --port option
+ * @param {string} value - Option value
+ * @returns {number} Port number (0 picks a free port)
+ */
+function parsePort(value) {
+  const port = Number(value)
+  if (value.trim() === '' || !Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new InvalidArgumentError('Expected a port number between 0 and 65535.')
+  }
+  return port
+}
+
 /**
  * Analyze HTML snapshots using the OutlookDOMDiff class
  * @param {string} beforeHTML - HTML before update
  * @param {string} afterHTML - HTML after update
+ * @param {Object} config - Anchor config
+ * @param {Object} viewOptions - Expected view and whether a view mismatch aborts
  * @returns {Object} Analysis results
  */
-function analyzeSnapshots(beforeHTML, afterHTML) {
+function analyzeSnapshots(beforeHTML, afterHTML, config, { expectedView, strictView }) {
   try {
-    return OutlookDOMDiff.analyzeChanges(beforeHTML, afterHTML)
+    return OutlookDOMDiff.analyzeChanges(beforeHTML, afterHTML, {
+      config,
+      expectedView,
+      strictView,
+    })
   } catch (error) {
     console.error('Error analyzing snapshots:', error)
     throw error
@@ -110,17 +1478,181 @@ program
   .name('analyze-snapshots')
   .description('Analyze differences between Outlook HTML snapshots')
   .version('1.0.0')
+  .argument(
+    '[snapshots...]',
+    'Before and after snapshots (file paths, glob patterns or - for stdin)'
+  )
+  .option('--before <path>', 'Snapshot from before the update (file path, glob pattern or -)')
+  .option('--after <path>', 'Snapshot from after the update (file path, glob pattern or -)')
   .option('--inbox', 'Analyze inbox mode snapshots (inbox-A.html and inbox-B.html)')
   .option('--read', 'Analyze read mode snapshots (read-A.html and read-B.html)')
   .option('--write', 'Analyze compose mode snapshots (write-A.html and write-B.html)')
+  .option('--timeline', 'Analyze an ordered list of snapshots of the same view as a timeline')
+  .option('--config <path>', 'Path to an anchor config file (anchors.config.json or .js)')
   .option('--output-json <path>', 'Path to save the analysis results as JSON')
   .option('--output-html <path>', 'Path to save the HTML report')
-  .parse(process.argv)
+  .option('--output-md <path>', 'Path to save the Markdown report')
+  .option('--output-csv <dir>', 'Directory to save the CSV reports in, one file per section')
+  .option(
+    '--format <list>',
+    'Comma-separated list of reports to write: json, html, md, csv (default: json,html)',
+    parseFormats
+  )
+  .option(
+    '--fail-under <score>',
+    'Exit with code 2 if the anchor of any watched feature scores below this stability score',
+    parseScore
+  )
+  .option(
+    '--fail-on-removed',
+    'Exit with code 2 if the selectors of a watched feature stop matching'
+  )
+  .option(
+    '--require-anchor <name>',
+    'Exit with code 2 unless this feature has a reliable anchor (repeatable)',
+    collect,
+    []
+  )
+  .option('--junit <path>', 'Path to save the anchor and selector checks as JUnit XML')
+  .option('--sarif <path>', 'Path to save failed anchor and selector checks as a SARIF log')
+  .option(
+    '--emit-module <path>',
+    'Path to save the recommended anchors as an ES module (with a .d.ts next to it)'
+  )
+  .option(
+    '--normalize [steps]',
+    'Normalize the snapshots before diffing (all steps, or a comma-separated list)',
+    parseNormalizationSteps
+  )
+  .option('--no-normalize', 'Analyze the raw snapshots even if the anchor config normalizes them')
+  .option('--write-normalized <dir>', 'Save the normalized snapshots to this directory')
+  .option(
+    '--strict-view',
+    'Abort if the snapshots show different views, or not the view of the selected mode'
+  )
+  .option('--watch', 'Run the analysis again whenever the snapshots (or the anchor config) change')
+  .enablePositionalOptions()
+  .action((snapshots, options) => {
+    if (options.watch) {
+      runWatch(snapshots, options)
+    } else if (options.timeline) {
+      runTimelineAnalysis(snapshots, options)
+    } else {
+      runAnalysis(snapshots, options)
+    }
+  })
+
+program
+  .command('batch')
+  .description('Analyze every consecutive snapshot pair per mode in a directory')
+  .argument('[directory]', 'Directory of <mode>-<version>.html snapshots (default: html/)')
+  .option('--config <path>', 'Path to an anchor config file (anchors.config.json or .js)')
+  .option(
+    '--output-dir <path>',
+    'Directory for the per-pair outputs and the index report (default: output/batch/)'
+  )
+  .option(
+    '--normalize [steps]',
+    'Normalize the snapshots before diffing (all steps, or a comma-separated list)',
+    parseNormalizationSteps
+  )
+  .option('--no-normalize', 'Analyze the raw snapshots even if the anchor config normalizes them')
+  .option('--write-normalized <dir>', 'Save the normalized snapshots to this directory')
+  .option(
+    '--strict-view',
+    'Abort if the snapshots show different views, or not the view of the selected mode'
+  )
+  .action(runBatch)
+
+program
+  .command('verify')
+  .description("Check existing selectors (e.g. an extension's) against a pair of snapshots")
+  .argument(
+    '[snapshots...]',
+    'Before and after snapshots (file paths, glob patterns or - for stdin)'
+  )
+  .requiredOption(
+    '--selectors <path>',
+    'JSON list of named selectors, or a JS file to extract querySelector() calls from'
+  )
+  .option('--before <path>', 'Snapshot from before the update (file path, glob pattern or -)')
+  .option('--after <path>', 'Snapshot from after the update (file path, glob pattern or -)')
+  .option('--inbox', 'Verify against inbox mode snapshots (inbox-A.html and inbox-B.html)')
+  .option('--read', 'Verify against read mode snapshots (read-A.html and read-B.html)')
+  .option('--write', 'Verify against compose mode snapshots (write-A.html and write-B.html)')
+  .option('--output-json <path>', 'Path to save the verification results as JSON')
+  .option('--output-html <path>', 'Path to save the HTML report')
+  .action(runVerify)
+
+program
+  .command('locales')
+  .description('Compare snapshots of the same view in several display languages')
+  .argument(
+    '<snapshots...>',
+    'Snapshots of one view, reference locale first (file paths, glob patterns or -)'
+  )
+  .option(
+    '--locales <codes>',
+    'Locale of each snapshot, comma-separated (default: the lang attribute of each snapshot)',
+    parseLocales
+  )
+  .option('--config <path>', 'Path to an anchor config file (anchors.config.json or .js)')
+  .option('--output-json <path>', 'Path to save the comparison results as JSON')
+  .option('--output-html <path>', 'Path to save the HTML report')
+  .option(
+    '--normalize [steps]',
+    'Normalize the snapshots before comparing (all steps, or a comma-separated list)',
+    parseNormalizationSteps
+  )
+  .option('--no-normalize', 'Compare the raw snapshots even if the anchor config normalizes them')
+  .option('--write-normalized <dir>', 'Save the normalized snapshots to this directory')
+  .option('--strict-view', 'Abort if the snapshots show different views')
+  .action(runLocales)
+
+program
+  .command('sanitize')
+  .description('Replace the personal data in snapshots with pseudonyms before sharing them')
+  .argument('<snapshots...>', 'Snapshots to sanitize (file paths or glob patterns)')
+  .option(
+    '--output-dir <path>',
+    'Directory for the sanitized snapshots and sanitize-report.json (default: output/sanitized/)'
+  )
+  .option(
+    '--seed <secret>',
+    'Derive the pseudonyms from this secret, so separate runs agree (default: random)'
+  )
+  .option('--config <path>', 'Anchor config whose key terms are kept in the text')
+  .action(runSanitize)
+
+program
+  .command('benchmark')
+  .description('Time each analysis phase on the bundled snapshot pairs in html/')
+  .addArgument(
+    new Argument('[modes...]', 'Pairs to benchmark (default: all)').choices(Object.keys(MODE_VIEWS))
+  )
+  .option('--runs <count>', 'Analyze each pair this many times and report the median', parseRuns, 3)
+  .option('--config <path>', 'Path to an anchor config file (anchors.config.json or .js)')
+  .action(runBenchmark)
 
-const options = program.opts()
+program
+  .command('serve')
+  .description('Host the browser UI locally, with JSON endpoints that run the Node analyzer')
+  .option('--port <port>', 'Port to listen on (0 picks a free port)', parsePort, 8080)
+  .option(
+    '--host <host>',
+    'Address to listen on (keep it local: the API reads local files)',
+    '127.0.0.1'
+  )
+  .option('--config <path>', 'Path to an anchor config file (anchors.config.json or .js)')
+  .action(runServe)
+
+program
+  .command('schema')
+  .description('Print the JSON Schema of the results files')
+  .action(() => console.log(JSON.stringify(getResultSchema(), null, 2)))
 
-// Execute main function with parsed options
-runAnalysis(options).catch(error => {
+// Execute the selected command
+program.parseAsync(process.argv).catch(error => {
   console.error('Unexpected error:', error)
   process.exit(1)
 })
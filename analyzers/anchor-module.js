@@ -0,0 +1,212 @@
+/**
+ * OutlookAnchorModule - Generated anchor module for extensions
+ * Turns the recommended anchors of an analysis into an ES module that an
+ * extension imports instead of hand-copied selectors, with a TypeScript
+ * declaration file to go with it.
+ *
+ * Like outlook-diff-analyzer.js, this file has no imports or exports so that it
+ * runs unchanged as a classic <script> in the browser UI and as a side-effect
+ * import under Node.
+ */
+class OutlookAnchorModule {
+  /**
+   * Generate the source of the anchor module
+   * Every anchor lists its primary selector followed by its alternatives, and
+   * resolveAnchor(name, root) returns the first element any of them matches.
+   * Features without an anchor are kept with no selectors, so extension code
+   * that names them still imports.
+   * @param {Object} results - Pair or timeline results, with their meta block
+   * @returns {string} ES module source
+   */
+  static generateModule(results) {
+    const anchors = this._getAnchors(results)
+    const lines = [
+      ...this._getHeader(results),
+      '',
+      '/**',
+      ' * Recommended anchors, by feature name',
+      ' * selectors are tried in order: the primary selector first, then its alternatives.',
+      ' */',
+      `export const ANCHORS = ${this._formatValue(
+        Object.fromEntries(anchors.map(({ name, ...anchor }) => [name, anchor])),
+        ''
+      )}`,
+      '',
+      '// The analysis the anchors come from',
+      `export const ANCHORS_META = ${this._formatValue(this._getMeta(results), '')}`,
+      '',
+      '/**',
+      ' * Find the element of a named anchor, trying its selectors in order',
+      ' * @param {string} name - Feature name, a key of ANCHORS',
+      ' * @param {ParentNode} [root] - Document or element to search (defaults to document)',
+      ' * @returns {Element|null} First element matched, or null if no selector matches',
+      ' * @throws {Error} If the name is not a key of ANCHORS',
+      ' */',
+      'export function resolveAnchor(name, root = document) {',
+      '  const anchor = ANCHORS[name]',
+      '  if (!anchor) {',
+      '    throw new Error(`Unknown anchor "${name}"`)',
+      '  }',
+      '  for (const selector of anchor.selectors) {',
+      '    const element = root.querySelector(selector)',
+      '    if (element) {',
+      '      return element',
+      '    }',
+      '  }',
+      '  return null',
+      '}',
+      '',
+    ]
+    return lines.join('\n')
+  }
+
+  /**
+   * Generate the TypeScript declarations of the anchor module
+   * @param {Object} results - The results passed to generateModule()
+   * @returns {string} .d.ts source
+   */
+  static generateTypes(results) {
+    const names = this._getAnchors(results).map(anchor => this._quote(anchor.name))
+    const lines = [
+      ...this._getHeader(results),
+      '',
+      `export type AnchorName =${
+        names.length > 0 ? names.map(name => `\n  | ${name}`).join('') : ' never'
+      }`,
+      '',
+      'export interface Anchor {',
+      '  /** Selectors to try in order, primary selector first (empty if none was found) */',
+      '  readonly selectors: readonly string[]',
+      '  /** Stability score of the primary selector (0 if none was found) */',
+      '  readonly stabilityScore: number',
+      '  /** Strategy that found the primary selector, e.g. id-based or configured */',
+      '  readonly selectorType: string | null',
+      '  readonly isReliable: boolean',
+      '  /** The primary selector compares localized text and only works in one language */',
+      '  readonly localized: boolean',
+      '}',
+      '',
+      'export interface AnchorsInput {',
+      '  /** before, after, version <label>, locale <label> or config */',
+      '  readonly role: string',
+      '  readonly file: string',
+      '  readonly sha256: string | null',
+      '}',
+      '',
+      'export interface AnchorsMeta {',
+      '  readonly generatedAt: string | null',
+      '  readonly tool: string',
+      '  readonly view: string | null',
+      '  readonly inputs: readonly AnchorsInput[]',
+      '}',
+      '',
+      'export declare const ANCHORS: { readonly [Name in AnchorName]: Anchor }',
+      '',
+      'export declare const ANCHORS_META: AnchorsMeta',
+      '',
+      'export declare function resolveAnchor(name: AnchorName, root?: ParentNode): Element | null',
+      '',
+    ]
+    return lines.join('\n')
+  }
+
+  /**
+   * Recommended anchors as module entries, in the order of the results
+   * @private
+   */
+  static _getAnchors(results) {
+    if (!results || !results.recommendedAnchors) {
+      throw new Error('An anchor module needs analysis or timeline results with recommendedAnchors')
+    }
+
+    return Object.entries(results.recommendedAnchors).map(([name, anchor]) => ({
+      name,
+      selectors: [anchor.primarySelector, ...(anchor.alternativeSelectors || [])].filter(
+        selector => selector
+      ),
+      stabilityScore: anchor.stabilityScore,
+      selectorType: anchor.selectorType || null,
+      isReliable: anchor.isReliable,
+      localized: Boolean(anchor.localized),
+    }))
+  }
+
+  /**
+   * Provenance of the anchors, without the absolute paths of the snapshots
+   * @private
+   */
+  static _getMeta(results) {
+    const meta = results.meta || {}
+    const tool = meta.tool ? `${meta.tool.name} ${meta.tool.version || ''}`.trim() : 'unknown'
+    return {
+      generatedAt: meta.generatedAt || null,
+      tool,
+      view: results.view || null,
+      inputs: (meta.inputs || []).map(input => ({
+        role: input.label ? `${input.role} ${input.label}` : input.role,
+        file: input.path.split(/[\\/]/).pop(),
+        sha256: input.sha256,
+      })),
+    }
+  }
+
+  /**
+   * Comment lines at the top of the generated files
+   * @private
+   */
+  static _getHeader(results) {
+    const { generatedAt, tool } = this._getMeta(results)
+    return [
+      `// Generated by ${tool} from the analysis of ${generatedAt || 'an unknown date'}.`,
+      '// Do not edit: regenerate it from new snapshots after an Outlook release.',
+    ]
+  }
+
+  /**
+   * Format a JSON-like value as JavaScript source, indented by two spaces per level
+   * @private
+   */
+  static _formatValue(value, indent) {
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        return '[]'
+      }
+      const items = value.map(item => `${indent}  ${this._formatValue(item, `${indent}  `)},`)
+      return `[\n${items.join('\n')}\n${indent}]`
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value).map(
+        ([key, item]) =>
+          `${indent}  ${this._propertyName(key)}: ${this._formatValue(item, `${indent}  `)},`
+      )
+      return `{\n${entries.join('\n')}\n${indent}}`
+    }
+    return typeof value === 'string' ? this._quote(value) : String(value)
+  }
+
+  /**
+   * Object key as written in source: bare if it is an identifier, quoted otherwise
+   * @private
+   */
+  static _propertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : this._quote(name)
+  }
+
+  /**
+   * Single-quoted JavaScript string literal
+   * @private
+   */
+  static _quote(value) {
+    const escaped = value
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029')
+    return `'${escaped}'`
+  }
+}
+
+// Make available globally (window in the browser, the global object under Node)
+globalThis.OutlookAnchorModule = OutlookAnchorModule
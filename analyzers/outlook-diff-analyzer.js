@@ -0,0 +1,3276 @@
+/**
+ * OutlookDOMDiff - Shared analysis core
+ * Performs structural analysis of before/after HTML snapshots
+ * to identify stable anchors across Outlook versions.
+ *
+ * This file has no imports or exports so that it runs unchanged as a classic
+ * <script> in the browser UI and as a side-effect import under Node, where
+ * analyzers/dom-diff.js supplies a JSDOM-based parseHTML().
+ */
+class OutlookDOMDiff {
+  // Per-document element data for the matching strategies (see _getDocumentIndex())
+  static _documentIndexes = new WeakMap()
+
+  // Milliseconds analyzeChangesAsync() runs before returning to the event loop
+  static _timeSliceMs = 50
+
+  /**
+   * Compare two HTML snapshots and identify structural changes
+   * @param {string} beforeHTML - HTML before update
+   * @param {string} afterHTML - HTML after update
+   * @param {Object} [options] - Analysis options
+   * @param {Object} [options.config] - Anchor watchlist (defaults to getDefaultConfig())
+   * @param {string} [options.expectedView] - View both snapshots should show (see checkViews())
+   * @param {boolean} [options.strictView] - Throw instead of analyzing if checkViews() warns
+   * @param {Function} [options.onProgress] - Called as each phase starts (see analyzeChangesAsync())
+   * @returns {Object} Stability report with anchor recommendations
+   */
+  static analyzeChanges(beforeHTML, afterHTML, options = {}) {
+    return this._runPhases(
+      this._analyzeChangesInPhases(beforeHTML, afterHTML, options),
+      options.onProgress
+    )
+  }
+
+  /**
+   * Compare two HTML snapshots like analyzeChanges(), in slices of about 50 ms
+   * Control returns to the event loop at every phase, and within the element
+   * matching and selector loops whenever a slice has used up its time, so a
+   * page running the analysis stays responsive and can cancel it mid-phase.
+   * Only parsing a single snapshot runs uninterrupted.
+   * Phases: parse, match, stable-attributes, changed-selectors, element-changes,
+   * accessibility, then recommendations once per watched feature and strategy
+   * (feature-match, synthesized and configured, see generateAnchorRecommendations()).
+   * @param {string} beforeHTML - HTML before update
+   * @param {string} afterHTML - HTML after update
+   * @param {Object} [options] - Options of analyzeChanges(), and:
+   * @param {Function} [options.onProgress] - Called with {phase, feature, strategy} as each
+   *   phase starts (feature and strategy only for recommendations)
+   * @param {AbortSignal} [options.signal] - Cancels the analysis at its next slice
+   * @returns {Promise<Object>} The results of analyzeChanges()
+   * @throws {DOMException} AbortError (the reason of the signal) if the analysis was cancelled
+   */
+  static async analyzeChangesAsync(beforeHTML, afterHTML, options = {}) {
+    const phases = this._analyzeChangesInPhases(beforeHTML, afterHTML, options)
+    let sliceStart = Date.now()
+    for (let step = phases.next(); ; step = phases.next()) {
+      if (step.done) {
+        return step.value
+      }
+      // Bare checkpoints (no value) only pause once the slice has used up its time
+      if (step.value === undefined && Date.now() - sliceStart < this._timeSliceMs) {
+        continue
+      }
+      if (step.value !== undefined && options.onProgress) {
+        options.onProgress(step.value)
+      }
+      await new Promise(resolve => setTimeout(resolve, 0))
+      if (options.signal) {
+        options.signal.throwIfAborted()
+      }
+      sliceStart = Date.now()
+    }
+  }
+
+  /**
+   * Steps of analyzeChanges(), yielding the progress of each phase before running it
+   * Long loops within a phase also yield, without a value, as checkpoints where
+   * analyzeChangesAsync() may pause (see _runPhases()).
+   * @private
+   */
+  static *_analyzeChangesInPhases(beforeHTML, afterHTML, options) {
+    const { features } = this.normalizeConfig(options.config || this.getDefaultConfig())
+
+    // Parse HTML strings into DOM trees
+    yield { phase: 'parse' }
+    const beforeDOM = this.parseHTML(beforeHTML)
+    yield
+    const afterDOM = this.parseHTML(afterHTML)
+    const views = { before: this.detectView(beforeDOM), after: this.detectView(afterDOM) }
+    this._enforceViews(views, options)
+    const view = this._getSharedView(views)
+
+    yield { phase: 'match' }
+    const volatility = this.buildVolatilityProfile([beforeDOM, afterDOM])
+    const matches = yield* this._matchElementTreesInSteps(beforeDOM, afterDOM)
+
+    // Compare key structural elements
+    yield { phase: 'stable-attributes' }
+    const stableAttributes = this.findStableAttributes(beforeDOM, afterDOM, [], volatility)
+
+    yield { phase: 'changed-selectors' }
+    const changedSelectors = this.identifyChangedSelectors(
+      beforeDOM,
+      afterDOM,
+      this.selectViewFeatures(features, view)
+    )
+
+    yield { phase: 'element-changes' }
+    const elementChanges = this.diffElementTrees(beforeDOM, afterDOM, matches)
+
+    yield { phase: 'accessibility' }
+    const accessibilityChanges = this.diffAccessibilityTrees(beforeDOM, afterDOM, matches)
+
+    const recommendedAnchors = yield* this._recommendAnchorsInPhases(
+      beforeDOM,
+      afterDOM,
+      features,
+      [],
+      volatility,
+      view
+    )
+
+    return {
+      view,
+      views,
+      stableAttributes,
+      changedSelectors,
+      elementChanges,
+      accessibilityChanges,
+      recommendedAnchors,
+    }
+  }
+
+  /**
+   * Run a phase generator to completion, reporting each phase to onProgress
+   * Checkpoints without a value are not reported.
+   * @private
+   * @returns {*} The return value of the generator
+   */
+  static _runPhases(phases, onProgress = null) {
+    let step = phases.next()
+    while (!step.done) {
+      if (onProgress && step.value !== undefined) {
+        onProgress(step.value)
+      }
+      step = phases.next()
+    }
+    return step.value
+  }
+
+  /**
+   * Built-in anchor watchlist, used when no config file is supplied
+   * Each feature lists candidate selectors (checked in order), and the ARIA role
+   * and key terms used to score candidate anchors. Key terms are English; the
+   * German and Japanese UI text is listed per locale in localizedKeyTerms.
+   * Features with views are only watched in snapshots of those views (see detectView()).
+   * @returns {Object} Anchor config with a features array
+   */
+  static getDefaultConfig() {
+    return {
+      features: [
+        {
+          name: 'MessageList',
+          selectors: [
+            '.ms-List',
+            '[role="list"]',
+            '[data-list-type]',
+            '.ms-DetailsList',
+            '.ms-FocusZone',
+          ],
+          role: 'list',
+          keyTerms: ['message', 'inbox', 'mail'],
+          localizedKeyTerms: { de: ['nachricht', 'posteingang'], ja: ['メッセージ', '受信トレイ'] },
+        },
+        {
+          name: 'MessageListItem',
+          selectors: [
+            '.ms-List-cell',
+            '[role="listitem"]',
+            '[role="option"]',
+            '.owa-border-list-item',
+          ],
+          role: 'option',
+          keyTerms: ['message', 'from', 'received'],
+          localizedKeyTerms: { de: ['nachricht', 'empfangen'], ja: ['メッセージ', '差出人'] },
+        },
+        {
+          name: 'ComposeButton',
+          selectors: [
+            '[aria-label*="New mail"]',
+            '[aria-label*="New message"]',
+            '[aria-label*="Compose"]',
+          ],
+          role: 'button',
+          keyTerms: ['compose', 'new', 'create', 'mail'],
+          localizedKeyTerms: { de: ['neue e-mail', 'verfassen'], ja: ['新規メール', '作成'] },
+        },
+        {
+          name: 'FolderPane',
+          selectors: ['[role="tree"]', '.folderPaneTree', '[aria-label*="folder pane"]'],
+          role: 'tree',
+          keyTerms: ['folder', 'navigation', 'tree'],
+          localizedKeyTerms: { de: ['ordner', 'navigation'], ja: ['フォルダー', 'ナビゲーション'] },
+        },
+        {
+          name: 'ReadingPane',
+          selectors: [
+            '[aria-label*="Reading Pane"]',
+            '.readingPane',
+            '[data-app-section="ReadingPane"]',
+          ],
+          role: 'region',
+          keyTerms: ['reading', 'content', 'message'],
+          localizedKeyTerms: {
+            de: ['lesebereich', 'nachricht'],
+            ja: ['閲覧ウィンドウ', 'メッセージ'],
+          },
+          views: ['reading', 'compose'],
+        },
+        {
+          name: 'CommandBar',
+          selectors: ['.ms-CommandBar', '[role="toolbar"]', '.commandBarWrapper'],
+          role: 'toolbar',
+          keyTerms: ['command', 'action', 'toolbar'],
+          localizedKeyTerms: { de: ['befehl', 'symbolleiste'], ja: ['コマンド', 'ツール バー'] },
+        },
+        {
+          name: 'ReplyButton',
+          selectors: ['[aria-label="Reply"]'],
+          role: 'menuitem',
+          keyTerms: ['reply'],
+          localizedKeyTerms: { de: ['antworten'], ja: ['返信'] },
+          views: ['reading'],
+        },
+        {
+          name: 'MessageBody',
+          selectors: ['[aria-label="Message body"]', '[id^="UniqueMessageBody"]'],
+          keyTerms: ['message', 'body'],
+          localizedKeyTerms: { de: ['nachrichtentext'], ja: ['メッセージ本文'] },
+          views: ['reading'],
+        },
+        {
+          name: 'SendButton',
+          selectors: ['[aria-label="Send"]', 'button[title^="Send"]'],
+          role: 'button',
+          keyTerms: ['send'],
+          localizedKeyTerms: { de: ['senden'], ja: ['送信'] },
+          views: ['compose'],
+        },
+        {
+          name: 'RecipientField',
+          selectors: ['[aria-label="To"]'],
+          role: 'textbox',
+          keyTerms: ['recipient'],
+          localizedKeyTerms: { de: ['empfänger'], ja: ['宛先'] },
+          views: ['compose'],
+        },
+        {
+          name: 'ComposeBody',
+          selectors: ['[contenteditable="true"][aria-label^="Message body"]'],
+          role: 'textbox',
+          keyTerms: ['message', 'body'],
+          localizedKeyTerms: { de: ['nachrichtentext'], ja: ['メッセージ本文'] },
+          views: ['compose'],
+        },
+      ],
+    }
+  }
+
+  /**
+   * Validate an anchor config and fill in optional fields
+   * Set includeDefaults to extend the built-in watchlist instead of replacing it;
+   * features with the same name replace the built-in ones.
+   * An optional "normalization" section holds the snapshot normalization settings
+   * (see resolveNormalization()).
+   * @param {Object} config - Anchor config, e.g. the contents of anchors.config.json
+   * @returns {Object} Config with a complete features array
+   * @throws {Error} If the config is malformed
+   */
+  static normalizeConfig(config) {
+    if (!config || !Array.isArray(config.features)) {
+      throw new Error('Anchor config must have a "features" array')
+    }
+
+    const isStringArray = value =>
+      Array.isArray(value) && value.every(item => typeof item === 'string')
+    const views = Object.keys(this.getViewProfiles())
+
+    const features = config.features.map((feature, index) => {
+      const label = feature && feature.name ? `"${feature.name}"` : `#${index + 1}`
+
+      if (!feature || typeof feature.name !== 'string' || !feature.name) {
+        throw new Error(`Anchor config feature ${label} must have a name`)
+      }
+      if (feature.selectors !== undefined && !isStringArray(feature.selectors)) {
+        throw new Error(`Anchor config feature ${label}: "selectors" must be an array of strings`)
+      }
+      if (feature.keyTerms !== undefined && !isStringArray(feature.keyTerms)) {
+        throw new Error(`Anchor config feature ${label}: "keyTerms" must be an array of strings`)
+      }
+      if (
+        feature.localizedKeyTerms !== undefined &&
+        !(
+          feature.localizedKeyTerms &&
+          typeof feature.localizedKeyTerms === 'object' &&
+          Object.values(feature.localizedKeyTerms).every(isStringArray)
+        )
+      ) {
+        throw new Error(
+          `Anchor config feature ${label}: "localizedKeyTerms" must map locales to arrays of strings`
+        )
+      }
+      if (feature.role !== undefined && feature.role !== null && typeof feature.role !== 'string') {
+        throw new Error(`Anchor config feature ${label}: "role" must be a string`)
+      }
+      if (
+        feature.views !== undefined &&
+        !(isStringArray(feature.views) && feature.views.every(view => views.includes(view)))
+      ) {
+        throw new Error(
+          `Anchor config feature ${label}: "views" must be an array of ${views.join(', ')}`
+        )
+      }
+
+      const normalized = {
+        name: feature.name,
+        selectors: feature.selectors || [],
+        role: feature.role || null,
+        keyTerms: feature.keyTerms || [],
+        localizedKeyTerms: feature.localizedKeyTerms || {},
+        views: feature.views || [],
+      }
+      if (
+        normalized.selectors.length === 0 &&
+        !normalized.role &&
+        !this.getFeatureKeyTerms(normalized).length
+      ) {
+        throw new Error(`Anchor config feature ${label} needs selectors, a role or key terms`)
+      }
+      return normalized
+    })
+
+    const normalization = config.normalization
+      ? { normalization: this.resolveNormalization(config.normalization) }
+      : {}
+
+    if (!config.includeDefaults) {
+      return { features, ...normalization }
+    }
+
+    const names = new Set(features.map(feature => feature.name))
+    const defaults = this.normalizeConfig(this.getDefaultConfig()).features
+    return {
+      features: [...defaults.filter(feature => !names.has(feature.name)), ...features],
+      ...normalization,
+    }
+  }
+
+  /**
+   * Landmarks that identify each Outlook view
+   * The reading and compose views are shown next to the message list and folder
+   * tree of the inbox, so a snapshot is only labeled inbox when it shows the inbox
+   * landmarks and not the landmarks of another view. Labels such as "Reply" only
+   * match English snapshots, so most landmarks also list a locale-neutral selector.
+   * @returns {Object} Landmark selectors per landmark name, per view
+   */
+  static getViewProfiles() {
+    return {
+      inbox: {
+        messageList: ['[data-app-section="MessageList"]', '[role="listbox"]', '.ms-List'],
+        folderTree: ['[data-app-section="NavigationPane"]', '[role="tree"]'],
+      },
+      reading: {
+        readingPane: ['#ItemReadingPaneContainer', '[data-app-section="ItemContainer"]'],
+        messageActions: ['[aria-label="Reply"]', '[aria-label="Forward"]'],
+        messageBody: [
+          '[aria-label^="Message body"]:not([contenteditable="true"])',
+          '[id^="UniqueMessageBody"]',
+        ],
+      },
+      compose: {
+        recipientFields: ['[aria-label="To"]', '[aria-label="Cc"]'],
+        composeBody: [
+          '[contenteditable="true"][aria-label^="Message body"]',
+          '[id^="editorParent"] [contenteditable="true"]',
+        ],
+        sendButton: [
+          '[aria-label="Send"]',
+          'button[title^="Send"]',
+          '[data-testid="ComposeSendButton"]',
+        ],
+        subjectField: ['[aria-label="Subject"]', 'input[placeholder="Add a subject"]'],
+      },
+    }
+  }
+
+  /**
+   * Label a snapshot as inbox, reading or compose from the landmarks it contains
+   * Each view scores the share of its landmarks found. The confidence is lowered
+   * by the landmarks of competing views; below half of its landmarks a view is
+   * not recognized.
+   * @param {Document} dom - Parsed snapshot
+   * @returns {Object} Detected view (or 'unknown'), confidence (0-1), score per view
+   *   and the landmarks found
+   */
+  static detectView(dom) {
+    const scores = {}
+    const landmarks = []
+    Object.entries(this.getViewProfiles()).forEach(([view, profile]) => {
+      const found = Object.keys(profile).filter(landmark =>
+        profile[landmark].some(selector => this._selectorMatches(dom, selector))
+      )
+      scores[view] = Math.round((found.length / Object.keys(profile).length) * 100) / 100
+      landmarks.push(...found)
+    })
+
+    const [best, runnerUp] = Object.keys(scores)
+      .filter(view => view !== 'inbox')
+      .sort((a, b) => scores[b] - scores[a])
+    let view = 'unknown'
+    let confidence = 0
+    if (scores[best] >= 0.5) {
+      view = best
+      confidence = scores[best] * (1 - scores[runnerUp])
+    } else if (scores.inbox >= 0.5) {
+      view = 'inbox'
+      confidence = scores.inbox * (1 - scores[best])
+    }
+
+    return { view, confidence: Math.round(confidence * 100) / 100, scores, landmarks }
+  }
+
+  /**
+   * Check that the snapshots of an analysis show the same (and the expected) view
+   * @param {Object} views - detectView() result per snapshot (label or before/after)
+   * @param {Object} [options] - Check options
+   * @param {string} [options.expectedView] - View every snapshot should show
+   * @returns {Array<string>} Warnings (empty if the views agree)
+   */
+  static checkViews(views, { expectedView = null } = {}) {
+    const warnings = []
+    const entries = Object.entries(views)
+    const distinct = new Set(entries.map(([, detection]) => detection.view))
+
+    if (distinct.size > 1) {
+      warnings.push(
+        `Snapshots show different views: ${entries
+          .map(([label, detection]) => `${label} is ${detection.view}`)
+          .join(', ')}`
+      )
+    }
+    if (expectedView) {
+      entries
+        .filter(([, detection]) => detection.view !== expectedView)
+        .forEach(([label, detection]) =>
+          warnings.push(`${label} shows the ${detection.view} view, not ${expectedView}`)
+        )
+    }
+    return warnings
+  }
+
+  /**
+   * Keep the features watched in a view
+   * @param {Array<Object>} features - Normalized features
+   * @param {string|null} view - Detected view (null or 'unknown' keeps every feature)
+   * @returns {Array<Object>} Features without views, and the features of the view
+   */
+  static selectViewFeatures(features, view) {
+    if (!view || view === 'unknown') {
+      return features
+    }
+    return features.filter(
+      feature => !feature.views || !feature.views.length || feature.views.includes(view)
+    )
+  }
+
+  /**
+   * The view all snapshots agree on, or null if they differ
+   * @private
+   */
+  static _getSharedView(views) {
+    const distinct = new Set(Object.values(views).map(detection => detection.view))
+    return distinct.size === 1 ? [...distinct][0] : null
+  }
+
+  /**
+   * Throw with the checkViews() warnings when strictView is set
+   * @private
+   */
+  static _enforceViews(views, { expectedView, strictView }) {
+    const warnings = this.checkViews(views, { expectedView })
+    if (strictView && warnings.length > 0) {
+      throw new Error(warnings.join('; '))
+    }
+  }
+
+  /**
+   * Parse an HTML string into a DOM document
+   * Uses the browser's DOMParser; environments without one override this method
+   * @param {string} html - HTML content
+   * @returns {Document} DOM document
+   */
+  static parseHTML(html) {
+    return new DOMParser().parseFromString(html, 'text/html')
+  }
+
+  /**
+   * Flatten a parsed document into the node list read by linkedom's parseJSON()
+   * The browser UI parses snapshots with the browser's own parser and hands them to its
+   * Web Worker in this form (see analyzers/worker-dom-diff.js): a type, then its name or
+   * text, for each node in document order, and -1 where an element or the document ends.
+   * @param {Node} node - Document or element to flatten
+   * @param {Array} [nodes] - List to append to
+   * @returns {Array<number|string>} Node list
+   */
+  static toNodeList(node, nodes = []) {
+    switch (node.nodeType) {
+      case 1:
+        nodes.push(1, node.localName)
+        Array.from(node.attributes).forEach(attr => nodes.push(2, attr.name, attr.value))
+        node.childNodes.forEach(child => this.toNodeList(child, nodes))
+        nodes.push(-1)
+        break
+      case 3:
+      case 4:
+      case 8:
+        nodes.push(node.nodeType, node.data)
+        break
+      case 9:
+        nodes.push(9)
+        node.childNodes.forEach(child => this.toNodeList(child, nodes))
+        nodes.push(-1)
+        break
+      case 10:
+        nodes.push(10, node.name, node.publicId, node.systemId)
+        break
+    }
+    return nodes
+  }
+
+  /**
+   * Built-in snapshot normalization, used by normalizeSnapshot()
+   * Steps run in this order: drop-elements removes the elements matching dropElements,
+   * drop-comments removes comments, strip-svg empties inline SVGs (the <svg> element
+   * and its attributes stay), mask-data-uris shortens data: URIs to their media type,
+   * mask-attributes replaces each masks pattern in attribute values by {name}, and
+   * collapse-whitespace drops indentation and collapses the remaining whitespace.
+   * @returns {Object} Normalization settings
+   */
+  static getDefaultNormalization() {
+    return {
+      steps: [
+        'drop-elements',
+        'drop-comments',
+        'strip-svg',
+        'mask-data-uris',
+        'mask-attributes',
+        'collapse-whitespace',
+      ],
+      dropElements: ['script', 'style', 'noscript', 'template', 'link', 'meta'],
+      masks: [
+        {
+          name: 'guid',
+          pattern: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}',
+        },
+        {
+          name: 'timestamp',
+          pattern:
+            '\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?(?:Z|[+-]\\d{2}:?\\d{2})?|\\b1\\d{12}\\b',
+        },
+        {
+          name: 'token',
+          pattern: '\\b(?=(?:[A-Za-z_+%-]*\\d){4})(?=[\\w+%-]*[A-Za-z])[\\w+%-]{32,}={0,2}',
+        },
+      ],
+    }
+  }
+
+  /**
+   * Validate normalization settings and fill in the missing ones from the defaults
+   * @param {Object} [settings] - Partial settings, e.g. the "normalization" section of
+   *   an anchor config; every given key replaces the built-in value
+   * @returns {Object} Complete normalization settings
+   * @throws {Error} If the settings are malformed
+   */
+  static resolveNormalization(settings = {}) {
+    const defaults = this.getDefaultNormalization()
+    const { steps, dropElements, masks } = { ...defaults, ...settings }
+    const isStringArray = value =>
+      Array.isArray(value) && value.every(item => typeof item === 'string')
+
+    if (!isStringArray(steps)) {
+      throw new Error('Normalization "steps" must be an array of step names')
+    }
+    const unknownStep = steps.find(step => !defaults.steps.includes(step))
+    if (unknownStep) {
+      throw new Error(
+        `Unknown normalization step "${unknownStep}" (expected ${defaults.steps.join(', ')})`
+      )
+    }
+    if (!isStringArray(dropElements)) {
+      throw new Error('Normalization "dropElements" must be an array of selectors')
+    }
+    if (!Array.isArray(masks)) {
+      throw new Error('Normalization "masks" must be an array of {name, pattern} objects')
+    }
+    masks.forEach((mask, index) => {
+      if (!mask || !/^[\w-]+$/.test(mask.name) || typeof mask.pattern !== 'string') {
+        throw new Error(
+          `Normalization mask #${index + 1} needs a name (letters, digits, -) and a pattern`
+        )
+      }
+      try {
+        new RegExp(mask.pattern, 'g')
+      } catch (error) {
+        throw new Error(`Normalization mask "${mask.name}": ${error.message}`)
+      }
+    })
+
+    // Keep the step order of the pipeline, whatever order they were listed in
+    return {
+      steps: defaults.steps.filter(step => steps.includes(step)),
+      dropElements,
+      masks: masks.map(({ name, pattern }) => ({ name, pattern })),
+    }
+  }
+
+  /**
+   * Strip noise that does not affect anchors from a snapshot before it is analyzed
+   * @param {string} html - Raw snapshot
+   * @param {Object} [settings] - Normalization settings (see resolveNormalization())
+   * @returns {Object} Normalized HTML and the number of nodes and values each step changed
+   */
+  static normalizeSnapshot(html, settings = {}) {
+    const { steps, dropElements, masks } = this.resolveNormalization(settings)
+    const dom = this.parseHTML(html)
+    const stats = {
+      droppedElements: 0,
+      droppedComments: 0,
+      strippedSvgNodes: 0,
+      maskedDataUris: 0,
+      maskedValues: 0,
+      collapsedTextNodes: 0,
+    }
+
+    if (steps.includes('drop-elements') && dropElements.length > 0) {
+      dom.querySelectorAll(dropElements.join(', ')).forEach(element => {
+        // Skip elements already removed with a dropped ancestor
+        if (element.isConnected) {
+          element.remove()
+          stats.droppedElements++
+        }
+      })
+    }
+
+    if (steps.includes('drop-comments')) {
+      this._collectNodes(dom, 8).forEach(comment => {
+        comment.remove()
+        stats.droppedComments++
+      })
+    }
+
+    if (steps.includes('strip-svg')) {
+      dom.querySelectorAll('svg').forEach(svg => {
+        stats.strippedSvgNodes += this._collectNodes(svg).length - 1
+        svg.replaceChildren()
+      })
+    }
+
+    const valueMasks = []
+    if (steps.includes('mask-data-uris')) {
+      valueMasks.push({
+        pattern: /\bdata:([\w.+-]+\/[\w.+-]+)?[^,"'()\s]*,[^"'()\s]+/g,
+        replacement: (match, mediaType = '') => `data:${mediaType},{data}`,
+        stat: 'maskedDataUris',
+      })
+    }
+    if (steps.includes('mask-attributes')) {
+      masks.forEach(({ name, pattern }) =>
+        valueMasks.push({
+          pattern: new RegExp(pattern, 'g'),
+          replacement: `{${name}}`,
+          stat: 'maskedValues',
+        })
+      )
+    }
+    if (valueMasks.length > 0) {
+      dom.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attr => {
+          let value = attr.value
+          valueMasks.forEach(({ pattern, replacement, stat }) => {
+            value = value.replace(pattern, (...match) => {
+              stats[stat]++
+              return typeof replacement === 'function' ? replacement(...match) : replacement
+            })
+          })
+          if (value !== attr.value) {
+            element.setAttribute(attr.name, value)
+          }
+        })
+      })
+    }
+
+    if (steps.includes('collapse-whitespace')) {
+      this._collectNodes(dom, 3).forEach(text => {
+        if (text.parentElement && text.parentElement.closest('pre, textarea, script, style')) {
+          return
+        }
+        // Whitespace-only nodes spanning lines are source indentation
+        const value = /^\s*\n\s*$/.test(text.data) ? '' : text.data.replace(/\s+/g, ' ')
+        if (value === text.data) {
+          return
+        }
+        if (value) {
+          text.data = value
+        } else {
+          text.remove()
+        }
+        stats.collapsedTextNodes++
+      })
+    }
+
+    return { html: this._serializeSnapshot(dom, html), stats }
+  }
+
+  /**
+   * Collect the descendants of a node (and the node itself) in document order
+   * @private
+   * @param {Node} root - Node to start from
+   * @param {number} [nodeType] - Only collect nodes of this type (3 = text, 8 = comment)
+   * @returns {Array<Node>}
+   */
+  static _collectNodes(root, nodeType = null) {
+    const nodes = []
+    const stack = [root]
+    while (stack.length > 0) {
+      const node = stack.pop()
+      if (nodeType === null || node.nodeType === nodeType) {
+        nodes.push(node)
+      }
+      for (let child = node.lastChild; child; child = child.previousSibling) {
+        stack.push(child)
+      }
+    }
+    return nodes
+  }
+
+  /**
+   * Serialize a parsed snapshot in the shape it was captured in
+   * Fragments (no <html> tag) are written back as their <body>
+   * @private
+   */
+  static _serializeSnapshot(dom, originalHTML) {
+    if (!/<html[\s>]/i.test(originalHTML)) {
+      return dom.body.outerHTML
+    }
+    const doctype = dom.doctype ? `<!DOCTYPE ${dom.doctype.name}>\n` : ''
+    return doctype + dom.documentElement.outerHTML
+  }
+
+  /**
+   * Analyze an ordered sequence of snapshots of the same view
+   * Stability is scored across the whole sequence: an attribute value or anchor
+   * only counts as stable if it survives every version.
+   * @param {Array<string>} htmlList - HTML snapshots, oldest first
+   * @param {Object} [options] - Analysis options
+   * @param {Array<string>} [options.labels] - Version labels (defaults to v1, v2, ...)
+   * @param {Object} [options.config] - Anchor watchlist (defaults to getDefaultConfig())
+   * @param {string} [options.expectedView] - View every snapshot should show (see checkViews())
+   * @param {boolean} [options.strictView] - Throw instead of analyzing if checkViews() warns
+   * @returns {Object} Timeline report with survival data per attribute value and anchor
+   */
+  static analyzeTimeline(htmlList, options = {}) {
+    if (htmlList.length < 2) {
+      throw new Error('A timeline needs at least two snapshots')
+    }
+
+    const { features } = this.normalizeConfig(options.config || this.getDefaultConfig())
+    const labels = options.labels || htmlList.map((_, index) => `v${index + 1}`)
+    const doms = htmlList.map(html => this.parseHTML(html))
+    const views = Object.fromEntries(
+      labels.map((label, index) => [label, this.detectView(doms[index])])
+    )
+    this._enforceViews(views, options)
+    const view = this._getSharedView(views)
+    const firstDOM = doms[0]
+    const lastDOM = doms[doms.length - 1]
+    const intermediateDOMs = doms.slice(1, -1)
+    const volatility = this.buildVolatilityProfile(doms)
+
+    const recommendedAnchors = this.generateAnchorRecommendations(
+      firstDOM,
+      lastDOM,
+      features,
+      intermediateDOMs,
+      volatility,
+      view
+    )
+
+    return {
+      versions: labels,
+      view,
+      views,
+      stableAttributes: this.findStableAttributes(firstDOM, lastDOM, intermediateDOMs, volatility),
+      attributeSurvival: this.traceAttributeSurvival(doms, labels),
+      recommendedAnchors,
+      anchorSurvival: this.traceAnchorSurvival(
+        doms,
+        labels,
+        recommendedAnchors,
+        this.selectViewFeatures(features, view)
+      ),
+    }
+  }
+
+  /**
+   * Compare snapshots of the same view in different display languages
+   * Anchors are recommended as for a timeline of the locales, then every candidate
+   * is checked in each locale: the best one that matches in all of them without
+   * relying on localized text is locale-neutral. Features without a locale-neutral
+   * anchor get a label map instead, with the localized label of the feature's
+   * element and a selector for it in each locale.
+   * @param {Array<Object>} snapshots - {locale, html} per display language, reference
+   *   locale first; the locale is read from the lang attribute when omitted
+   * @param {Object} [options] - Analysis options
+   * @param {Object} [options.config] - Anchor watchlist (defaults to getDefaultConfig())
+   * @param {string} [options.expectedView] - View every snapshot should show (see checkViews())
+   * @param {boolean} [options.strictView] - Throw instead of analyzing if checkViews() warns
+   * @returns {Object} Locales, detected views and a locale-checked anchor per feature
+   * @throws {Error} With fewer than two snapshots, or a missing or repeated locale
+   */
+  static compareLocales(snapshots, options = {}) {
+    if (snapshots.length < 2) {
+      throw new Error('Comparing locales needs snapshots in at least two locales')
+    }
+
+    const { features } = this.normalizeConfig(options.config || this.getDefaultConfig())
+    const doms = snapshots.map(snapshot => this.parseHTML(snapshot.html))
+    const locales = snapshots.map((snapshot, index) => {
+      const locale = snapshot.locale || this.detectLocale(doms[index])
+      if (!locale) {
+        throw new Error(
+          `Snapshot ${index + 1} declares no language (lang attribute); its locale must be given`
+        )
+      }
+      return locale
+    })
+    const repeated = locales.find((locale, index) => locales.indexOf(locale) !== index)
+    if (repeated) {
+      throw new Error(`More than one snapshot has the locale "${repeated}"`)
+    }
+
+    const views = Object.fromEntries(
+      locales.map((locale, index) => [locale, this.detectView(doms[index])])
+    )
+    this._enforceViews(views, options)
+    const view = this._getSharedView(views)
+    const [referenceDOM, ...otherDOMs] = doms
+    const volatility = this.buildVolatilityProfile(doms)
+    const recommendations = this.generateAnchorRecommendations(
+      referenceDOM,
+      otherDOMs[otherDOMs.length - 1],
+      features,
+      otherDOMs.slice(0, -1),
+      volatility,
+      view
+    )
+
+    // Element matches between the reference and each other locale, computed on demand
+    const elementMatches = new Map()
+    const matchesOf = dom => {
+      if (!elementMatches.has(dom)) {
+        elementMatches.set(dom, this._matchElementTrees(referenceDOM, dom))
+      }
+      return elementMatches.get(dom)
+    }
+    const findIn = selector =>
+      Object.fromEntries(
+        locales.map((locale, index) => [locale, this._selectorMatches(doms[index], selector)])
+      )
+
+    const anchors = {}
+    this.selectViewFeatures(features, view).forEach(feature => {
+      const { primarySelector, alternativeSelectors } = recommendations[feature.name]
+      const checked = [primarySelector, ...alternativeSelectors]
+        .filter(selector => selector)
+        .map(selector => ({
+          selector,
+          found: findIn(selector),
+          localized: this.findLocalizedAttributes(selector).length > 0,
+        }))
+      const everywhere = checked.filter(candidate => Object.values(candidate.found).every(Boolean))
+      const neutral = everywhere.filter(candidate => !candidate.localized)
+      const best = neutral[0] || everywhere[0] || null
+
+      let labels = null
+      if (neutral.length === 0) {
+        const element = this._findFeatureElement(
+          referenceDOM,
+          feature,
+          checked.map(candidate => candidate.selector),
+          volatility
+        )
+        labels =
+          element &&
+          this._getLabelMap(
+            element,
+            locales,
+            doms.map((dom, index) => (index === 0 ? element : matchesOf(dom).get(element) || null))
+          )
+      }
+
+      anchors[feature.name] = {
+        primarySelector: best ? best.selector : null,
+        alternativeSelectors: neutral.slice(1, 4).map(candidate => candidate.selector),
+        localeNeutral: neutral.length > 0,
+        localized: best ? best.localized : false,
+        foundIn: best ? best.found : Object.fromEntries(locales.map(locale => [locale, false])),
+        labels,
+      }
+    })
+
+    return { referenceLocale: locales[0], locales, view, views, localeAnchors: anchors }
+  }
+
+  /**
+   * Attributes whose values are UI text, translated into the display language
+   * @returns {Array<string>} Attribute names, most commonly used first
+   */
+  static getLocalizedAttributes() {
+    return [
+      'aria-label',
+      'title',
+      'placeholder',
+      'alt',
+      'aria-description',
+      'aria-placeholder',
+      'aria-roledescription',
+      'aria-valuetext',
+    ]
+  }
+
+  /**
+   * List the localized attributes a selector compares values of
+   * A selector such as [aria-label*="New mail"] only matches snapshots in the
+   * language its value is written in; presence tests such as [title] do not count.
+   * @param {string} selector - CSS selector
+   * @returns {Array<string>} Localized attribute names (empty if the selector is locale-neutral)
+   */
+  static findLocalizedAttributes(selector) {
+    const localized = this.getLocalizedAttributes()
+    const found = new Set()
+    for (const [, name] of selector.matchAll(/\[\s*([\w-]+)\s*[~|^$*]?=/g)) {
+      if (localized.includes(name.toLowerCase())) {
+        found.add(name.toLowerCase())
+      }
+    }
+    return [...found]
+  }
+
+  /**
+   * Read the display language a snapshot declares in a lang attribute
+   * @param {Document} dom - Parsed snapshot
+   * @returns {string|null} Language tag (e.g. 'de-DE'), or null if none is declared
+   */
+  static detectLocale(dom) {
+    const element = [dom.documentElement, dom.body, dom.querySelector('[lang]')].find(
+      candidate => candidate && candidate.getAttribute('lang')
+    )
+    return element ? element.getAttribute('lang').trim() : null
+  }
+
+  /**
+   * Key terms of a feature in every language of the config
+   * Terms are matched case-insensitively, and terms of another language rarely
+   * occur in a snapshot, so the merged list scores snapshots in any of them.
+   * @param {Object} feature - Feature from the anchor config
+   * @returns {Array<string>} keyTerms followed by the localizedKeyTerms, without duplicates
+   */
+  static getFeatureKeyTerms(feature) {
+    const terms = [
+      ...(feature.keyTerms || []),
+      ...Object.values(feature.localizedKeyTerms || {}).flat(),
+    ]
+    const seen = new Set()
+    return terms.filter(term => {
+      const key = term.toLowerCase()
+      if (seen.has(key)) {
+        return false
+      }
+      seen.add(key)
+      return true
+    })
+  }
+
+  /**
+   * Find the element of a feature in a snapshot
+   * Tries the given selectors, then the declared ones, then the best match of
+   * the feature's role and key terms.
+   * @private
+   * @returns {Element|null}
+   */
+  static _findFeatureElement(dom, feature, selectors, volatility) {
+    for (const selector of [...selectors, ...feature.selectors]) {
+      try {
+        const element = dom.querySelector(selector)
+        if (element) {
+          return element
+        }
+      } catch (error) {
+        // Invalid selector, try the next one
+      }
+    }
+
+    const [best] = this._findStableElementsMatchingFeature(
+      dom,
+      dom,
+      feature.role,
+      this.getFeatureKeyTerms(feature),
+      volatility
+    ).sort((a, b) => b.stabilityScore - a.stabilityScore)
+    return best ? best.beforeEl : null
+  }
+
+  /**
+   * Map the localized label of an element to its value and a selector per locale
+   * @private
+   * @param {Element} element - The element in the reference locale
+   * @param {Array<string>} locales - Locales, reference first
+   * @param {Array<Element|null>} elements - The element in each locale (null if not matched)
+   * @returns {Object|null} Label attribute with values and selectors per locale, or null if
+   *   the element has no localized attribute
+   */
+  static _getLabelMap(element, locales, elements) {
+    const attribute = this.getLocalizedAttributes().find(name => element.getAttribute(name))
+    if (!attribute) {
+      return null
+    }
+
+    const values = {}
+    const selectors = {}
+    locales.forEach((locale, index) => {
+      const value = elements[index] ? elements[index].getAttribute(attribute) : null
+      values[locale] = value || null
+      selectors[locale] = value
+        ? `${elements[index].tagName.toLowerCase()}${this._attributeSelector(attribute, value)}`
+        : null
+    })
+    return { attribute, values, selectors }
+  }
+
+  /**
+   * Check existing selectors, e.g. the ones an extension ships, against two snapshots
+   * A selector is followed from the element it found before the update to the element
+   * that best matches it afterwards (see _findMatchingElement), so a selector that
+   * still matches but now finds a different element is reported as retargeted.
+   * @param {string} beforeHTML - HTML before update
+   * @param {string} afterHTML - HTML after update
+   * @param {Array<Object>} selectors - Named selectors ({name, selector})
+   * @returns {Object} Per selector match counts and status, and the number of selectors per status
+   */
+  static verifySelectors(beforeHTML, afterHTML, selectors) {
+    const beforeDOM = this.parseHTML(beforeHTML)
+    const afterDOM = this.parseHTML(afterHTML)
+    const afterElements = afterDOM.querySelectorAll('*')
+
+    const results = selectors.map(({ name, selector }) => ({
+      name,
+      selector,
+      ...this._verifySelector(beforeDOM, afterDOM, selector, afterElements),
+    }))
+
+    const summary = { total: results.length }
+    results.forEach(result => {
+      summary[result.status] = (summary[result.status] || 0) + 1
+    })
+
+    return { selectors: results, summary }
+  }
+
+  /**
+   * Match one selector in both versions and classify the outcome
+   * Statuses: ok, ambiguous (matches more than one element), retargeted (first match
+   * is no longer the same element), broken (no longer matches), new (only matches
+   * after), missing (matches in neither) and invalid (not a valid selector)
+   * @private
+   */
+  static _verifySelector(beforeDOM, afterDOM, selector, afterElements) {
+    let beforeMatches, afterMatches
+    try {
+      beforeMatches = beforeDOM.querySelectorAll(selector)
+      afterMatches = afterDOM.querySelectorAll(selector)
+    } catch (error) {
+      return {
+        beforeCount: 0,
+        afterCount: 0,
+        unique: false,
+        sameElement: null,
+        status: 'invalid',
+        error: error.message,
+      }
+    }
+
+    const beforeEl = beforeMatches[0] || null
+    const afterEl = afterMatches[0] || null
+    // querySelector() returns the first match, so that is the element callers rely on
+    const expectedEl = beforeEl ? this._findMatchingElement(beforeEl, afterElements) : null
+    const sameElement = beforeEl && afterEl ? afterEl === expectedEl : null
+
+    let status = 'ok'
+    if (!beforeEl && !afterEl) {
+      status = 'missing'
+    } else if (!beforeEl) {
+      status = 'new'
+    } else if (!afterEl) {
+      status = 'broken'
+    } else if (!sameElement) {
+      status = 'retargeted'
+    } else if (afterMatches.length > 1) {
+      status = 'ambiguous'
+    }
+
+    return {
+      beforeCount: beforeMatches.length,
+      afterCount: afterMatches.length,
+      unique: afterMatches.length === 1,
+      sameElement,
+      status,
+      beforePath: beforeEl ? this._getElementPath(beforeEl) : null,
+      afterPath: afterEl ? this._getElementPath(afterEl) : null,
+      expectedPath: expectedEl ? this._getElementPath(expectedEl) : null,
+    }
+  }
+
+  /**
+   * Find attributes that remain consistent between DOM snapshots
+   * Common values that look generated are listed under volatileValues and do not
+   * count towards the stability score.
+   * @param {Document} beforeDOM - DOM before update
+   * @param {Document} afterDOM - DOM after update
+   * @param {Array<Document>} [intermediateDOMs] - DOMs of versions in between (timeline mode)
+   * @param {Object} [volatility] - Profile from buildVolatilityProfile()
+   * @returns {Object} Map of stable attributes and their reliability score
+   */
+  static findStableAttributes(
+    beforeDOM,
+    afterDOM,
+    intermediateDOMs = [],
+    volatility = this.buildVolatilityProfile([beforeDOM, ...intermediateDOMs, afterDOM])
+  ) {
+    const stableAttributes = {}
+
+    // Check each attribute type for stability
+    this._getTrackedAttributes().forEach(attrType => {
+      const beforeValues = this._getAttributeValues(beforeDOM, attrType)
+      const afterValues = this._getAttributeValues(afterDOM, attrType)
+      const intermediateValues = intermediateDOMs.map(dom =>
+        this._getAttributeValues(dom, attrType)
+      )
+
+      // Find intersection of attribute values (across every version in timeline mode)
+      const commonValues = [...beforeValues].filter(
+        value => afterValues.has(value) && intermediateValues.every(values => values.has(value))
+      )
+
+      // Set aside values that only matched because a generated token happened to repeat
+      const stableValues = []
+      const volatileValues = []
+      commonValues.forEach(value => {
+        const reasons = this._getVolatilityReasons(attrType, value, volatility)
+        if (reasons.length > 0) {
+          volatileValues.push({ value, reasons })
+        } else {
+          stableValues.push(value)
+        }
+      })
+
+      // Calculate stability score (percentage of values that remained stable)
+      const stabilityScore =
+        beforeValues.size > 0 ? (stableValues.length / beforeValues.size) * 100 : 0
+
+      stableAttributes[attrType] = {
+        totalBefore: beforeValues.size,
+        totalAfter: afterValues.size,
+        commonCount: commonValues.length,
+        volatileCount: volatileValues.length,
+        stabilityScore: stabilityScore.toFixed(2),
+        stableValues,
+        volatileValues,
+      }
+    })
+
+    return stableAttributes
+  }
+
+  /**
+   * Attribute types whose values are compared between versions
+   * @private
+   */
+  static _getTrackedAttributes() {
+    return ['id', 'class', 'data-testid', 'role', 'aria-label', 'name']
+  }
+
+  /**
+   * Collect the distinct values of an attribute in a document
+   * @private
+   * @returns {Set<string>}
+   */
+  static _getAttributeValues(dom, attrType) {
+    return new Set(
+      Array.from(dom.querySelectorAll(`[${attrType}]`)).map(el => el.getAttribute(attrType))
+    )
+  }
+
+  /**
+   * Record in which versions each attribute value appears
+   * @param {Array<Document>} doms - DOMs in version order
+   * @param {Array<string>} labels - Version labels
+   * @returns {Object} Per attribute type, the survival record of every value seen
+   */
+  static traceAttributeSurvival(doms, labels) {
+    const survival = {}
+
+    this._getTrackedAttributes().forEach(attrType => {
+      const valuesPerVersion = doms.map(dom => this._getAttributeValues(dom, attrType))
+      const allValues = new Set()
+      valuesPerVersion.forEach(values => values.forEach(value => allValues.add(value)))
+
+      survival[attrType] = [...allValues].map(value => ({
+        value,
+        ...this._traceSurvival(
+          valuesPerVersion.map(values => values.has(value)),
+          labels
+        ),
+      }))
+    })
+
+    return survival
+  }
+
+  /**
+   * Record in which versions each recommended and configured selector matches
+   * @param {Array<Document>} doms - DOMs in version order
+   * @param {Array<string>} labels - Version labels
+   * @param {Object} recommendedAnchors - Output of generateAnchorRecommendations
+   * @param {Array<Object>} features - Watched features
+   * @returns {Object} Per feature, the survival record of each selector
+   */
+  static traceAnchorSurvival(doms, labels, recommendedAnchors, features) {
+    const survival = {}
+
+    features.forEach(feature => {
+      const anchor = recommendedAnchors[feature.name] || {}
+      const selectors = [
+        ...(anchor.primarySelector ? [[anchor.primarySelector, 'primary']] : []),
+        ...(anchor.alternativeSelectors || []).map(selector => [selector, 'alternative']),
+        ...feature.selectors.map(selector => [selector, 'configured']),
+      ]
+      const seen = new Set()
+
+      survival[feature.name] = selectors
+        .filter(([selector]) => !seen.has(selector) && seen.add(selector))
+        .map(([selector, source]) => ({
+          selector,
+          source,
+          ...this._traceSurvival(
+            doms.map(dom => this._selectorMatches(dom, selector)),
+            labels
+          ),
+        }))
+    })
+
+    return survival
+  }
+
+  /**
+   * Summarize per-version presence flags
+   * @private
+   * @returns {Object} Versions present in, first version seen and first version it broke in
+   */
+  static _traceSurvival(presence, labels) {
+    const firstSeen = presence.indexOf(true)
+    const firstBroken = firstSeen === -1 ? -1 : presence.indexOf(false, firstSeen)
+
+    return {
+      presentIn: labels.filter((_, index) => presence[index]),
+      firstSeenIn: firstSeen === -1 ? null : labels[firstSeen],
+      firstBrokenIn: firstBroken === -1 ? null : labels[firstBroken],
+    }
+  }
+
+  /**
+   * Check whether a selector matches anything in a document
+   * Invalid selectors never match
+   * @private
+   */
+  static _selectorMatches(dom, selector) {
+    try {
+      return dom.querySelector(selector) !== null
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * Classify an attribute value token as generated or hand-written
+   * Generated tokens (auto-incremented ids, GUIDs, CSS-in-JS and CSS module hashes)
+   * are recognized by pattern and by entropy, and tokens masked by normalizeSnapshot()
+   * are flagged too; with a volatility profile, tokens whose numbering rotated between
+   * snapshots are flagged as well.
+   * @param {string} token - Single id, class name or attribute value
+   * @param {Object} [volatility] - Profile from buildVolatilityProfile()
+   * @returns {Array<string>} Reasons the token looks generated (empty if it looks stable)
+   */
+  static classifyVolatility(token, volatility = null) {
+    const reasons = []
+    const bareToken = token.replace(/_/g, '')
+
+    if (/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i.test(token)) {
+      reasons.push('guid')
+    }
+
+    if (/^id__\d+$/.test(token) || /^\d+(-[A-Za-z]+)*$/.test(token)) {
+      reasons.push('auto-id')
+    } else if (/[-_][A-Za-z]{0,4}\d+$/.test(token) || /^[A-Za-z]+\d+$/.test(token)) {
+      reasons.push('counter-suffix')
+    }
+
+    if (
+      /^(css|sc|jsx|emotion|styled)-[A-Za-z0-9]+$/.test(token) ||
+      /^_{3}/.test(token) ||
+      (token.length >= 12 && /^[A-Za-z0-9+/_-]+={0,2}$/.test(token) && /[+/=]/.test(token)) ||
+      (/^[fr][a-z0-9]{5,8}$/.test(token) && /\d/.test(token))
+    ) {
+      reasons.push('css-hash')
+    } else if (
+      /^[A-Za-z0-9_]{5,10}$/.test(token) &&
+      /[A-Za-z]/.test(bareToken) &&
+      ((!/^([A-Z]?[a-z]{2,}|[A-Z]{2,})+$/.test(bareToken) &&
+        this._getCharClassTransitions(bareToken) / (bareToken.length - 1) >= 0.5) ||
+        this._getVowelRatio(bareToken) <= 0.15)
+    ) {
+      reasons.push('hash-like')
+    } else if (
+      /^[A-Za-z0-9]{12,}$/.test(token) &&
+      (token.match(/\d/g) || []).length / token.length >= 0.15 &&
+      this._getShannonEntropy(token) >= 3.5
+    ) {
+      reasons.push('high-entropy')
+    }
+
+    if (/\{[\w-]+\}/.test(token)) {
+      reasons.push('masked')
+    }
+
+    if (volatility && volatility.rotating.has(this._getTokenSkeleton(token))) {
+      reasons.push('rotates')
+    }
+
+    return reasons
+  }
+
+  /**
+   * Learn which numbered tokens rotate between snapshots
+   * A token rotates when it disappears while a token of the same shape with
+   * different numbers appears (id__13 -> id__15, root-158 -> root-160).
+   * @param {Array<Document>} doms - DOMs in version order
+   * @returns {Object} Volatility profile for classifyVolatility()
+   */
+  static buildVolatilityProfile(doms) {
+    const rotating = new Set()
+    const tokensPerVersion = doms.map(dom => this._collectAttributeTokens(dom))
+
+    for (let i = 1; i < tokensPerVersion.length; i++) {
+      const previous = tokensPerVersion[i - 1]
+      const current = tokensPerVersion[i]
+      const skeletonsOf = (tokens, others) =>
+        new Set(
+          [...tokens]
+            .filter(token => !others.has(token) && /\d/.test(token))
+            .map(token => this._getTokenSkeleton(token))
+        )
+
+      const removed = skeletonsOf(previous, current)
+      skeletonsOf(current, previous).forEach(skeleton => {
+        if (removed.has(skeleton)) {
+          rotating.add(skeleton)
+        }
+      })
+    }
+
+    return { rotating }
+  }
+
+  /**
+   * Collect the volatility reasons of every token in an attribute value
+   * @private
+   * @returns {Array<string>} Distinct reasons (empty if the value looks stable)
+   */
+  static _getVolatilityReasons(attrType, value, volatility) {
+    const reasons = new Set()
+    this._getVolatileTokens(attrType, value).forEach(token => {
+      this.classifyVolatility(token, volatility).forEach(reason => reasons.add(reason))
+    })
+    return [...reasons]
+  }
+
+  /**
+   * Split an attribute value into the tokens that are checked for volatility
+   * Class lists are split into class names; text attributes are never volatile
+   * @private
+   */
+  static _getVolatileTokens(attrType, value) {
+    if (attrType === 'role' || attrType === 'aria-label') {
+      return []
+    }
+    return attrType === 'class' ? value.split(/\s+/).filter(c => c) : [value]
+  }
+
+  /**
+   * Collect the id, class and data-* tokens of a document
+   * @private
+   * @returns {Set<string>}
+   */
+  static _collectAttributeTokens(dom) {
+    const tokens = new Set()
+    dom.querySelectorAll('*').forEach(element => {
+      Array.from(element.attributes).forEach(attr => {
+        if (attr.name === 'id' || attr.name === 'class' || attr.name.startsWith('data-')) {
+          this._getVolatileTokens(attr.name, attr.value).forEach(token => tokens.add(token))
+        }
+      })
+    })
+    return tokens
+  }
+
+  /**
+   * Replace every number in a token so rotated tokens share a skeleton
+   * @private
+   */
+  static _getTokenSkeleton(token) {
+    return token.replace(/\d+/g, '#')
+  }
+
+  /**
+   * Count switches between lowercase, uppercase and digit characters
+   * @private
+   */
+  static _getCharClassTransitions(token) {
+    const charClass = char => (/\d/.test(char) ? 'd' : char === char.toUpperCase() ? 'u' : 'l')
+    let transitions = 0
+    for (let i = 1; i < token.length; i++) {
+      if (charClass(token[i]) !== charClass(token[i - 1])) {
+        transitions++
+      }
+    }
+    return transitions
+  }
+
+  /**
+   * Share of vowels in a token; generated tokens rarely read like words
+   * @private
+   */
+  static _getVowelRatio(token) {
+    return (token.match(/[aeiou]/gi) || []).length / token.length
+  }
+
+  /**
+   * Shannon entropy of a string in bits per character
+   * @private
+   */
+  static _getShannonEntropy(token) {
+    const counts = {}
+    for (const char of token) {
+      counts[char] = (counts[char] || 0) + 1
+    }
+    return Object.values(counts).reduce((entropy, count) => {
+      const p = count / token.length
+      return entropy - p * Math.log2(p)
+    }, 0)
+  }
+
+  /**
+   * Identify selectors that have changed between versions
+   * @param {Document} beforeDOM - DOM before update
+   * @param {Document} afterDOM - DOM after update
+   * @param {Array<Object>} [features] - Watched features (defaults to getDefaultConfig())
+   * @returns {Object} List of changed selectors with before/after states
+   */
+  static identifyChangedSelectors(
+    beforeDOM,
+    afterDOM,
+    features = this.normalizeConfig(this.getDefaultConfig()).features
+  ) {
+    const changedSelectors = []
+
+    // Only features that declare candidate selectors can be monitored
+    const criticalElements = features.filter(feature => feature.selectors.length > 0)
+
+    criticalElements.forEach(element => {
+      const beforeResults = this._findElementMatchingSelectors(beforeDOM, element.selectors)
+      const afterResults = this._findElementMatchingSelectors(afterDOM, element.selectors)
+
+      if (
+        beforeResults.selector !== afterResults.selector ||
+        !beforeResults.found !== !afterResults.found
+      ) {
+        changedSelectors.push({
+          elementName: element.name,
+          before: beforeResults,
+          after: afterResults,
+          status: !beforeResults.found ? 'added' : !afterResults.found ? 'removed' : 'changed',
+        })
+      }
+    })
+
+    return changedSelectors
+  }
+
+  /**
+   * Find the first element matching any of the provided selectors
+   * @private
+   */
+  static _findElementMatchingSelectors(dom, selectors) {
+    for (const selector of selectors) {
+      try {
+        const element = dom.querySelector(selector)
+        if (element) {
+          return {
+            found: true,
+            selector: selector,
+            element: this._getElementMetadata(element),
+          }
+        }
+      } catch (error) {
+        // Invalid selector, continue to next one
+      }
+    }
+    return { found: false }
+  }
+
+  /**
+   * Extract useful metadata about an element for comparison
+   * @private
+   */
+  static _getElementMetadata(element) {
+    return {
+      tagName: element.tagName,
+      attributes: this._getAttributes(element),
+      childrenCount: element.children.length,
+      textContentLength: element.textContent.length,
+      path: this._getElementPath(element),
+    }
+  }
+
+  /**
+   * Get all attributes of an element as an object
+   * @private
+   */
+  static _getAttributes(element) {
+    const attributes = {}
+    for (let i = 0; i < element.attributes.length; i++) {
+      const attr = element.attributes[i]
+      attributes[attr.name] = attr.value
+    }
+    return attributes
+  }
+
+  /**
+   * Get the class names of an element
+   * Reads the attribute rather than className, which is an object on SVG elements
+   * @private
+   */
+  static _getClassList(element) {
+    return (element.getAttribute('class') || '').split(/\s+/).filter(c => c)
+  }
+
+  /**
+   * Class names of an element that do not look generated
+   * @private
+   */
+  static _getStableClassList(element, volatility) {
+    return this._getClassList(element).filter(
+      className => this.classifyVolatility(className, volatility).length === 0
+    )
+  }
+
+  /**
+   * Get CSS path for an element
+   * @private
+   */
+  static _getElementPath(element) {
+    if (!element || element.nodeType !== 1) {
+      return ''
+    }
+
+    let path = ''
+    while (element && element.nodeType === 1) {
+      let selector = element.nodeName.toLowerCase()
+
+      if (element.id) {
+        selector += '#' + element.id
+      } else {
+        let sibling = element
+        let siblingIndex = 1
+
+        while ((sibling = sibling.previousElementSibling)) {
+          if (sibling.nodeName.toLowerCase() === selector) {
+            siblingIndex++
+          }
+        }
+
+        if (element.previousElementSibling || element.nextElementSibling) {
+          selector += ':nth-of-type(' + siblingIndex + ')'
+        }
+      }
+
+      path = selector + (path ? ' > ' + path : '')
+      element = element.parentNode
+    }
+
+    return path
+  }
+
+  /**
+   * Diff the element trees of two snapshots
+   * Elements are matched across versions and every difference is reported as
+   * added, removed, moved (new parent or new position) or attribute-changed.
+   * Added and removed subtrees are reported once, at their root.
+   * @param {Document} beforeDOM - DOM before update
+   * @param {Document} afterDOM - DOM after update
+   * @param {Map<Element, Element>} [matches] - Element matches from _matchElementTrees()
+   * @returns {Object} Change summary and the list of element changes
+   */
+  static diffElementTrees(
+    beforeDOM,
+    afterDOM,
+    matches = this._matchElementTrees(beforeDOM, afterDOM)
+  ) {
+    const matchedAfter = new Set(matches.values())
+    const changes = []
+
+    // Removed: unmatched before elements whose parent was matched (subtree roots)
+    beforeDOM.querySelectorAll('*').forEach(beforeEl => {
+      if (!matches.has(beforeEl) && matches.has(beforeEl.parentElement)) {
+        changes.push(this._describeSubtreeChange('removed', beforeEl))
+      }
+    })
+
+    // Added: unmatched after elements whose parent was matched (subtree roots)
+    afterDOM.querySelectorAll('*').forEach(afterEl => {
+      if (!matchedAfter.has(afterEl) && matchedAfter.has(afterEl.parentElement)) {
+        changes.push(this._describeSubtreeChange('added', afterEl))
+      }
+    })
+
+    // Moved and attribute-changed: compare each matched pair
+    const reordered = this._findReorderedElements(matches)
+    matches.forEach((afterEl, beforeEl) => {
+      const beforeParent = beforeEl.parentElement
+      const afterParent = afterEl.parentElement
+      const movedParent = beforeParent && matches.get(beforeParent) !== afterParent
+
+      if (movedParent || reordered.has(beforeEl)) {
+        changes.push({
+          status: 'moved',
+          reason: movedParent ? 'parent' : 'position',
+          tagName: beforeEl.tagName,
+          beforePath: this._getElementPath(beforeEl),
+          afterPath: this._getElementPath(afterEl),
+          from: {
+            parentPath: this._getElementPath(beforeParent),
+            position: this._getRelativePosition(beforeEl),
+          },
+          to: {
+            parentPath: this._getElementPath(afterParent),
+            position: this._getRelativePosition(afterEl),
+          },
+        })
+      }
+
+      const attributes = this._getAttributeDelta(beforeEl, afterEl)
+      if (attributes) {
+        changes.push({
+          status: 'attribute-changed',
+          tagName: beforeEl.tagName,
+          beforePath: this._getElementPath(beforeEl),
+          afterPath: this._getElementPath(afterEl),
+          attributes,
+        })
+      }
+    })
+
+    const countStatus = status => changes.filter(change => change.status === status).length
+
+    return {
+      summary: {
+        matched: matches.size,
+        added: countStatus('added'),
+        removed: countStatus('removed'),
+        moved: countStatus('moved'),
+        attributeChanged: countStatus('attribute-changed'),
+      },
+      changes,
+    }
+  }
+
+  /**
+   * Build the element trees of two snapshots for side-by-side display
+   * Elements are matched as in diffElementTrees(), and every node carries its
+   * element path, its diff status and the index of the element it is matched to
+   * in the other tree. Nodes are indexed in document order, the order of
+   * querySelectorAll('*'), so a selector match can be located in the trees.
+   * Elements inside an added or removed subtree share the status of its root.
+   * @param {Document} beforeDOM - DOM before update
+   * @param {Document} afterDOM - DOM after update
+   * @param {Map<Element, Element>} [matches] - Element matches from matchElements()
+   * @returns {Object} Root nodes of the before and after trees
+   */
+  static buildElementTrees(
+    beforeDOM,
+    afterDOM,
+    matches = this._matchElementTrees(beforeDOM, afterDOM)
+  ) {
+    const afterToBefore = new Map()
+    matches.forEach((afterEl, beforeEl) => afterToBefore.set(afterEl, beforeEl))
+    const reordered = this._findReorderedElements(matches)
+    const beforeIndex = new Map(Array.from(beforeDOM.querySelectorAll('*'), (el, i) => [el, i]))
+    const afterIndex = new Map(Array.from(afterDOM.querySelectorAll('*'), (el, i) => [el, i]))
+
+    const getStatus = (beforeEl, afterEl) => {
+      const beforeParent = beforeEl.parentElement
+      if (
+        (beforeParent && matches.get(beforeParent) !== afterEl.parentElement) ||
+        reordered.has(beforeEl)
+      ) {
+        return 'moved'
+      }
+      return this._getAttributeDelta(beforeEl, afterEl) ? 'attribute-changed' : 'unchanged'
+    }
+
+    const buildNode = (element, index, counterparts, otherIndex, unmatchedStatus) => {
+      const counterpart = counterparts.get(element)
+      const pair = unmatchedStatus === 'removed' ? [element, counterpart] : [counterpart, element]
+      return {
+        index: index.get(element),
+        tagName: element.tagName,
+        attributes: this._getAttributes(element),
+        text: element.children.length === 0 ? element.textContent.trim().slice(0, 80) : '',
+        path: this._getElementPath(element),
+        status: counterpart ? getStatus(...pair) : unmatchedStatus,
+        attributeDelta: counterpart ? this._getAttributeDelta(...pair) : null,
+        counterpart: counterpart ? otherIndex.get(counterpart) : null,
+        children: Array.from(element.children, child =>
+          buildNode(child, index, counterparts, otherIndex, unmatchedStatus)
+        ),
+      }
+    }
+
+    return {
+      before: buildNode(beforeDOM.documentElement, beforeIndex, matches, afterIndex, 'removed'),
+      after: buildNode(afterDOM.documentElement, afterIndex, afterToBefore, beforeIndex, 'added'),
+    }
+  }
+
+  /**
+   * Test any CSS selector against two snapshots
+   * Every match is described by its metadata and tells whether the element it is
+   * matched to in the other snapshot (as in diffElementTrees()) is selected too:
+   * its correspondence is "corresponding", "counterpart-unselected" (the selector
+   * misses the counterpart) or "unmatched" (the element was added or removed).
+   * @param {Document} beforeDOM - DOM before update
+   * @param {Document} afterDOM - DOM after update
+   * @param {string} selector - CSS selector
+   * @param {Map<Element, Element>} [matches] - Element matches from matchElements()
+   * @returns {Object} Matches in each snapshot, and whether the selector finds exactly
+   *   one element in both that correspond
+   * @throws {Error} If the selector is not valid
+   */
+  static testSelector(
+    beforeDOM,
+    afterDOM,
+    selector,
+    matches = this._matchElementTrees(beforeDOM, afterDOM)
+  ) {
+    const beforeMatches = Array.from(beforeDOM.querySelectorAll(selector))
+    const afterMatches = Array.from(afterDOM.querySelectorAll(selector))
+    const afterToBefore = new Map()
+    matches.forEach((afterEl, beforeEl) => afterToBefore.set(afterEl, beforeEl))
+
+    const describe = (elements, counterparts, selected) =>
+      elements.map(element => {
+        const counterpart = counterparts.get(element)
+        return {
+          ...this._getElementMetadata(element),
+          correspondence: !counterpart
+            ? 'unmatched'
+            : selected.has(counterpart)
+            ? 'corresponding'
+            : 'counterpart-unselected',
+          counterpartPath: counterpart ? this._getElementPath(counterpart) : null,
+        }
+      })
+
+    const before = describe(beforeMatches, matches, new Set(afterMatches))
+    const after = describe(afterMatches, afterToBefore, new Set(beforeMatches))
+    const unique = before.length === 1 && after.length === 1
+
+    return {
+      selector,
+      before,
+      after,
+      unique,
+      corresponding: unique && before[0].correspondence === 'corresponding',
+      localized: this.findLocalizedAttributes(selector).length > 0,
+    }
+  }
+
+  /**
+   * Match the elements of two snapshots, for callers that compare the same pair
+   * repeatedly (see buildElementTrees() and testSelector())
+   * @param {Document} beforeDOM - DOM before update
+   * @param {Document} afterDOM - DOM after update
+   * @returns {Map<Element, Element>} Before element to after element
+   */
+  static matchElements(beforeDOM, afterDOM) {
+    return this._matchElementTrees(beforeDOM, afterDOM)
+  }
+
+  /**
+   * Match elements of the before tree to elements of the after tree
+   * Unique ids are matched first, then children of matched pairs are matched
+   * top-down, and finally leftover elements with an identical signature are
+   * matched across the whole document to pick up elements that changed parent.
+   * @private
+   * @returns {Map<Element, Element>} Before element to after element
+   */
+  static _matchElementTrees(beforeDOM, afterDOM) {
+    return this._runPhases(this._matchElementTreesInSteps(beforeDOM, afterDOM))
+  }
+
+  /**
+   * Steps of _matchElementTrees(), yielding a checkpoint after each matched parent
+   * pair and each leftover element
+   * @private
+   * @returns {Map<Element, Element>} Before element to after element
+   */
+  static *_matchElementTreesInSteps(beforeDOM, afterDOM) {
+    const matches = new Map()
+    const matchedAfter = new Set()
+    const queue = []
+
+    const addMatch = (beforeEl, afterEl) => {
+      matches.set(beforeEl, afterEl)
+      matchedAfter.add(afterEl)
+      queue.push([beforeEl, afterEl])
+    }
+
+    const drainQueue = function* () {
+      while (queue.length > 0) {
+        const [beforeParent, afterParent] = queue.shift()
+        this._matchChildren(beforeParent, afterParent, matches, matchedAfter).forEach(
+          ([beforeEl, afterEl]) => addMatch(beforeEl, afterEl)
+        )
+        yield
+      }
+    }.bind(this)
+
+    // Anchor on ids that are unique in both documents
+    const beforeIds = this._indexUniqueIds(beforeDOM)
+    const afterIds = this._indexUniqueIds(afterDOM)
+    beforeIds.forEach((beforeEl, id) => {
+      const afterEl = afterIds.get(id)
+      if (afterEl && afterEl.tagName === beforeEl.tagName) {
+        addMatch(beforeEl, afterEl)
+      }
+    })
+
+    if (!matches.has(beforeDOM.documentElement)) {
+      addMatch(beforeDOM.documentElement, afterDOM.documentElement)
+    }
+    yield* drainQueue()
+
+    // Match leftovers with a unique, identical signature anywhere in the document
+    const afterBySignature = new Map()
+    afterDOM.querySelectorAll('*').forEach(afterEl => {
+      if (!matchedAfter.has(afterEl) && afterEl.attributes.length > 0) {
+        const signature = this._getElementSignature(afterEl)
+        const bucket = afterBySignature.get(signature) || []
+        bucket.push(afterEl)
+        afterBySignature.set(signature, bucket)
+      }
+    })
+
+    for (const beforeEl of beforeDOM.querySelectorAll('*')) {
+      if (matches.has(beforeEl) || beforeEl.attributes.length === 0) {
+        continue
+      }
+      const bucket = afterBySignature.get(this._getElementSignature(beforeEl))
+      if (bucket && bucket.length === 1 && !matchedAfter.has(bucket[0])) {
+        addMatch(beforeEl, bucket[0])
+        yield* drainQueue()
+      }
+      yield
+    }
+
+    return matches
+  }
+
+  /**
+   * Match the unmatched children of a matched parent pair
+   * Identical siblings are paired first, in document order; the remaining
+   * children fall back to the similarity scoring of _findMatchingElement.
+   * @private
+   * @returns {Array<Array<Element>>} Newly matched [before, after] pairs
+   */
+  static _matchChildren(beforeParent, afterParent, matches, matchedAfter) {
+    const pairs = []
+    const taken = new Set()
+    const isFree = afterEl => !matchedAfter.has(afterEl) && !taken.has(afterEl)
+    const beforeChildren = Array.from(beforeParent.children).filter(el => !matches.has(el))
+    const afterChildren = Array.from(afterParent.children).filter(el => !matchedAfter.has(el))
+
+    const afterBySignature = new Map()
+    afterChildren.forEach(afterEl => {
+      const signature = this._getElementSignature(afterEl)
+      const bucket = afterBySignature.get(signature) || []
+      bucket.push(afterEl)
+      afterBySignature.set(signature, bucket)
+    })
+
+    const unmatched = []
+    beforeChildren.forEach(beforeEl => {
+      const bucket = afterBySignature.get(this._getElementSignature(beforeEl)) || []
+      const afterEl = bucket.find(isFree)
+      if (afterEl) {
+        taken.add(afterEl)
+        pairs.push([beforeEl, afterEl])
+      } else {
+        unmatched.push(beforeEl)
+      }
+    })
+
+    unmatched.forEach(beforeEl => {
+      const candidates = afterChildren.filter(
+        afterEl => isFree(afterEl) && afterEl.tagName === beforeEl.tagName
+      )
+      const afterEl = this._findMatchingElement(beforeEl, candidates)
+      if (afterEl) {
+        taken.add(afterEl)
+        pairs.push([beforeEl, afterEl])
+      }
+    })
+
+    return pairs
+  }
+
+  /**
+   * Map ids that occur exactly once in a document to their element
+   * @private
+   */
+  static _indexUniqueIds(dom) {
+    const index = new Map()
+    const duplicates = new Set()
+
+    dom.querySelectorAll('[id]').forEach(element => {
+      const id = element.getAttribute('id')
+      if (index.has(id)) {
+        duplicates.add(id)
+      }
+      index.set(id, element)
+    })
+    duplicates.forEach(id => index.delete(id))
+
+    return index
+  }
+
+  /**
+   * Build a string identifying an element by tag name and full attribute set
+   * @private
+   */
+  static _getElementSignature(element) {
+    const attributes = this._getAttributes(element)
+    return [
+      element.tagName,
+      ...Object.keys(attributes)
+        .sort()
+        .map(name => `${name}=${attributes[name]}`),
+    ].join('\u0000')
+  }
+
+  /**
+   * Find matched elements whose order changed among siblings that kept their parent
+   * Siblings on the longest increasing subsequence keep their relative order;
+   * every other sibling counts as moved.
+   * @private
+   * @returns {Set<Element>} Reordered before elements
+   */
+  static _findReorderedElements(matches) {
+    const reordered = new Set()
+    const afterToBefore = new Map()
+    matches.forEach((afterEl, beforeEl) => afterToBefore.set(afterEl, beforeEl))
+
+    const parents = new Set()
+    matches.forEach((afterEl, beforeEl) => {
+      if (beforeEl.parentElement && matches.get(beforeEl.parentElement) === afterEl.parentElement) {
+        parents.add(afterEl.parentElement)
+      }
+    })
+
+    parents.forEach(afterParent => {
+      const beforeParent = afterToBefore.get(afterParent)
+      const siblings = Array.from(afterParent.children)
+        .map(afterEl => afterToBefore.get(afterEl))
+        .filter(beforeEl => beforeEl && beforeEl.parentElement === beforeParent)
+      const beforeOrder = Array.from(beforeParent.children)
+      const sequence = siblings.map(beforeEl => beforeOrder.indexOf(beforeEl))
+
+      const kept = this._longestIncreasingSubsequence(sequence)
+      siblings.forEach((beforeEl, i) => {
+        if (!kept.has(i)) {
+          reordered.add(beforeEl)
+        }
+      })
+    })
+
+    return reordered
+  }
+
+  /**
+   * Indexes of one longest strictly increasing subsequence of a number array
+   * @private
+   * @returns {Set<number>}
+   */
+  static _longestIncreasingSubsequence(sequence) {
+    const tails = []
+    const previous = new Array(sequence.length).fill(-1)
+
+    sequence.forEach((value, i) => {
+      let low = 0
+      let high = tails.length
+      while (low < high) {
+        const mid = (low + high) >> 1
+        if (sequence[tails[mid]] < value) {
+          low = mid + 1
+        } else {
+          high = mid
+        }
+      }
+      previous[i] = low > 0 ? tails[low - 1] : -1
+      tails[low] = i
+    })
+
+    const indexes = new Set()
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+      indexes.add(i)
+    }
+    return indexes
+  }
+
+  /**
+   * Describe an added or removed subtree by its root element
+   * @private
+   */
+  static _describeSubtreeChange(status, element) {
+    return {
+      status,
+      tagName: element.tagName,
+      beforePath: status === 'removed' ? this._getElementPath(element) : null,
+      afterPath: status === 'added' ? this._getElementPath(element) : null,
+      attributes: this._getAttributes(element),
+      descendantCount: element.querySelectorAll('*').length,
+    }
+  }
+
+  /**
+   * Compare the attributes of two matched elements
+   * @private
+   * @returns {Object|null} Added, removed and changed attributes, or null if identical
+   */
+  static _getAttributeDelta(beforeEl, afterEl) {
+    const beforeAttrs = this._getAttributes(beforeEl)
+    const afterAttrs = this._getAttributes(afterEl)
+    const delta = { added: {}, removed: {}, changed: {} }
+    let hasChanges = false
+
+    Object.keys(beforeAttrs).forEach(name => {
+      if (!(name in afterAttrs)) {
+        delta.removed[name] = beforeAttrs[name]
+        hasChanges = true
+      } else if (afterAttrs[name] !== beforeAttrs[name]) {
+        delta.changed[name] = { before: beforeAttrs[name], after: afterAttrs[name] }
+        hasChanges = true
+      }
+    })
+
+    Object.keys(afterAttrs).forEach(name => {
+      if (!(name in beforeAttrs)) {
+        delta.added[name] = afterAttrs[name]
+        hasChanges = true
+      }
+    })
+
+    return hasChanges ? delta : null
+  }
+
+  /**
+   * Compute the accessibility tree of a snapshot, pruned to landmarks and named controls
+   * Roles are the explicit role or the implicit role of the element; names follow
+   * aria-labelledby, aria-label, associated labels, alt text, the element's content
+   * (for roles named from content), title and placeholder. Hidden subtrees
+   * (aria-hidden, hidden) are skipped.
+   * @param {Document} dom - Parsed snapshot
+   * @returns {Object} Root node; every node has a role, name, element and children
+   */
+  static buildAccessibilityTree(dom) {
+    const root = { role: 'document', name: dom.title || '', element: null, children: [] }
+
+    const visit = (element, parent) => {
+      if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+        return
+      }
+
+      const role = this.getComputedRole(element)
+      let node = parent
+      if (this._isLandmarkRole(role) || this._isControlRole(role)) {
+        const name = this.getAccessibleName(element, role)
+        // Regions and forms are only landmarks when they are named; controls need a name
+        if (name || !['region', 'form', ...this._getControlRoles()].includes(role)) {
+          node = { role, name, element, children: [] }
+          parent.children.push(node)
+        }
+      }
+      Array.from(element.children).forEach(child => visit(child, node))
+    }
+
+    visit(dom.body || dom.documentElement, root)
+    return root
+  }
+
+  /**
+   * Get the role of an element: its explicit role, or the implicit role of its tag
+   * @param {Element} element - Element
+   * @returns {string|null} Role, or null for elements without a role (and presentation)
+   */
+  static getComputedRole(element) {
+    const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0]
+    if (explicit) {
+      return explicit === 'presentation' || explicit === 'none' ? null : explicit
+    }
+
+    const tagName = element.tagName.toLowerCase()
+    switch (tagName) {
+      case 'a':
+      case 'area':
+        return element.hasAttribute('href') ? 'link' : null
+      case 'input':
+        return this._getInputRole(element)
+      case 'select':
+        return element.multiple || element.size > 1 ? 'listbox' : 'combobox'
+      case 'header':
+      case 'footer':
+        // Only page-level headers and footers are landmarks
+        if (
+          element.parentElement &&
+          element.parentElement.closest('article, aside, main, nav, section')
+        ) {
+          return null
+        }
+        return tagName === 'header' ? 'banner' : 'contentinfo'
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return 'heading'
+      default:
+        return (
+          {
+            aside: 'complementary',
+            button: 'button',
+            dialog: 'dialog',
+            form: 'form',
+            img: 'img',
+            li: 'listitem',
+            main: 'main',
+            nav: 'navigation',
+            ol: 'list',
+            search: 'search',
+            section: 'region',
+            table: 'table',
+            textarea: 'textbox',
+            ul: 'list',
+          }[tagName] || null
+        )
+    }
+  }
+
+  /**
+   * Compute the accessible name of an element (a subset of the accname algorithm)
+   * @param {Element} element - Element
+   * @param {string|null} [role] - Its role (computed if omitted)
+   * @returns {string} Name with collapsed whitespace (empty if the element has none)
+   */
+  static getAccessibleName(element, role = this.getComputedRole(element)) {
+    // Icon font glyphs (private use area) and zero-width characters are not read out
+    const clean = text =>
+      (text || '')
+        .replace(/[\u200b-\u200f\ufeff\ue000-\uf8ff]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(id => id)
+    const candidates = [
+      () =>
+        labelledBy
+          .map(id => element.ownerDocument.getElementById(id))
+          .filter(label => label)
+          .map(label => label.getAttribute('aria-label') || label.textContent)
+          .join(' '),
+      () => element.getAttribute('aria-label'),
+      () => Array.from(element.labels || [], label => label.textContent).join(' '),
+      () => (/^(img|area|input)$/i.test(element.tagName) ? element.getAttribute('alt') : null),
+      () => (this._isNamedFromContent(role) ? element.textContent : null),
+      () => element.getAttribute('title'),
+      () => element.getAttribute('placeholder'),
+    ]
+
+    for (const candidate of candidates) {
+      const name = clean(candidate())
+      if (name) {
+        return name.length > 100 ? `${name.slice(0, 99)}…` : name
+      }
+    }
+    return ''
+  }
+
+  /**
+   * Diff the accessibility trees of two snapshots
+   * Landmarks and named controls are paired through the element matching of
+   * diffElementTrees(), then by role and name, and reported as added, removed,
+   * renamed (same element and role, new name) or moved (into another landmark).
+   * @param {Document} beforeDOM - DOM before update
+   * @param {Document} afterDOM - DOM after update
+   * @param {Map<Element, Element>} [matches] - Element matches from _matchElementTrees()
+   * @returns {Object} Change summary and the list of accessibility changes
+   */
+  static diffAccessibilityTrees(
+    beforeDOM,
+    afterDOM,
+    matches = this._matchElementTrees(beforeDOM, afterDOM)
+  ) {
+    const beforeNodes = this._flattenAccessibilityTree(this.buildAccessibilityTree(beforeDOM))
+    const afterNodes = this._flattenAccessibilityTree(this.buildAccessibilityTree(afterDOM))
+    const afterByElement = new Map(afterNodes.map(node => [node.element, node]))
+    const pairs = []
+    const pairedAfter = new Set()
+    let unpairedBefore = []
+
+    // Same element (and role) in both versions
+    beforeNodes.forEach(node => {
+      const afterNode = afterByElement.get(matches.get(node.element))
+      if (afterNode && afterNode.role === node.role && !pairedAfter.has(afterNode)) {
+        pairs.push([node, afterNode])
+        pairedAfter.add(afterNode)
+      } else {
+        unpairedBefore.push(node)
+      }
+    })
+
+    // Then the same role and name, in the same landmark first
+    ;[
+      node => `${node.role}\n${node.name}\n${node.landmark}`,
+      node => `${node.role}\n${node.name}`,
+    ].forEach(getKey => {
+      const buckets = new Map()
+      afterNodes
+        .filter(node => !pairedAfter.has(node))
+        .forEach(node => buckets.set(getKey(node), [...(buckets.get(getKey(node)) || []), node]))
+      unpairedBefore = unpairedBefore.filter(node => {
+        const afterNode = (buckets.get(getKey(node)) || []).shift()
+        if (afterNode) {
+          pairs.push([node, afterNode])
+          pairedAfter.add(afterNode)
+        }
+        return !afterNode
+      })
+    })
+
+    const describe = (status, node, extra = {}) => ({
+      status,
+      role: node.role,
+      name: node.name,
+      landmark: node.landmark,
+      path: this._getElementPath(node.element),
+      ...extra,
+    })
+    const changes = [
+      ...unpairedBefore.map(node => describe('removed', node)),
+      ...afterNodes.filter(node => !pairedAfter.has(node)).map(node => describe('added', node)),
+    ]
+    pairs.forEach(([beforeNode, afterNode]) => {
+      if (beforeNode.name !== afterNode.name) {
+        changes.push(describe('renamed', afterNode, { previousName: beforeNode.name }))
+      } else if (beforeNode.landmark !== afterNode.landmark) {
+        changes.push(describe('moved', afterNode, { previousLandmark: beforeNode.landmark }))
+      }
+    })
+
+    const countStatus = status => changes.filter(change => change.status === status).length
+
+    return {
+      summary: {
+        before: beforeNodes.length,
+        after: afterNodes.length,
+        added: countStatus('added'),
+        removed: countStatus('removed'),
+        renamed: countStatus('renamed'),
+        moved: countStatus('moved'),
+      },
+      changes,
+    }
+  }
+
+  /**
+   * List the nodes of an accessibility tree in document order, each with the
+   * chain of landmarks it is nested in (e.g. 'main "Reading Pane" > region "Message body"')
+   * @private
+   */
+  static _flattenAccessibilityTree(root) {
+    const nodes = []
+    const walk = (node, landmarks) => {
+      node.children.forEach(child => {
+        nodes.push({ ...child, landmark: landmarks.join(' > ') })
+        walk(
+          child,
+          this._isLandmarkRole(child.role)
+            ? [...landmarks, child.name ? `${child.role} "${child.name}"` : child.role]
+            : landmarks
+        )
+      })
+    }
+    walk(root, [])
+    return nodes
+  }
+
+  /**
+   * Implicit role of an <input> by its type
+   * @private
+   */
+  static _getInputRole(input) {
+    const type = (input.getAttribute('type') || 'text').toLowerCase()
+    if (type === 'hidden') {
+      return null
+    }
+    return (
+      {
+        button: 'button',
+        checkbox: 'checkbox',
+        image: 'button',
+        number: 'spinbutton',
+        radio: 'radio',
+        range: 'slider',
+        reset: 'button',
+        search: 'searchbox',
+        submit: 'button',
+      }[type] || 'textbox'
+    )
+  }
+
+  /**
+   * @private
+   */
+  static _isLandmarkRole(role) {
+    return [
+      'banner',
+      'complementary',
+      'contentinfo',
+      'form',
+      'main',
+      'navigation',
+      'region',
+      'search',
+    ].includes(role)
+  }
+
+  /**
+   * Roles of the controls an extension typically anchors on
+   * @private
+   */
+  static _getControlRoles() {
+    return [
+      'button',
+      'checkbox',
+      'combobox',
+      'link',
+      'menuitem',
+      'menuitemcheckbox',
+      'menuitemradio',
+      'radio',
+      'searchbox',
+      'slider',
+      'spinbutton',
+      'switch',
+      'tab',
+      'textbox',
+      'treeitem',
+    ]
+  }
+
+  /**
+   * @private
+   */
+  static _isControlRole(role) {
+    return this._getControlRoles().includes(role)
+  }
+
+  /**
+   * Roles whose name comes from their content when they have no label
+   * @private
+   */
+  static _isNamedFromContent(role) {
+    return [
+      'button',
+      'checkbox',
+      'heading',
+      'link',
+      'menuitem',
+      'menuitemcheckbox',
+      'menuitemradio',
+      'radio',
+      'switch',
+      'tab',
+      'treeitem',
+    ].includes(role)
+  }
+
+  /**
+   * Generate recommendations for selector anchors based on stability analysis
+   * Only the features watched in the view of the snapshots get a recommendation.
+   * Anchors that compare localized text (see findLocalizedAttributes()) break in
+   * other display languages, so they rank below locale-neutral candidates unless
+   * they score more than 15 points higher, and are flagged as localized. Candidates
+   * of equal rank are ordered by the robustness of their selector (see
+   * synthesizeSelectors()); configured selectors, which have none, come last among
+   * them. A selector found by several strategies is listed once, at its highest
+   * rank. Anchors are specific to their feature: an element found for several
+   * features only anchors the one that ranks it highest, and page-level containers
+   * (see _isFeatureContainer()) anchor none. Each anchor describes the element its
+   * primary selector matches in the after snapshot.
+   * @param {Document} beforeDOM - DOM before update
+   * @param {Document} afterDOM - DOM after update
+   * @param {Array<Object>} [features] - Watched features (defaults to getDefaultConfig())
+   * @param {Array<Document>} [intermediateDOMs] - DOMs of versions in between (timeline mode)
+   * @param {Object} [volatility] - Profile from buildVolatilityProfile()
+   * @param {string|null} [view] - View shared by the snapshots (detected when omitted;
+   *   null if they differ)
+   * @returns {Object} Recommended selectors with stability scores
+   */
+  static generateAnchorRecommendations(
+    beforeDOM,
+    afterDOM,
+    features = this.normalizeConfig(this.getDefaultConfig()).features,
+    intermediateDOMs = [],
+    volatility = this.buildVolatilityProfile([beforeDOM, ...intermediateDOMs, afterDOM]),
+    view = this._getSharedView(
+      [beforeDOM, ...intermediateDOMs, afterDOM].map(dom => this.detectView(dom))
+    )
+  ) {
+    return this._runPhases(
+      this._recommendAnchorsInPhases(
+        beforeDOM,
+        afterDOM,
+        features,
+        intermediateDOMs,
+        volatility,
+        view
+      )
+    )
+  }
+
+  /**
+   * Steps of generateAnchorRecommendations(), yielding before each strategy of each feature
+   * @private
+   */
+  static *_recommendAnchorsInPhases(
+    beforeDOM,
+    afterDOM,
+    features,
+    intermediateDOMs,
+    volatility,
+    view
+  ) {
+    // Candidates of each feature, ranked, with the element they match in the after DOM
+    const rankedByFeature = new Map()
+
+    for (const feature of this.selectViewFeatures(features, view)) {
+      // Find stable elements matching the feature description
+      yield { phase: 'recommendations', feature: feature.name, strategy: 'feature-match' }
+      const matches = yield* this._findStableElementsInSteps(
+        beforeDOM,
+        afterDOM,
+        feature.role,
+        this.getFeatureKeyTerms(feature),
+        volatility
+      )
+
+      // Describe the best matches with selectors that are unique in both versions
+      yield { phase: 'recommendations', feature: feature.name, strategy: 'synthesized' }
+      const candidates = yield* this._synthesizeCandidates(matches, volatility)
+
+      // Declared selectors that still match in both versions are candidates too
+      yield { phase: 'recommendations', feature: feature.name, strategy: 'configured' }
+      this._addCandidatesWithSelectors(beforeDOM, afterDOM, feature.selectors, candidates)
+
+      // Scale scores by how many of the versions in between each candidate survived
+      if (intermediateDOMs.length > 0) {
+        candidates.forEach(candidate => {
+          const survived = intermediateDOMs.filter(dom =>
+            this._selectorMatches(dom, candidate.selector)
+          ).length
+          candidate.stabilityScore = Math.round(
+            (candidate.stabilityScore * (survived + 2)) / (intermediateDOMs.length + 2)
+          )
+        })
+      }
+
+      // Sort by stability score (higher is better), localized candidates last, then
+      // by robustness
+      const rank = candidate =>
+        candidate.stabilityScore -
+        (this.findLocalizedAttributes(candidate.selector).length > 0 ? 15 : 0)
+      const robustness = candidate =>
+        candidate.robustness === undefined ? -1 : candidate.robustness
+      candidates.sort((a, b) => rank(b) - rank(a) || robustness(b) - robustness(a))
+      // A selector found by several strategies keeps its highest ranked entry
+      const seen = new Set()
+      rankedByFeature.set(
+        feature.name,
+        candidates
+          .filter(c => !seen.has(c.selector) && seen.add(c.selector))
+          .map(c => ({ ...c, rank: rank(c), element: afterDOM.querySelector(c.selector) }))
+      )
+    }
+
+    // An element described for several features anchors the one that ranks it
+    // highest (the one listed first on ties)
+    const owners = new Map()
+    rankedByFeature.forEach((ranked, name) =>
+      ranked.forEach(candidate => {
+        const owner = owners.get(candidate.element)
+        if (!owner || candidate.rank > owner.rank) {
+          owners.set(candidate.element, { name, rank: candidate.rank })
+        }
+      })
+    )
+    // The elements each feature matches best, to recognize page-level containers
+    const bestElements = new Map(
+      [...rankedByFeature].map(([name, ranked]) => [
+        name,
+        ranked.filter(c => c.rank === ranked[0].rank).map(c => c.element),
+      ])
+    )
+
+    const recommendations = {}
+    rankedByFeature.forEach((ranked, name) => {
+      const specific = ranked.filter(
+        candidate =>
+          owners.get(candidate.element).name === name &&
+          !this._isFeatureContainer(candidate.element, name, bestElements)
+      )
+
+      recommendations[name] =
+        specific.length > 0
+          ? {
+              primarySelector: specific[0].selector,
+              alternativeSelectors: specific.slice(1, 4).map(c => c.selector),
+              stabilityScore: specific[0].stabilityScore,
+              selectorType: specific[0].type,
+              isReliable: specific[0].stabilityScore > 85,
+              localized: this.findLocalizedAttributes(specific[0].selector).length > 0,
+              element: this._getElementMetadata(specific[0].element),
+            }
+          : {
+              primarySelector: null,
+              alternativeSelectors: [],
+              stabilityScore: 0,
+              isReliable: false,
+              localized: false,
+            }
+    })
+
+    return recommendations
+  }
+
+  /**
+   * Check if an element contains the best matches of two or more other features, like
+   * the page-level containers of the app: they match every key term in their text but
+   * anchor no feature in particular
+   * @private
+   * @param {Element|null} element - Element of a candidate
+   * @param {string} name - Feature of the candidate
+   * @param {Map<string, Array<Element>>} bestElements - Best matched elements by feature
+   * @returns {boolean} Whether the element contains other features
+   */
+  static _isFeatureContainer(element, name, bestElements) {
+    if (!element) {
+      return false
+    }
+    const contained = [...bestElements].filter(
+      ([other, elements]) =>
+        other !== name && elements.some(otherEl => otherEl && element.contains(otherEl))
+    )
+    return contained.length >= 2
+  }
+
+  /**
+   * Find elements that remained stable between versions and match a feature description
+   * @private
+   * @returns {Array<Object>} Matched before/after element pairs with a stability score
+   */
+  static _findStableElementsMatchingFeature(beforeDOM, afterDOM, role, keyTerms, volatility) {
+    return this._runPhases(
+      this._findStableElementsInSteps(beforeDOM, afterDOM, role, keyTerms, volatility)
+    )
+  }
+
+  /**
+   * Steps of _findStableElementsMatchingFeature(), yielding a checkpoint after each
+   * element compared
+   * @private
+   * @returns {Array<Object>} Matched before/after element pairs with a stability score
+   */
+  static *_findStableElementsInSteps(beforeDOM, afterDOM, role, keyTerms, volatility) {
+    const candidates = []
+    const addCandidates = (attrType, baseScore) =>
+      this._addCandidatesWithAttribute(
+        beforeDOM,
+        afterDOM,
+        attrType,
+        keyTerms,
+        candidates,
+        baseScore,
+        volatility
+      )
+
+    // Strategy 1: Role-based matching
+    if (role) {
+      yield* this._addCandidatesWithRole(beforeDOM, afterDOM, role, keyTerms, candidates)
+    }
+
+    // Attribute strategies need key terms to pick out relevant elements
+    if (keyTerms.length === 0) {
+      return candidates
+    }
+
+    // Strategy 2: ID-based matching (highest stability)
+    yield* addCandidates('id', 90)
+
+    // Strategy 3: Data attribute matching
+    yield* addCandidates('data-', 85)
+
+    // Strategy 4: Class-based matching (lower stability but high availability)
+    yield* addCandidates('class', 75)
+
+    return candidates
+  }
+
+  /**
+   * Add candidates with matching role to the candidates array
+   * Yields a checkpoint after each before element.
+   * @private
+   */
+  static *_addCandidatesWithRole(beforeDOM, afterDOM, role, keyTerms, candidates) {
+    const selectRole = dom => () => Array.from(dom.querySelectorAll(`[role="${role}"]`))
+    const beforeElements = this._getCachedElements(beforeDOM, `role:${role}`, selectRole(beforeDOM))
+    const afterElements = this._getCachedElements(afterDOM, `role:${role}`, selectRole(afterDOM))
+
+    for (const beforeEl of beforeElements) {
+      const matchScore = this._calculateTermMatchScore(beforeEl, keyTerms)
+      // Without key terms every element with the role is a candidate
+      if (matchScore > 0 || keyTerms.length === 0) {
+        // Try to find matching element in after DOM
+        const matchingAfterEl = this._findMatchingElement(beforeEl, afterElements)
+        if (matchingAfterEl) {
+          candidates.push({
+            beforeEl,
+            afterEl: matchingAfterEl,
+            stabilityScore: 85 + matchScore * 5, // Max 100
+            type: 'role-based',
+          })
+        }
+      }
+      yield
+    }
+  }
+
+  /**
+   * Turn matched element pairs into selector candidates
+   * Only the highest scoring elements are described, each by its most robust
+   * synthesized selectors; elements without a unique selector are skipped.
+   * Yields a checkpoint after each element described.
+   * @private
+   * @returns {Array<Object>} Selector candidates
+   */
+  static *_synthesizeCandidates(matches, volatility) {
+    const maxElements = 3
+    const maxAttempts = 10
+    const candidates = []
+    const attempted = new Set()
+    let described = 0
+
+    const ranked = [...matches].sort((a, b) => b.stabilityScore - a.stabilityScore)
+    for (const match of ranked) {
+      if (described >= maxElements || attempted.size >= maxAttempts) {
+        break
+      }
+      if (attempted.has(match.afterEl)) {
+        continue
+      }
+      attempted.add(match.afterEl)
+
+      const selectors = this.synthesizeSelectors(match.beforeEl, match.afterEl, { volatility })
+      if (selectors.length > 0) {
+        described++
+        selectors.forEach(({ selector, robustness }) => {
+          candidates.push({
+            selector,
+            stabilityScore: match.stabilityScore,
+            robustness,
+            type: match.type,
+          })
+        })
+      }
+      yield
+    }
+
+    return candidates
+  }
+
+  /**
+   * Add declared selectors that match in both versions to the candidates array
+   * Earlier selectors in the list are preferred
+   * @private
+   */
+  static _addCandidatesWithSelectors(beforeDOM, afterDOM, selectors, candidates) {
+    selectors.forEach((selector, index) => {
+      try {
+        if (beforeDOM.querySelector(selector) && afterDOM.querySelector(selector)) {
+          candidates.push({
+            selector,
+            stabilityScore: Math.max(70, 90 - index * 5),
+            type: 'configured',
+          })
+        }
+      } catch (error) {
+        // Invalid selector, skip it
+      }
+    })
+  }
+
+  /**
+   * Add candidates with matching attribute to the candidates array
+   * Yields a checkpoint after each before element.
+   * @private
+   */
+  static *_addCandidatesWithAttribute(
+    beforeDOM,
+    afterDOM,
+    attrType,
+    keyTerms,
+    candidates,
+    baseScore,
+    volatility
+  ) {
+    // Need to handle data-* attributes specially
+    const selectAttribute = dom => () =>
+      attrType === 'data-'
+        ? this._getDocumentIndex(dom).elements.filter(el => this._hasDataAttribute(el))
+        : Array.from(dom.querySelectorAll(`[${attrType}]`))
+
+    try {
+      const beforeElements = this._getCachedElements(
+        beforeDOM,
+        `attribute:${attrType}`,
+        selectAttribute(beforeDOM)
+      )
+      const afterElements = this._getCachedElements(
+        afterDOM,
+        `attribute:${attrType}`,
+        selectAttribute(afterDOM)
+      )
+
+      for (const beforeEl of beforeElements) {
+        const matchScore = this._calculateTermMatchScore(beforeEl, keyTerms)
+        if (matchScore > 0) {
+          // Try to find matching element in after DOM
+          const matchingAfterEl = this._findMatchingElement(beforeEl, afterElements)
+          // The strategy's score only holds if the attribute itself is not generated
+          if (matchingAfterEl && this._hasStableAttribute(matchingAfterEl, attrType, volatility)) {
+            candidates.push({
+              beforeEl,
+              afterEl: matchingAfterEl,
+              stabilityScore: baseScore + matchScore * 3,
+              type: `${attrType}-based`,
+            })
+          }
+        }
+        yield
+      }
+    } catch (error) {
+      // Skip invalid selectors
+    }
+  }
+
+  /**
+   * Check if an element has a value for an attribute type that does not look generated
+   * @private
+   */
+  static _hasStableAttribute(element, attrType, volatility) {
+    return Array.from(element.attributes).some(
+      attr =>
+        (attrType === 'data-' ? attr.name.startsWith('data-') : attr.name === attrType) &&
+        this._getVolatilityReasons(attr.name, attr.value, volatility).length === 0
+    )
+  }
+
+  /**
+   * Check if an element has any data-* attributes
+   * @private
+   */
+  static _hasDataAttribute(element) {
+    return Array.from(element.attributes).some(attr => attr.name.startsWith('data-'))
+  }
+
+  /**
+   * Calculate how well an element matches the key terms
+   * @private
+   */
+  static _calculateTermMatchScore(element, keyTerms) {
+    let score = 0
+    const { text: elementText, attributeValues } = this._getSearchText(element)
+
+    // Check element text content
+    keyTerms.forEach(term => {
+      if (elementText.includes(term.toLowerCase())) {
+        score += 1
+      }
+    })
+
+    // Check attributes for key terms
+    attributeValues.forEach(attrValue => {
+      keyTerms.forEach(term => {
+        if (attrValue.includes(term.toLowerCase())) {
+          score += 2 // Attribute matches are weighted higher
+        }
+      })
+    })
+
+    // Normalize score to 0-5 range
+    return Math.min(5, score)
+  }
+
+  /**
+   * Lowercased text content and attribute values of an element, for key term matching
+   * @private
+   */
+  static _getSearchText(element) {
+    const { searchText } = this._getDocumentIndex(element.ownerDocument)
+    let entry = searchText.get(element)
+    if (!entry) {
+      entry = {
+        text: (element.textContent || '').toLowerCase(),
+        attributeValues: Object.values(this._getIndexedAttributes(element)).map(value =>
+          value.toLowerCase()
+        ),
+      }
+      searchText.set(element, entry)
+    }
+    return entry
+  }
+
+  /**
+   * Find matching element in the after DOM based on similarity
+   * A candidate scores 2 per attribute with the same value as the before element,
+   * 1 per attribute whose value contains it, 1 for the same tag name and 2 for the
+   * same position among its siblings; the highest score wins, the first candidate
+   * in list order on a tie. Rather than scoring every candidate, the attribute values
+   * of the before element are looked up in an index of the candidates (see
+   * _indexCandidates()); candidates that share none of them can only score on tag
+   * name and position, so the first of those is found from their buckets.
+   * @private
+   */
+  static _findMatchingElement(beforeEl, afterElements) {
+    if (afterElements.length === 0) {
+      return null
+    }
+
+    const candidates = this._indexCandidates(afterElements)
+    const beforeAttrs = this._getIndexedAttributes(beforeEl)
+    const tag = beforeEl.tagName
+    const position = this._getSiblingPosition(beforeEl)
+
+    // Attribute scores: 2 for an identical value, 1 for a value that contains it
+    const attributeScores = new Map()
+    Object.entries(beforeAttrs).forEach(([name, value]) => {
+      const values = candidates.values.get(name)
+      if (!values) {
+        return
+      }
+      values.forEach((items, afterValue) => {
+        const points = afterValue === value ? 2 : value && afterValue.includes(value) ? 1 : 0
+        if (points > 0) {
+          items.forEach(item =>
+            attributeScores.set(item, (attributeScores.get(item) || 0) + points)
+          )
+        }
+      })
+    })
+
+    let bestItem = -1
+    let highestScore = 0
+    const consider = (item, score) => {
+      if (score > highestScore || (score === highestScore && score > 0 && item < bestItem)) {
+        highestScore = score
+        bestItem = item
+      }
+    }
+
+    attributeScores.forEach((score, item) => {
+      const afterEl = candidates.elements[item]
+      consider(
+        item,
+        score +
+          (afterEl.tagName === tag ? 1 : 0) +
+          (candidates.positions[item] === position ? 2 : 0)
+      )
+    })
+
+    // Without a shared attribute value: 3 for tag name and position, 2 for position, 1 for tag name
+    const firstUnscored = items => (items || []).find(item => !attributeScores.has(item))
+    const sameTagAndPosition = firstUnscored(candidates.byTagAndPosition.get(`${tag} ${position}`))
+    const samePosition = (candidates.byPosition.get(position) || []).find(
+      item => !attributeScores.has(item) && candidates.elements[item].tagName !== tag
+    )
+    const sameTag = firstUnscored(candidates.byTag.get(tag))
+    ;[
+      [sameTagAndPosition, 3],
+      [samePosition, 2],
+      [sameTag, 1],
+    ].forEach(([item, score]) => {
+      if (item !== undefined) {
+        consider(item, score)
+      }
+    })
+
+    return bestItem === -1 ? null : candidates.elements[bestItem]
+  }
+
+  /**
+   * Index a list of candidate elements by attribute value, tag name and sibling position
+   * Indexes are cached per list, so strategies that match many elements against the
+   * same candidates (see _getCachedElements()) only build them once.
+   * @private
+   */
+  static _indexCandidates(afterElements) {
+    const { candidateIndexes } = this._getDocumentIndex(afterElements[0].ownerDocument)
+    let candidates = candidateIndexes.get(afterElements)
+    if (candidates) {
+      return candidates
+    }
+
+    candidates = {
+      elements: Array.from(afterElements),
+      positions: [],
+      values: new Map(),
+      byTag: new Map(),
+      byPosition: new Map(),
+      byTagAndPosition: new Map(),
+    }
+    const addTo = (map, key, item) => {
+      const bucket = map.get(key) || []
+      bucket.push(item)
+      map.set(key, bucket)
+    }
+
+    candidates.elements.forEach((element, item) => {
+      const position = this._getSiblingPosition(element)
+      candidates.positions.push(position)
+      addTo(candidates.byTag, element.tagName, item)
+      addTo(candidates.byPosition, position, item)
+      addTo(candidates.byTagAndPosition, `${element.tagName} ${position}`, item)
+      Object.entries(this._getIndexedAttributes(element)).forEach(([name, value]) => {
+        if (!candidates.values.has(name)) {
+          candidates.values.set(name, new Map())
+        }
+        addTo(candidates.values.get(name), value, item)
+      })
+    })
+
+    candidateIndexes.set(afterElements, candidates)
+    return candidates
+  }
+
+  /**
+   * Element data of a document, computed once and reused by every matching strategy
+   * Documents must not be modified once they have been analyzed.
+   * @private
+   */
+  static _getDocumentIndex(dom) {
+    let index = this._documentIndexes.get(dom)
+    if (!index) {
+      index = {
+        elements: Array.from(dom.querySelectorAll('*')),
+        attributes: new Map(),
+        siblingPositions: new Map(),
+        searchText: new Map(),
+        cachedElements: new Map(),
+        candidateIndexes: new WeakMap(),
+      }
+      index.elements.forEach(element => {
+        Array.from(element.children).forEach((child, position) => {
+          index.siblingPositions.set(child, position)
+        })
+      })
+      this._documentIndexes.set(dom, index)
+    }
+    return index
+  }
+
+  /**
+   * Elements selected by a strategy, selected once per document and key
+   * @private
+   */
+  static _getCachedElements(dom, key, select) {
+    const { cachedElements } = this._getDocumentIndex(dom)
+    if (!cachedElements.has(key)) {
+      cachedElements.set(key, select())
+    }
+    return cachedElements.get(key)
+  }
+
+  /**
+   * _getAttributes() of an element, computed once
+   * @private
+   */
+  static _getIndexedAttributes(element) {
+    const { attributes } = this._getDocumentIndex(element.ownerDocument)
+    let values = attributes.get(element)
+    if (!values) {
+      values = this._getAttributes(element)
+      attributes.set(element, values)
+    }
+    return values
+  }
+
+  /**
+   * _getRelativePosition() of an element, from the document index
+   * @private
+   */
+  static _getSiblingPosition(element) {
+    const position = this._getDocumentIndex(element.ownerDocument).siblingPositions.get(element)
+    return position === undefined ? this._getRelativePosition(element) : position
+  }
+
+  /**
+   * Get relative position index among siblings
+   * @private
+   */
+  static _getRelativePosition(element) {
+    let position = 0
+    let sibling = element
+    while ((sibling = sibling.previousElementSibling)) {
+      position++
+    }
+    return position
+  }
+
+  /**
+   * Synthesize the shortest selectors that match exactly one element in both versions
+   * Selectors are built from stable attribute values, ARIA attributes and tag names
+   * of the element, then qualified by a uniquely identifiable ancestor if needed.
+   * Longer combinations are only tried when shorter ones are not unique.
+   * @param {Element} beforeEl - Element in the before DOM
+   * @param {Element} afterEl - The same element in the after DOM
+   * @param {Object} [options] - Synthesis options
+   * @param {Object} [options.volatility] - Profile from buildVolatilityProfile()
+   * @param {number} [options.limit] - Maximum number of selectors returned (default 3)
+   * @param {number} [options.ancestorDepth] - How many ancestors are tried as anchors (default 5)
+   * @returns {Array<Object>} Selectors with a robustness score (0-100), most robust first
+   */
+  static synthesizeSelectors(beforeEl, afterEl, options = {}) {
+    const { volatility = null, limit = 3, ancestorDepth = 5 } = options
+    const found = new Map()
+    const isUnique = selector =>
+      this._matchesOnly(afterEl, selector) && this._matchesOnly(beforeEl, selector)
+    const consider = (selector, robustness) => {
+      if (!found.has(selector) && isUnique(selector)) {
+        found.set(selector, robustness)
+      }
+    }
+
+    const atoms = this._getSelectorAtoms(beforeEl, afterEl, volatility)
+    const tag = atoms.find(atom => atom.isTag)
+    const qualifiers = atoms.filter(atom => !atom.isTag)
+    // Skip combinations containing a part that is already unique on its own
+    const isRedundant = target => target.parts.some(atom => found.has(atom.selector))
+    const toTarget = parts => ({ parts, ...this._combineSelectorAtoms(parts) })
+
+    // Level 1: a single attribute of the element
+    const singles = qualifiers.map(atom => toTarget([atom]))
+    singles.forEach(target => consider(target.selector, target.robustness))
+
+    // Level 2: two attributes of the element, or its tag name and one attribute
+    const compounds = [
+      ...(tag ? qualifiers.map(atom => toTarget([tag, atom])) : []),
+      ...qualifiers.flatMap((atom, index) =>
+        qualifiers.slice(index + 1).map(other => toTarget([atom, other]))
+      ),
+    ]
+    if (found.size < limit) {
+      compounds
+        .filter(target => !isRedundant(target))
+        .forEach(target => consider(target.selector, target.robustness))
+    }
+
+    // Level 3: the element below a uniquely identifiable ancestor
+    const targets = [...(tag ? [toTarget([tag])] : []), ...singles, ...compounds].filter(
+      target => !isRedundant(target)
+    )
+    let beforeAncestor = beforeEl.parentElement
+    let afterAncestor = afterEl.parentElement
+
+    for (let depth = 0; depth < ancestorDepth && beforeAncestor && afterAncestor; depth++) {
+      if (found.size >= limit) {
+        break
+      }
+
+      this._getSelectorAtoms(beforeAncestor, afterAncestor, volatility)
+        .filter(
+          anchor =>
+            !anchor.isTag &&
+            this._matchesOnly(afterAncestor, anchor.selector) &&
+            this._matchesOnly(beforeAncestor, anchor.selector)
+        )
+        .forEach(anchor => {
+          targets.forEach(target => {
+            consider(
+              `${anchor.selector} ${target.selector}`,
+              Math.min(anchor.weight, target.robustness) - 10
+            )
+          })
+        })
+
+      beforeAncestor = beforeAncestor.parentElement
+      afterAncestor = afterAncestor.parentElement
+    }
+
+    return [...found]
+      .map(([selector, robustness]) => ({ selector, robustness }))
+      .sort((a, b) => b.robustness - a.robustness || a.selector.length - b.selector.length)
+      .slice(0, limit)
+  }
+
+  /**
+   * Simple selectors describing an element in both versions, most robust first
+   * Only values shared by the before and after element that do not look generated
+   * are used. Weights reflect how likely each kind of value is to survive an update.
+   * @private
+   * @returns {Array<Object>} Atoms with selector, weight and isTag
+   */
+  static _getSelectorAtoms(beforeEl, afterEl, volatility) {
+    const atoms = []
+    const addAtom = (selector, weight) => {
+      if (this._elementMatches(beforeEl, selector)) {
+        atoms.push({ selector, weight, isTag: false })
+      }
+    }
+
+    Array.from(afterEl.attributes).forEach(({ name, value }) => {
+      if (!value || this._getVolatilityReasons(name, value, volatility).length > 0) {
+        return
+      }
+
+      if (name === 'data-testid') {
+        addAtom(this._attributeSelector(name, value), 100)
+      } else if (name === 'id') {
+        addAtom(
+          this._isCSSIdentifier(value) ? `#${value}` : this._attributeSelector(name, value),
+          95
+        )
+      } else if (name.startsWith('data-')) {
+        // Flags such as data-is-focusable="true" describe state, not identity
+        addAtom(this._attributeSelector(name, value), /^(true|false)$/.test(value) ? 50 : 85)
+      } else if (name === 'name') {
+        addAtom(this._attributeSelector(name, value), 80)
+      } else if (name === 'aria-label') {
+        // Long labels are prose that gets reworded
+        addAtom(this._attributeSelector(name, value), value.length > 40 ? 60 : 75)
+      } else if (name === 'role') {
+        addAtom(this._attributeSelector(name, value), 65)
+      }
+    })
+
+    this._getStableClassList(afterEl, volatility)
+      .filter(className => this._isCSSIdentifier(className))
+      .forEach(className => addAtom(`.${className}`, 60))
+
+    // Keep the search space small on elements with many attributes
+    const ranked = atoms.sort((a, b) => b.weight - a.weight).slice(0, 8)
+
+    if (beforeEl.tagName === afterEl.tagName) {
+      ranked.push({ selector: afterEl.tagName.toLowerCase(), weight: 30, isTag: true })
+    }
+
+    return ranked
+  }
+
+  /**
+   * Join simple selectors into a compound selector (tag name first)
+   * Robustness is the mean weight, less a penalty for every extra part
+   * @private
+   */
+  static _combineSelectorAtoms(parts) {
+    const ordered = [...parts].sort((a, b) => b.isTag - a.isTag)
+    const meanWeight = ordered.reduce((sum, atom) => sum + atom.weight, 0) / ordered.length
+
+    return {
+      selector: ordered.map(atom => atom.selector).join(''),
+      robustness: Math.round(meanWeight) - 5 * (ordered.length - 1),
+    }
+  }
+
+  /**
+   * Check that a selector matches the given element and nothing else in its document
+   * @private
+   */
+  static _matchesOnly(element, selector) {
+    if (!this._elementMatches(element, selector)) {
+      return false
+    }
+    const matches = element.ownerDocument.querySelectorAll(selector)
+    return matches.length === 1 && matches[0] === element
+  }
+
+  /**
+   * Element.matches() that treats invalid selectors as not matching
+   * @private
+   */
+  static _elementMatches(element, selector) {
+    try {
+      return element.matches(selector)
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * Build an attribute equality selector with the value quoted
+   * @private
+   */
+  static _attributeSelector(name, value) {
+    return `[${name}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`
+  }
+
+  /**
+   * Check whether a value can be used verbatim after # or . in a selector
+   * @private
+   */
+  static _isCSSIdentifier(value) {
+    return /^-?[A-Za-z_][\w-]*$/.test(value)
+  }
+}
+
+// Make available globally (window in the browser, the global object under Node)
+globalThis.OutlookDOMDiff = OutlookDOMDiff
@@ -0,0 +1,645 @@
+/**
+ * OutlookResultSchema - Versioned format of the analysis result files
+ * Describes the JSON written by the command line tool and shown by the browser UI
+ * as a JSON Schema document, validates results against it and migrates result
+ * files written by older versions.
+ *
+ * Like outlook-diff-analyzer.js, this file has no imports or exports so that it
+ * runs unchanged as a classic <script> in the browser UI and as a side-effect
+ * import under Node.
+ *
+ * Version history:
+ *   1 - No meta block (files written before the schema was versioned)
+ *   2 - meta block with the tool version, input fingerprints, timestamp and options
+ */
+class OutlookResultSchema {
+  // Current schema version, written to meta.schemaVersion
+  static VERSION = 2
+
+  // Tool recorded in meta.tool (keep the version in step with package.json)
+  static TOOL_NAME = 'compare-selectors1'
+  static TOOL_VERSION = '1.0.0'
+
+  // Result kinds, written to meta.kind
+  static KINDS = ['analysis', 'timeline', 'verify', 'batch', 'sanitize', 'locales']
+
+  /**
+   * JSON Schema (draft 2020-12) of the current result format
+   * @returns {Object} Schema document
+   */
+  static getJSONSchema() {
+    const nullable = type => ({ type: [type, 'null'] })
+    const stringArray = { type: 'array', items: { type: 'string' } }
+    const counts = names => ({
+      type: 'object',
+      required: names,
+      properties: Object.fromEntries(names.map(name => [name, { type: 'integer', minimum: 0 }])),
+    })
+    const kindDocument = (kind, required) => ({
+      if: {
+        required: ['meta'],
+        properties: { meta: { required: ['kind'], properties: { kind: { const: kind } } } },
+      },
+      then: { required },
+    })
+
+    return {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'Outlook HTML snapshot analysis results',
+      description:
+        'Written by analyze-snapshots.js (analysis-results.json, verify-results.json, locales-results.json, batch index.json, sanitize-report.json) and shown by the browser UI. meta.kind tells which sections follow.',
+      type: 'object',
+      required: ['meta'],
+      properties: {
+        meta: { $ref: '#/$defs/meta' },
+        stableAttributes: { $ref: '#/$defs/stableAttributes' },
+        changedSelectors: { type: 'array', items: { $ref: '#/$defs/changedSelector' } },
+        elementChanges: { $ref: '#/$defs/elementChanges' },
+        accessibilityChanges: { $ref: '#/$defs/accessibilityChanges' },
+        recommendedAnchors: {
+          type: 'object',
+          additionalProperties: { $ref: '#/$defs/anchor' },
+        },
+        view: nullable('string'),
+        views: { type: 'object', additionalProperties: { $ref: '#/$defs/viewDetection' } },
+        versions: stringArray,
+        attributeSurvival: {
+          type: 'object',
+          additionalProperties: { type: 'array', items: { $ref: '#/$defs/attributeSurvival' } },
+        },
+        anchorSurvival: {
+          type: 'object',
+          additionalProperties: { type: 'array', items: { $ref: '#/$defs/anchorSurvival' } },
+        },
+        selectors: { type: 'array', items: { $ref: '#/$defs/verifiedSelector' } },
+        summary: {
+          type: 'object',
+          required: ['total'],
+          additionalProperties: { type: 'integer', minimum: 0 },
+        },
+        directory: { type: 'string' },
+        generated: { type: 'string' },
+        modes: {
+          type: 'object',
+          additionalProperties: { type: 'array', items: { $ref: '#/$defs/batchPair' } },
+        },
+        files: { type: 'array', items: { $ref: '#/$defs/sanitizedFile' } },
+        terms: { $ref: '#/$defs/sanitizedTerms' },
+        referenceLocale: { type: 'string' },
+        locales: stringArray,
+        localeAnchors: {
+          type: 'object',
+          additionalProperties: { $ref: '#/$defs/localeAnchor' },
+        },
+      },
+      allOf: [
+        kindDocument('analysis', [
+          'stableAttributes',
+          'changedSelectors',
+          'elementChanges',
+          'recommendedAnchors',
+        ]),
+        kindDocument('timeline', [
+          'versions',
+          'stableAttributes',
+          'attributeSurvival',
+          'recommendedAnchors',
+          'anchorSurvival',
+        ]),
+        kindDocument('verify', ['selectors', 'summary']),
+        kindDocument('batch', ['directory', 'generated', 'modes']),
+        kindDocument('sanitize', ['files', 'terms']),
+        kindDocument('locales', ['referenceLocale', 'locales', 'localeAnchors']),
+      ],
+      $defs: {
+        meta: {
+          description: 'What produced the file, from which inputs and with which options',
+          type: 'object',
+          required: ['schemaVersion', 'kind', 'tool', 'generatedAt', 'inputs', 'options'],
+          properties: {
+            schemaVersion: { const: this.VERSION },
+            kind: { enum: this.KINDS },
+            tool: {
+              type: 'object',
+              required: ['name', 'version', 'runtime'],
+              properties: {
+                name: { type: 'string' },
+                version: nullable('string'),
+                runtime: nullable('string'),
+              },
+            },
+            generatedAt: {
+              description: 'ISO timestamp (null in files migrated from schema version 1)',
+              ...nullable('string'),
+            },
+            inputs: { type: 'array', items: { $ref: '#/$defs/input' } },
+            options: { description: 'Command line options of the run', type: 'object' },
+            migratedFrom: {
+              description: 'Schema version of the file this was migrated from',
+              type: 'integer',
+            },
+          },
+        },
+        input: {
+          description: 'Fingerprint of a file the run read',
+          type: 'object',
+          required: ['role', 'path', 'size', 'modified', 'sha256'],
+          properties: {
+            role: {
+              enum: ['before', 'after', 'version', 'snapshot', 'locale', 'config', 'selectors'],
+            },
+            label: {
+              description: 'Version label of a timeline snapshot, or the locale of a snapshot',
+              type: 'string',
+            },
+            path: { description: 'Absolute path, file name or (stdin)', type: 'string' },
+            size: { description: 'Size in bytes (UTF-8)', type: 'integer', minimum: 0 },
+            modified: nullable('string'),
+            sha256: nullable('string'),
+          },
+        },
+        stableAttributes: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: [
+              'totalBefore',
+              'totalAfter',
+              'commonCount',
+              'volatileCount',
+              'stabilityScore',
+              'stableValues',
+              'volatileValues',
+            ],
+            properties: {
+              ...counts(['totalBefore', 'totalAfter', 'commonCount', 'volatileCount']).properties,
+              stabilityScore: { description: 'Percentage with two decimals', type: 'string' },
+              stableValues: stringArray,
+              volatileValues: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['value', 'reasons'],
+                  properties: { value: { type: 'string' }, reasons: stringArray },
+                },
+              },
+            },
+          },
+        },
+        selectorMatch: {
+          type: 'object',
+          required: ['found'],
+          properties: { found: { type: 'boolean' }, selector: { type: 'string' } },
+        },
+        changedSelector: {
+          type: 'object',
+          required: ['elementName', 'before', 'after', 'status'],
+          properties: {
+            elementName: { type: 'string' },
+            before: { $ref: '#/$defs/selectorMatch' },
+            after: { $ref: '#/$defs/selectorMatch' },
+            status: { enum: ['added', 'removed', 'changed'] },
+          },
+        },
+        elementChanges: {
+          description: 'null in files migrated from schema version 1, which had no tree diff',
+          type: ['object', 'null'],
+          required: ['summary', 'changes'],
+          properties: {
+            summary: counts(['matched', 'added', 'removed', 'moved', 'attributeChanged']),
+            changes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['status', 'tagName', 'beforePath', 'afterPath'],
+                properties: {
+                  status: { enum: ['added', 'removed', 'moved', 'attribute-changed'] },
+                  tagName: { type: 'string' },
+                  beforePath: nullable('string'),
+                  afterPath: nullable('string'),
+                },
+              },
+            },
+          },
+        },
+        accessibilityChanges: {
+          type: 'object',
+          required: ['summary', 'changes'],
+          properties: {
+            summary: counts(['before', 'after', 'added', 'removed', 'renamed', 'moved']),
+            changes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['status', 'role', 'name', 'landmark', 'path'],
+                properties: {
+                  status: { enum: ['added', 'removed', 'renamed', 'moved'] },
+                  role: { type: 'string' },
+                  name: { type: 'string' },
+                  landmark: { type: 'string' },
+                  path: { type: 'string' },
+                  previousName: { type: 'string' },
+                  previousLandmark: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        viewDetection: {
+          type: 'object',
+          required: ['view', 'confidence', 'scores', 'landmarks'],
+          properties: {
+            view: { type: 'string' },
+            confidence: { type: 'number', minimum: 0 },
+            scores: { type: 'object', additionalProperties: { type: 'number' } },
+            landmarks: stringArray,
+          },
+        },
+        anchor: {
+          type: 'object',
+          required: ['primarySelector', 'alternativeSelectors', 'stabilityScore', 'isReliable'],
+          properties: {
+            primarySelector: nullable('string'),
+            alternativeSelectors: stringArray,
+            stabilityScore: { type: 'number' },
+            isReliable: { type: 'boolean' },
+            // Absent when no anchor was found
+            selectorType: { type: 'string' },
+            localized: {
+              description: 'The primary selector compares localized text such as aria-label',
+              type: 'boolean',
+            },
+            element: {
+              description: 'Element the primary selector matches in the after snapshot',
+              $ref: '#/$defs/elementMetadata',
+            },
+          },
+        },
+        elementMetadata: {
+          type: 'object',
+          required: ['tagName', 'attributes', 'childrenCount', 'textContentLength', 'path'],
+          properties: {
+            tagName: { type: 'string' },
+            attributes: { type: 'object', additionalProperties: { type: 'string' } },
+            childrenCount: { type: 'integer', minimum: 0 },
+            textContentLength: { type: 'integer', minimum: 0 },
+            path: { type: 'string' },
+          },
+        },
+        localeAnchor: {
+          type: 'object',
+          required: [
+            'primarySelector',
+            'alternativeSelectors',
+            'localeNeutral',
+            'localized',
+            'foundIn',
+            'labels',
+          ],
+          properties: {
+            primarySelector: nullable('string'),
+            alternativeSelectors: stringArray,
+            localeNeutral: { type: 'boolean' },
+            localized: { type: 'boolean' },
+            foundIn: { type: 'object', additionalProperties: { type: 'boolean' } },
+            labels: {
+              description:
+                'Label of the element per locale; null if a locale-neutral anchor exists',
+              type: ['object', 'null'],
+              required: ['attribute', 'values', 'selectors'],
+              properties: {
+                attribute: { type: 'string' },
+                values: { type: 'object', additionalProperties: nullable('string') },
+                selectors: { type: 'object', additionalProperties: nullable('string') },
+              },
+            },
+          },
+        },
+        attributeSurvival: {
+          type: 'object',
+          required: ['value', 'presentIn', 'firstSeenIn', 'firstBrokenIn'],
+          properties: {
+            value: { type: 'string' },
+            presentIn: stringArray,
+            firstSeenIn: nullable('string'),
+            firstBrokenIn: nullable('string'),
+          },
+        },
+        anchorSurvival: {
+          type: 'object',
+          required: ['selector', 'source', 'presentIn', 'firstSeenIn', 'firstBrokenIn'],
+          properties: {
+            selector: { type: 'string' },
+            source: { enum: ['primary', 'alternative', 'configured'] },
+            presentIn: stringArray,
+            firstSeenIn: nullable('string'),
+            firstBrokenIn: nullable('string'),
+          },
+        },
+        verifiedSelector: {
+          type: 'object',
+          required: ['name', 'selector', 'beforeCount', 'afterCount', 'status'],
+          properties: {
+            name: { type: 'string' },
+            selector: { type: 'string' },
+            beforeCount: { type: 'integer', minimum: 0 },
+            afterCount: { type: 'integer', minimum: 0 },
+            status: {
+              enum: ['ok', 'ambiguous', 'retargeted', 'broken', 'new', 'missing', 'invalid'],
+            },
+          },
+        },
+        batchPair: {
+          type: 'object',
+          required: ['before', 'after', 'results', 'report'],
+          properties: {
+            before: { type: 'string' },
+            after: { type: 'string' },
+            results: { description: 'Path relative to the index', type: 'string' },
+            report: { description: 'Path relative to the index', type: 'string' },
+            error: { type: 'string' },
+          },
+        },
+        sanitizedFile: {
+          type: 'object',
+          required: ['input', 'output', 'replacements'],
+          properties: {
+            input: { type: 'string' },
+            output: { type: 'string' },
+            replacements: counts([
+              'textNodes',
+              'labels',
+              'emails',
+              'mailtoLinks',
+              'avatarUrls',
+              'values',
+            ]),
+          },
+        },
+        sanitizedTerms: {
+          description: 'Personal terms found in the snapshots, as their pseudonyms',
+          type: 'object',
+          required: ['emails', 'names', 'contentFragments'],
+          properties: {
+            emails: { type: 'array', items: { $ref: '#/$defs/pseudonym' } },
+            names: { type: 'array', items: { $ref: '#/$defs/pseudonym' } },
+            contentFragments: { type: 'integer', minimum: 0 },
+          },
+        },
+        pseudonym: {
+          type: 'object',
+          required: ['kind', 'pseudonym'],
+          properties: { kind: { enum: ['email', 'name'] }, pseudonym: { type: 'string' } },
+        },
+      },
+    }
+  }
+
+  /**
+   * Build the meta block of a result file
+   * @param {string} kind - One of KINDS
+   * @param {Object} [context] - Run context
+   * @param {Array<Object>} [context.inputs] - Fingerprints of the files read, each with a role
+   * @param {Object} [context.options] - Options of the run
+   * @returns {Object} Meta block
+   */
+  static createMeta(kind, { inputs = [], options = {} } = {}) {
+    if (!this.KINDS.includes(kind)) {
+      throw new Error(`Unknown result kind "${kind}"`)
+    }
+
+    const isNode = typeof process !== 'undefined' && process.versions && process.versions.node
+    return {
+      schemaVersion: this.VERSION,
+      kind,
+      tool: {
+        name: this.TOOL_NAME,
+        version: this.TOOL_VERSION,
+        runtime: isNode ? `node ${process.version}` : 'browser',
+      },
+      generatedAt: new Date().toISOString(),
+      inputs,
+      options: JSON.parse(JSON.stringify(options)),
+    }
+  }
+
+  /**
+   * Validate a result document against the current schema
+   * @param {Object} results - Result document (with meta block)
+   * @returns {Array<string>} Validation errors, empty if the document is valid
+   */
+  static validate(results) {
+    const schema = this.getJSONSchema()
+    const errors = []
+    this._validateNode(results, schema, '$', schema, errors)
+    return errors
+  }
+
+  /**
+   * Throw if a result document does not match the current schema
+   * @param {Object} results - Result document (with meta block)
+   * @throws {Error} Listing the first validation errors
+   */
+  static assertValid(results) {
+    const errors = this.validate(results)
+    if (errors.length > 0) {
+      const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''
+      throw new Error(
+        `Results do not match schema version ${this.VERSION}: ${errors
+          .slice(0, 5)
+          .join('; ')}${more}`
+      )
+    }
+  }
+
+  /**
+   * Upgrade a result document written by any earlier version to the current schema
+   * The document is not modified; documents already at the current version are
+   * returned as is.
+   * @param {Object} results - Parsed result file
+   * @returns {Object} Result document at the current schema version
+   * @throws {Error} If the document is not a result file or was written by a newer version
+   */
+  static migrate(results) {
+    if (!results || typeof results !== 'object' || Array.isArray(results)) {
+      throw new Error('Results must be a JSON object')
+    }
+
+    const version = results.meta ? results.meta.schemaVersion : 1
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Invalid meta.schemaVersion: ${JSON.stringify(version)}`)
+    }
+    if (version > this.VERSION) {
+      throw new Error(
+        `Results use schema version ${version}, but this tool only reads up to version ${this.VERSION}`
+      )
+    }
+
+    // One step per schema version
+    const steps = { 1: doc => this._migrateFrom1(doc) }
+    let migrated = results
+    for (let from = version; from < this.VERSION; from++) {
+      migrated = steps[from](migrated)
+    }
+    return migrated
+  }
+
+  /**
+   * Migrate a schema 1 document (no meta block) to schema 2
+   * Attribute stats get empty volatile fields, a missing tree diff becomes null, and
+   * the count based changedSelectors entries of the first Node analyzer are
+   * converted to the feature based entries, keeping their counts.
+   * @private
+   */
+  static _migrateFrom1(results) {
+    const kind = this._detectKind(results)
+    const migrated = { ...results }
+
+    if (migrated.stableAttributes) {
+      migrated.stableAttributes = Object.fromEntries(
+        Object.entries(migrated.stableAttributes).map(([attrType, data]) => [
+          attrType,
+          { volatileCount: 0, volatileValues: [], ...data },
+        ])
+      )
+    }
+
+    if (kind === 'analysis') {
+      migrated.elementChanges = migrated.elementChanges || null
+      migrated.changedSelectors = (migrated.changedSelectors || []).map(entry =>
+        'elementName' in entry ? entry : this._migrateCountChange(entry)
+      )
+    }
+
+    return {
+      meta: {
+        schemaVersion: 2,
+        kind,
+        tool: { name: this.TOOL_NAME, version: null, runtime: null },
+        generatedAt: kind === 'batch' ? results.generated : null,
+        inputs: [],
+        options: {},
+        migratedFrom: 1,
+      },
+      ...migrated,
+    }
+  }
+
+  /**
+   * Convert a schema 1 {selector, beforeCount, afterCount, change} entry
+   * @private
+   */
+  static _migrateCountChange({ selector, beforeCount, afterCount }) {
+    const match = count => (count > 0 ? { found: true, selector } : { found: false })
+    return {
+      elementName: selector,
+      before: match(beforeCount),
+      after: match(afterCount),
+      status: beforeCount === 0 ? 'added' : afterCount === 0 ? 'removed' : 'changed',
+      beforeCount,
+      afterCount,
+    }
+  }
+
+  /**
+   * Tell the kind of a document without meta block from its sections
+   * @private
+   */
+  static _detectKind(results) {
+    if (results.modes) return 'batch'
+    if (results.versions) return 'timeline'
+    if (results.selectors && results.summary) return 'verify'
+    if (results.stableAttributes && results.recommendedAnchors) return 'analysis'
+    throw new Error('Unrecognized results: no meta block and none of the known result sections')
+  }
+
+  /**
+   * Validate a value against a schema node
+   * Supports the subset of JSON Schema used by getJSONSchema(): type, const, enum,
+   * minimum, required, properties, additionalProperties, items, allOf, if/then
+   * and local $refs.
+   * @private
+   */
+  static _validateNode(value, node, location, root, errors) {
+    if (node.$ref) {
+      const target = node.$ref
+        .replace(/^#\//, '')
+        .split('/')
+        .reduce((schema, key) => schema[key], root)
+      this._validateNode(value, target, location, root, errors)
+      return
+    }
+
+    if (node.type) {
+      const types = Array.isArray(node.type) ? node.type : [node.type]
+      if (!types.some(type => this._hasType(value, type))) {
+        errors.push(`${location} must be ${types.join(' or ')}`)
+        return
+      }
+    }
+    if ('const' in node && value !== node.const) {
+      errors.push(`${location} must be ${JSON.stringify(node.const)}`)
+    }
+    if (node.enum && !node.enum.includes(value)) {
+      errors.push(`${location} must be one of ${node.enum.join(', ')}`)
+    }
+    if (node.minimum !== undefined && typeof value === 'number' && value < node.minimum) {
+      errors.push(`${location} must be at least ${node.minimum}`)
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      ;(node.required || [])
+        .filter(name => !(name in value))
+        .forEach(name => errors.push(`${location}.${name} is required`))
+
+      Object.keys(value).forEach(name => {
+        const child = node.properties && node.properties[name]
+        const schema =
+          child || (node.additionalProperties === undefined ? null : node.additionalProperties)
+        if (schema === false) {
+          errors.push(`${location}.${name} is not allowed`)
+        } else if (schema && schema !== true) {
+          this._validateNode(value[name], schema, `${location}.${name}`, root, errors)
+        }
+      })
+    }
+
+    if (Array.isArray(value) && node.items) {
+      value.forEach((item, index) =>
+        this._validateNode(item, node.items, `${location}[${index}]`, root, errors)
+      )
+    }
+
+    ;(node.allOf || []).forEach(part => this._validateNode(value, part, location, root, errors))
+
+    if (node.if && node.then) {
+      const conditionErrors = []
+      this._validateNode(value, node.if, location, root, conditionErrors)
+      if (conditionErrors.length === 0) {
+        this._validateNode(value, node.then, location, root, errors)
+      }
+    }
+  }
+
+  /**
+   * Check a value against a JSON Schema type name
+   * @private
+   */
+  static _hasType(value, type) {
+    switch (type) {
+      case 'null':
+        return value === null
+      case 'array':
+        return Array.isArray(value)
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value)
+      case 'integer':
+        return Number.isInteger(value)
+      default:
+        return typeof value === type
+    }
+  }
+}
+
+// Make available globally (window in the browser, the global object under Node)
+globalThis.OutlookResultSchema = OutlookResultSchema
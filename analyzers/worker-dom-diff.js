@@ -0,0 +1,34 @@
+/**
+ * OutlookDOMDiff - Web Worker entry point
+ * Runs the shared analysis core (outlook-diff-analyzer.js) on top of linkedom, which
+ * needs no browser DOM, for browser/analysis-worker.js. Workers cannot parse HTML, and
+ * linkedom's parser does not follow the HTML standard, so the page parses the snapshots
+ * and sends them as node lists (see OutlookDOMDiff.toNodeList()).
+ *
+ * linkedom is imported by path so the same file loads in the browser and under Node.
+ */
+import { Element, SVGElement, parseJSON } from '../node_modules/linkedom/worker.js'
+import './outlook-diff-analyzer.js'
+
+// linkedom answers getAttribute('class') from classList, which lists each class once;
+// read the attribute itself so repeated classes are kept as in the browser and JSDOM
+for (const { prototype } of [Element, SVGElement]) {
+  const { getAttribute } = prototype
+  prototype.getAttribute = function (name) {
+    const attribute = name === 'class' && this.getAttributeNode('class')
+    return attribute ? attribute.value : getAttribute.call(this, name)
+  }
+}
+
+class WorkerOutlookDOMDiff extends globalThis.OutlookDOMDiff {
+  /**
+   * Rebuild a document parsed by the page using linkedom
+   * @param {Array<number|string>} nodes - Node list from OutlookDOMDiff.toNodeList()
+   * @returns {Document} DOM document
+   */
+  static parseHTML(nodes) {
+    return parseJSON(nodes)
+  }
+}
+
+export default WorkerOutlookDOMDiff
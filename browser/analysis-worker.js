@@ -0,0 +1,21 @@
+/**
+ * Analysis worker of the browser UI
+ * Analyzes a pair of snapshots off the page's thread, so the page stays responsive.
+ * Receives {before, after, config}, the snapshots as node lists (see
+ * OutlookDOMDiff.toNodeList()), and posts {type: 'progress', progress} as each phase
+ * starts, then {type: 'results', results} or {type: 'error', message}. The page cancels
+ * an analysis by terminating the worker.
+ */
+import WorkerOutlookDOMDiff from '../analyzers/worker-dom-diff.js'
+
+self.addEventListener('message', ({ data: { before, after, config } }) => {
+  try {
+    const results = WorkerOutlookDOMDiff.analyzeChanges(before, after, {
+      config,
+      onProgress: progress => self.postMessage({ type: 'progress', progress }),
+    })
+    self.postMessage({ type: 'results', results })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+})
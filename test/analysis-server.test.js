@@ -0,0 +1,120 @@
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import net from 'node:net'
+import { after, before, describe, it } from 'node:test'
+import { fileURLToPath } from 'node:url'
+
+import { createAnalysisServer } from '../utils/analysis-server.js'
+
+const ROOT_DIRECTORY = fileURLToPath(new URL('..', import.meta.url))
+
+/**
+ * Send a request and collect the status and JSON body of the response
+ */
+function request(port, { method = 'GET', path = '/', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, response => {
+      let data = ''
+      response.setEncoding('utf8')
+      response.on('data', chunk => (data += chunk))
+      response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(data) }))
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
+/**
+ * Send raw bytes and return the status line of the response
+ */
+function sendRaw(port, text) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(text))
+    let data = ''
+    socket.setEncoding('utf8')
+    socket.on('data', chunk => {
+      data += chunk
+      if (data.includes('\r\n')) {
+        socket.destroy()
+        resolve(data.slice(0, data.indexOf('\r\n')))
+      }
+    })
+    socket.on('error', reject)
+  })
+}
+
+describe('createAnalysisServer', () => {
+  let server
+  let port
+  let log
+
+  before(async () => {
+    // Keep the request log out of the test output
+    log = console.log
+    console.log = () => {}
+    server = createAnalysisServer({
+      rootDirectory: ROOT_DIRECTORY,
+      config: { features: [] },
+      configInput: null,
+      options: {},
+      host: '127.0.0.1',
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    port = server.address().port
+  })
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve))
+    console.log = log
+  })
+
+  it('answers 400 to a malformed request URL and keeps serving', async () => {
+    const statusLine = await sendRaw(
+      port,
+      `GET http://[ HTTP/1.1\r\nHost: 127.0.0.1:${port}\r\nConnection: close\r\n\r\n`
+    )
+    assert.match(statusLine, / 400 /)
+    assert.equal((await request(port, { path: '/api/status' })).status, 200)
+  })
+
+  it('refuses requests addressed to another host', async () => {
+    const response = await request(port, {
+      path: '/api/status',
+      headers: { Host: `rebound.example:${port}` },
+    })
+    assert.equal(response.status, 403)
+    assert.match(response.body.error, /rebound\.example/)
+
+    const loopback = await request(port, {
+      path: '/api/status',
+      headers: { Host: `localhost:${port}` },
+    })
+    assert.equal(loopback.status, 200)
+  })
+
+  it('serves the DOM of the analysis worker, and no other installed package', async () => {
+    const served = await new Promise((resolve, reject) => {
+      http
+        .get({ host: '127.0.0.1', port, path: '/node_modules/linkedom/worker.js' }, response => {
+          response.resume()
+          resolve(response)
+        })
+        .on('error', reject)
+    })
+    assert.equal(served.statusCode, 200)
+    assert.match(served.headers['content-type'], /^text\/javascript/)
+
+    const response = await request(port, { path: '/node_modules/linkedom/package.json' })
+    assert.equal(response.status, 404)
+  })
+
+  it('only accepts JSON bodies for uploaded analyses', async () => {
+    const response = await request(port, {
+      method: 'POST',
+      path: '/api/analyze',
+      headers: { 'Content-Type': 'text/plain' },
+      body: '{}',
+    })
+    assert.equal(response.status, 415)
+  })
+})
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { generateBatchIndexReport } from '../utils/file-utils.js'
+
+const pair = (before, after, reliableAnchors, totalAnchors) => ({
+  before,
+  after,
+  results: `inbox/${before}-to-${after}/analysis-results.json`,
+  report: `inbox/${before}-to-${after}/analysis-report.html`,
+  changedSelectors: 0,
+  elementChanges: 2,
+  reliableAnchors,
+  totalAnchors,
+})
+
+describe('generateBatchIndexReport', () => {
+  let directory
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'batch-test-'))
+  })
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true })
+  })
+
+  it('shows n/a for the reliable anchors of a pair without watched features', async () => {
+    const reportPath = path.join(directory, 'index.html')
+    const index = {
+      directory: 'html',
+      generated: '2026-10-19T12:00:00.000Z',
+      modes: { inbox: [pair('A', 'B', 3, 4), pair('B', 'C', 0, 0)] },
+    }
+    await generateBatchIndexReport(index, reportPath)
+    const report = await fs.readFile(reportPath, 'utf8')
+
+    assert.ok(!report.includes('NaN'))
+    assert.match(report, /<td class="score-medium">\s*3 \/ 4\s*<\/td>/)
+    assert.match(report, /<td>n\/a \(no watched features\)<\/td>/)
+  })
+})
@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import OutlookDOMDiff from '../analyzers/dom-diff.js'
+
+const SEND_FEATURE = { name: 'Send', role: 'button', keyTerms: ['send'] }
+
+/**
+ * Synthesize the selectors of the element a selector finds in both snapshots
+ */
+function synthesize(beforeHTML, afterHTML, selector) {
+  return OutlookDOMDiff.synthesizeSelectors(
+    OutlookDOMDiff.parseHTML(beforeHTML).querySelector(selector),
+    OutlookDOMDiff.parseHTML(afterHTML).querySelector(selector)
+  )
+}
+
+/**
+ * Recommend the anchor of one feature in a pair of snapshots
+ */
+function recommend(beforeHTML, afterHTML, feature) {
+  const { features } = OutlookDOMDiff.normalizeConfig({ features: [feature] })
+  const recommendations = OutlookDOMDiff.generateAnchorRecommendations(
+    OutlookDOMDiff.parseHTML(beforeHTML),
+    OutlookDOMDiff.parseHTML(afterHTML),
+    features,
+    [],
+    undefined,
+    null
+  )
+  return recommendations[feature.name]
+}
+
+describe('synthesizeSelectors', () => {
+  it('describes an element by an attribute that is unique in both snapshots', () => {
+    const html = `<main>
+      <button data-testid="send" class="primary">Send</button>
+      <button class="primary">Discard</button>
+    </main>`
+    const [best] = synthesize(html, html, '[data-testid="send"]')
+
+    assert.equal(best.selector, '[data-testid="send"]')
+  })
+
+  it('qualifies an element by a unique ancestor when it is not unique itself', () => {
+    const before = `<div id="toolbar"><button>Reply</button></div><div><button>Open</button></div>`
+    const after = `<div id="toolbar"><button>Reply all</button></div><div><button>Open</button></div>`
+    const selectors = synthesize(before, after, '#toolbar button').map(({ selector }) => selector)
+
+    assert.ok(selectors.length > 0)
+    selectors.forEach(selector => assert.match(selector, /#toolbar/))
+  })
+})
+
+describe('generateAnchorRecommendations', () => {
+  it('ranks the more robust selector first among candidates of equal stability', () => {
+    // Both buttons match the feature equally; a class is less robust than a test id
+    const html = `<main>
+      <div role="button" class="sendAction">Send</div>
+      <div role="button" data-testid="send-later">Send</div>
+    </main>`
+    const anchor = recommend(html, html, SEND_FEATURE)
+
+    assert.equal(anchor.primarySelector, '[data-testid="send-later"]')
+    assert.deepEqual(anchor.alternativeSelectors, ['.sendAction'])
+  })
+
+  it('still ranks a more stable candidate above a more robust one', () => {
+    // The label and text of the first button match the key term more often, so it
+    // scores higher even though the test id of the second one is more robust
+    const html = `<main>
+      <div role="button" class="sendAction" aria-label="Send">Send</div>
+      <div role="button" data-testid="send-later">Later</div>
+    </main>`
+    const anchor = recommend(html, html, SEND_FEATURE)
+
+    assert.equal(anchor.primarySelector, '.sendAction')
+  })
+
+  it('ranks configured selectors after assessed candidates of the same score', () => {
+    // Only the text matches the key term (90), like the first configured selector (90)
+    const html = `<main><div role="button" data-testid="compose-submit">Send</div></main>`
+    const anchor = recommend(html, html, { ...SEND_FEATURE, selectors: ['main > div'] })
+
+    assert.equal(anchor.stabilityScore, 90)
+    assert.equal(anchor.primarySelector, '[data-testid="compose-submit"]')
+    assert.ok(anchor.alternativeSelectors.includes('main > div'))
+  })
+
+  it('lists a selector found by several strategies once', () => {
+    // The role selector is synthesized for the tree and configured as well
+    const html = `<main><div role="tree"><div role="treeitem">Folders</div></div></main>`
+    const anchor = recommend(html, html, {
+      name: 'FolderPane',
+      role: 'tree',
+      keyTerms: ['folder'],
+      selectors: ['[role="tree"]'],
+    })
+    const selectors = [anchor.primarySelector, ...anchor.alternativeSelectors]
+
+    assert.equal(anchor.primarySelector, '[role="tree"]')
+    assert.equal(new Set(selectors).size, selectors.length)
+  })
+
+  it('recommends selectors specific to each feature of the inbox snapshots', () => {
+    const [beforeDOM, afterDOM] = ['inbox-A.html', 'inbox-B.html'].map(name =>
+      OutlookDOMDiff.parseHTML(fs.readFileSync(new URL(`../html/${name}`, import.meta.url), 'utf8'))
+    )
+    const anchors = OutlookDOMDiff.generateAnchorRecommendations(beforeDOM, afterDOM)
+    const selectorsOf = ({ primarySelector, alternativeSelectors }) =>
+      [primarySelector, ...alternativeSelectors].filter(selector => selector)
+    const primaryElements = Object.entries(anchors)
+      .filter(([, anchor]) => anchor.primarySelector)
+      .map(([name, anchor]) => [name, afterDOM.querySelector(anchor.primarySelector)])
+
+    const all = Object.values(anchors).flatMap(selectorsOf)
+    assert.equal(new Set(all).size, all.length, `Selectors shared or repeated: ${all}`)
+
+    // No selector matches a container of the primary elements of other features
+    Object.entries(anchors).forEach(([name, anchor]) =>
+      selectorsOf(anchor).forEach(selector => {
+        const element = afterDOM.querySelector(selector)
+        const contained = primaryElements.filter(
+          ([other, otherEl]) => other !== name && element.contains(otherEl)
+        )
+        assert.ok(contained.length < 2, `${selector} of ${name} contains other features`)
+      })
+    )
+  })
+})
+
+describe('analyzeChangesAsync', () => {
+  const html = '<main><div role="list"><div role="listitem">Inbox</div></div></main>'
+  const timeSliceMs = OutlookDOMDiff._timeSliceMs
+
+  // Pause at every checkpoint, rather than after 50 ms
+  beforeEach(() => {
+    OutlookDOMDiff._timeSliceMs = 0
+  })
+
+  afterEach(() => {
+    OutlookDOMDiff._timeSliceMs = timeSliceMs
+  })
+
+  it('returns the results of analyzeChanges()', async () => {
+    assert.deepEqual(
+      await OutlookDOMDiff.analyzeChangesAsync(html, html),
+      OutlookDOMDiff.analyzeChanges(html, html)
+    )
+  })
+
+  it('can be cancelled between phases', async () => {
+    const analysis = new AbortController()
+    const phases = []
+
+    const results = OutlookDOMDiff.analyzeChangesAsync(html, html, {
+      signal: analysis.signal,
+      onProgress: ({ phase }) => {
+        phases.push(phase)
+        if (phase === 'match') {
+          analysis.abort()
+        }
+      },
+    })
+
+    await assert.rejects(results, { name: 'AbortError' })
+    assert.deepEqual(phases, ['parse', 'match'])
+  })
+
+  it('can be cancelled within a phase', async () => {
+    const analysis = new AbortController()
+    const phases = []
+
+    const results = OutlookDOMDiff.analyzeChangesAsync(html, html, {
+      signal: analysis.signal,
+      onProgress: ({ phase }) => {
+        phases.push(phase)
+        if (phase === 'match') {
+          // Cancel after the analysis has resumed to start matching elements
+          setTimeout(() => setTimeout(() => analysis.abort(), 0), 0)
+        }
+      },
+    })
+
+    await assert.rejects(results, { name: 'AbortError' })
+    assert.deepEqual(phases, ['parse', 'match'])
+  })
+})
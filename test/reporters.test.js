@@ -0,0 +1,24 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import OutlookDOMDiff from '../analyzers/dom-diff.js'
+import { renderCsvReports } from '../utils/reporters.js'
+
+describe('renderCsvReports', () => {
+  it('keeps spreadsheets from reading fields as formulas', () => {
+    const before = '<main><div style="color: red" title="Inbox">Inbox</div></main>'
+    const after = `<main>
+      <div title="=HYPERLINK(&quot;https://example.com&quot;)">Inbox</div>
+      <button>@SUM(1+1)</button>
+    </main>`
+    const results = {
+      meta: { kind: 'analysis', inputs: [] },
+      ...OutlookDOMDiff.analyzeChanges(before, after),
+    }
+    const csv = renderCsvReports(results)
+
+    // The details of the changed element start with "- style"
+    assert.match(csv['element-changes'], /,"'- style; title: ""Inbox"" → ""=HYPERLINK\(/)
+    // The name of the added button comes from the snapshot
+    assert.match(csv['accessibility-changes'], /^added,button,'@SUM\(1\+1\),/m)
+  })
+})
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import { describe, it } from 'node:test'
+import OutlookDOMDiff from '../analyzers/dom-diff.js'
+import { sanitizeSnapshots } from '../utils/snapshot-sanitizer.js'
+
+// Key terms of the built-in watchlist, as the sanitize command passes them
+const DEFAULT_KEY_TERMS = OutlookDOMDiff.getDefaultConfig().features.flatMap(feature =>
+  OutlookDOMDiff.getFeatureKeyTerms(feature)
+)
+
+const SNAPSHOT = `<!DOCTYPE html>
+<html><body>
+  <div role="navigation" aria-label="Folder navigation"><span>Inbox</span></div>
+  <div role="list" aria-label="Message list">
+    <div data-convid="1" aria-label="Renate Kessler Quarterly budget review">
+      <span title="renate.kessler@example.com">Renate Kessler</span>
+      <span>Quarterly budget review</span>
+      <span>Please send the spreadsheet before Wednesday</span>
+    </div>
+  </div>
+  <div id="ItemReadingPaneContainer">
+    <div>Renate Kessler &lt;renate.kessler@example.com&gt;</div>
+    <a href="mailto:renate.kessler@example.com">Renate Kessler</a>
+    <img src="https://outlook.example.com/owa/service.svc/s/GetPersonaPhoto?email=renate.kessler%40example.com">
+    <div aria-label="Message body"><p>Hello Peter, the getter returns the new totals. Regards, Renate</p></div>
+  </div>
+</body></html>
+`
+
+const PERSONAL_WORDS = [
+  'Renate',
+  'Kessler',
+  'renate.kessler',
+  'Quarterly',
+  'budget',
+  'spreadsheet',
+  'Wednesday',
+  'Peter',
+  'getter',
+  'totals',
+  'Regards',
+]
+
+describe('sanitizeSnapshots', () => {
+  it('replaces email addresses, names and message text but keeps the structure', () => {
+    const [{ html }] = sanitizeSnapshots([SNAPSHOT], { seed: 'test' }).snapshots
+
+    ;['renate.kessler@example.com', 'Renate', 'Kessler', 'Quarterly'].forEach(word =>
+      assert.ok(!html.includes(word), `${word} was kept`)
+    )
+    assert.match(html, /<div role="list" aria-label="Message list">/)
+    assert.match(html, /<div id="ItemReadingPaneContainer">/)
+  })
+
+  it('replaces names, addresses and subjects with the default key terms', () => {
+    const [{ html }] = sanitizeSnapshots([SNAPSHOT], {
+      seed: 'test',
+      keyTerms: DEFAULT_KEY_TERMS,
+    }).snapshots
+
+    PERSONAL_WORDS.forEach(word => assert.ok(!html.includes(word), `${word} was kept`))
+  })
+
+  it('keeps key terms wherever they occur, and pseudonymizes the rest of the words', () => {
+    const [{ html }] = sanitizeSnapshots(['<p>Inbox Inboxes Mail e-mail neue e-mail Elena</p>'], {
+      seed: 'test',
+      keyTerms: ['inbox', 'mail', 'neue e-mail'],
+    }).snapshots
+    const words = html.match(/<p>(.*)<\/p>/)[1].split(' ')
+
+    assert.equal(words[0], 'Inbox')
+    assert.match(words[1], /^Inbox[b-z]{2}$/)
+    assert.notEqual(words[1], 'Inboxes')
+    assert.equal(words[2], 'Mail')
+    // Only "mail" is a key term here, "e" is not
+    assert.match(words[3], /^[b-z]-mail$/)
+    assert.equal(`${words[4]} ${words[5]}`, 'neue e-mail')
+    assert.notEqual(words[6], 'Elena')
+  })
+
+  it('keeps key terms shorter than three characters only as whole words', () => {
+    const [{ html }] = sanitizeSnapshots(['<p>To Tom</p>'], {
+      seed: 'test',
+      keyTerms: ['to'],
+    }).snapshots
+    const words = html.match(/<p>(.*)<\/p>/)[1].split(' ')
+
+    assert.equal(words[0], 'To')
+    assert.doesNotMatch(words[1], /^To/)
+  })
+
+  it('keeps URL percent-escapes', () => {
+    const link = '<a href="https://example.com/people?u=renate.kessler%40example.com">Profile</a>'
+    const [{ html }] = sanitizeSnapshots([link], { seed: 'test' }).snapshots
+
+    assert.match(html, /\?u=[a-z]{6}\.[a-z]{7}%40[a-z]{7}\.[a-z]{3}"/)
+  })
+
+  it('gives a word the same pseudonym in every snapshot of a run', () => {
+    const { snapshots } = sanitizeSnapshots([SNAPSHOT, SNAPSHOT], { seed: 'test' })
+
+    assert.equal(snapshots[0].html, snapshots[1].html)
+  })
+
+  it('leaves the changed selectors and anchors of the inbox snapshots as they are', () => {
+    const raw = ['inbox-A.html', 'inbox-B.html'].map(name =>
+      fs.readFileSync(new URL(`../html/${name}`, import.meta.url), 'utf8')
+    )
+    const sanitized = sanitizeSnapshots(raw, {
+      seed: 'test',
+      keyTerms: DEFAULT_KEY_TERMS,
+    }).snapshots.map(({ html }) => html)
+    // The elements of the anchors are described with their (pseudonymized) labels
+    const analyze = ([before, after]) => {
+      const { changedSelectors, recommendedAnchors } = OutlookDOMDiff.analyzeChanges(before, after)
+      return {
+        changedSelectors,
+        recommendedAnchors: Object.fromEntries(
+          Object.entries(recommendedAnchors).map(([name, { element, ...anchor }]) => [name, anchor])
+        ),
+      }
+    }
+
+    assert.deepEqual(analyze(sanitized), analyze(raw))
+  })
+})
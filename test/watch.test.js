@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, it } from 'node:test'
+import { fileURLToPath } from 'node:url'
+
+const CLI_PATH = fileURLToPath(new URL('../analyze-snapshots.js', import.meta.url))
+
+const SNAPSHOT = `<!DOCTYPE html>
+<html><body>
+  <div id="toolbar" role="toolbar" aria-label="Command toolbar"><button>Reply</button></div>
+  <div role="list" aria-label="Message list"><div role="listitem">First message</div></div>
+</body></html>
+`
+
+const configSource = name =>
+  `export default { features: [{ name: '${name}', selectors: ['#toolbar'] }] }\n`
+
+/**
+ * Wait until the output of a process matches a pattern a given number of times
+ */
+function waitForOutput(child, pattern, count, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    let output = ''
+    const timer = setTimeout(() => {
+      child.stdout.off('data', onData)
+      reject(new Error(`Timed out waiting for ${pattern}; output:\n${output}`))
+    }, timeout)
+    const onData = chunk => {
+      output += chunk
+      if ((output.match(new RegExp(pattern.source, 'g')) || []).length >= count) {
+        clearTimeout(timer)
+        child.stdout.off('data', onData)
+        resolve(output)
+      }
+    }
+    child.stdout.on('data', onData)
+  })
+}
+
+describe('--watch', () => {
+  let directory
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-test-'))
+    await fs.writeFile(path.join(directory, 'before.html'), SNAPSHOT)
+    await fs.writeFile(path.join(directory, 'after.html'), SNAPSHOT)
+  })
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true })
+  })
+
+  it('re-runs the analysis when a snapshot changes', async () => {
+    const afterPath = path.join(directory, 'after.html')
+    const resultsPath = path.join(directory, 'snapshot-results.json')
+
+    const child = spawn(
+      process.execPath,
+      [
+        CLI_PATH,
+        path.join(directory, 'before.html'),
+        afterPath,
+        '--watch',
+        '--format',
+        'json',
+        '--output-json',
+        resultsPath,
+      ],
+      { stdio: ['ignore', 'pipe', 'inherit'] }
+    )
+    child.stdout.setEncoding('utf8')
+    const watching = /Watching for snapshot changes/
+
+    try {
+      await waitForOutput(child, watching, 1)
+      const first = JSON.parse(await fs.readFile(resultsPath, 'utf8'))
+      assert.equal(first.elementChanges.summary.added, 0)
+
+      const rerun = waitForOutput(child, watching, 1)
+      await fs.writeFile(
+        afterPath,
+        SNAPSHOT.replace('<button>Reply</button>', '$&<button>Forward</button>')
+      )
+      await rerun
+      const second = JSON.parse(await fs.readFile(resultsPath, 'utf8'))
+      assert.equal(second.elementChanges.summary.added, 1)
+    } finally {
+      child.kill()
+      await fs.writeFile(afterPath, SNAPSHOT)
+    }
+  })
+
+  it('reloads an edited JS anchor config', async () => {
+    const configPath = path.join(directory, 'anchors.config.mjs')
+    const resultsPath = path.join(directory, 'results.json')
+    await fs.writeFile(configPath, configSource('Toolbar'))
+
+    const child = spawn(
+      process.execPath,
+      [
+        CLI_PATH,
+        path.join(directory, 'before.html'),
+        path.join(directory, 'after.html'),
+        '--watch',
+        '--config',
+        configPath,
+        '--format',
+        'json',
+        '--output-json',
+        resultsPath,
+      ],
+      { stdio: ['ignore', 'pipe', 'inherit'] }
+    )
+    child.stdout.setEncoding('utf8')
+    const watching = /Watching for snapshot changes/
+
+    try {
+      await waitForOutput(child, watching, 1)
+      const first = JSON.parse(await fs.readFile(resultsPath, 'utf8'))
+      assert.deepEqual(Object.keys(first.recommendedAnchors), ['Toolbar'])
+
+      const rerun = waitForOutput(child, watching, 1)
+      await fs.writeFile(configPath, configSource('CommandBar'))
+      await rerun
+      const second = JSON.parse(await fs.readFile(resultsPath, 'utf8'))
+      assert.deepEqual(Object.keys(second.recommendedAnchors), ['CommandBar'])
+    } finally {
+      child.kill()
+    }
+  })
+})
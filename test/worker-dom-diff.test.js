@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import { describe, it } from 'node:test'
+
+import NodeOutlookDOMDiff from '../analyzers/dom-diff.js'
+import WorkerOutlookDOMDiff from '../analyzers/worker-dom-diff.js'
+
+const readSnapshot = name => fs.readFileSync(new URL(`../html/${name}`, import.meta.url), 'utf8')
+
+// The node list the browser UI sends to its worker, with JSDOM standing in for the browser
+const toNodeList = html => NodeOutlookDOMDiff.toNodeList(NodeOutlookDOMDiff.parseHTML(html))
+
+describe('WorkerOutlookDOMDiff', () => {
+  it('rebuilds the parsed document, keeping repeated classes', () => {
+    const dom = WorkerOutlookDOMDiff.parseHTML(
+      toNodeList('<!DOCTYPE html><p class="a b a" title="">Hi<!-- note --></p><svg><path/></svg>')
+    )
+    assert.deepEqual(
+      Array.from(dom.querySelectorAll('*'), element => element.localName),
+      ['html', 'head', 'body', 'p', 'svg', 'path']
+    )
+    assert.equal(dom.querySelector('p').outerHTML, '<p class="a b a" title="">Hi<!-- note --></p>')
+    assert.equal(dom.querySelector('p').getAttribute('class'), 'a b a')
+    assert.equal(dom.querySelector('path').namespaceURI, 'http://www.w3.org/2000/svg')
+  })
+
+  it('analyzes the inbox snapshots like the JSDOM analyzer', () => {
+    const before = readSnapshot('inbox-A.html')
+    const after = readSnapshot('inbox-B.html')
+
+    assert.deepEqual(
+      WorkerOutlookDOMDiff.analyzeChanges(toNodeList(before), toNodeList(after)),
+      NodeOutlookDOMDiff.analyzeChanges(before, after)
+    )
+  })
+})
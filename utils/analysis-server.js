@@ -0,0 +1,618 @@
+/**
+ * Local analysis server (the serve command)
+ * Hosts the browser UI and exposes the Node (JSDOM) analyzer as JSON endpoints, so
+ * the UI and other local tools get the same results as the command line:
+ *
+ *   GET  /api/status                         Tool version and the anchor config in use
+ *   GET  /api/snapshots                      Snapshots in html/, with their consecutive pairs
+ *   POST /api/analyze                        Analyze an uploaded pair
+ *   GET  /api/analyze?before=<f>&after=<f>   Analyze a pair of snapshots in html/
+ *   GET  /api/results                        Results files in output/
+ *   GET  /api/results/<path>                 One results file, migrated to the current schema
+ *
+ * Analyses are returned with their meta block and never written to disk. Errors are
+ * returned as {"error": message} with a 4xx or 5xx status. Requests must name the
+ * address the server listens on in their Host header, so that other sites cannot
+ * reach the API through a DNS name that resolves to it (DNS rebinding).
+ */
+import fs from 'fs/promises'
+import http from 'http'
+import path from 'path'
+import OutlookDOMDiff from '../analyzers/dom-diff.js'
+import {
+  createResultMeta,
+  describeContent,
+  findSnapshotSeries,
+  loadResults,
+  loadSnapshot,
+} from './file-utils.js'
+
+// Directories served as static files, relative to the project root
+const STATIC_DIRECTORIES = ['browser', 'analyzers']
+
+// Single files served besides them: the DOM implementation of the browser UI's analysis worker
+const STATIC_FILES = ['node_modules/linkedom/worker.js']
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+}
+
+// Largest request body accepted by POST /api/analyze (two large snapshots fit)
+const MAX_BODY_SIZE = 64 * 1024 * 1024
+
+// Names of the loopback interface accepted in the Host header of a server listening on it
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]']
+
+/**
+ * Create the server (not yet listening)
+ * @param {Object} settings
+ * @param {string} settings.rootDirectory - Project root, with browser/, analyzers/, html/ and output/
+ * @param {Object} settings.config - Normalized anchor config used unless a request uploads one
+ * @param {Object|null} settings.configInput - Fingerprint of the --config file (role config), if any
+ * @param {Object} settings.options - Command line options, recorded in the results
+ * @param {string} settings.host - Address the server listens on (see getAllowedHosts())
+ * @returns {http.Server} Server
+ */
+export function createAnalysisServer({ rootDirectory, config, configInput, options, host }) {
+  const context = {
+    rootDirectory,
+    snapshotDir: path.join(rootDirectory, 'html'),
+    outputDir: path.join(rootDirectory, 'output'),
+    config,
+    configInput,
+    options,
+    allowedHosts: getAllowedHosts(host),
+  }
+
+  return http.createServer(async (request, response) => {
+    const startTime = Date.now()
+    let url = null
+    try {
+      requireAllowedHost(request, context)
+      url = parseRequestURL(request)
+      await handleRequest(request, response, url, context)
+    } catch (error) {
+      const target = url ? url.pathname : request.url
+      if (error.name === 'AbortError') {
+        console.log(`  - ${request.method} ${target} cancelled by the client`)
+        return
+      }
+      const status = error.status || 500
+      if (status === 500) {
+        console.error(`Error handling ${request.method} ${target}:`, error)
+      }
+      if (!response.headersSent) {
+        sendJSON(response, status, { error: error.message })
+      } else {
+        response.end()
+      }
+    }
+    if (url && url.pathname.startsWith('/api/')) {
+      console.log(
+        `  - ${request.method} ${url.pathname}${url.search} ${response.statusCode} (${
+          Date.now() - startTime
+        } ms)`
+      )
+    }
+  })
+}
+
+/**
+ * Host names that requests may address the server by: the address it listens on, and
+ * every name of the loopback interface if it listens there
+ * @param {string} host - Address the server listens on
+ * @returns {Array<string>} Lowercase host names, IPv6 addresses in brackets
+ */
+function getAllowedHosts(host) {
+  const name = host.includes(':') ? `[${host.toLowerCase()}]` : host.toLowerCase()
+  return LOOPBACK_HOSTS.includes(name) || /^127\./.test(name)
+    ? [...new Set([name, ...LOOPBACK_HOSTS])]
+    : [name]
+}
+
+/**
+ * Check that the Host header of a request names the server
+ * @param {http.IncomingMessage} request - Request
+ * @param {Object} context - Server context
+ * @throws {Error} With status 403 if the Host header names another host or port
+ */
+function requireAllowedHost(request, { allowedHosts }) {
+  const port = request.socket.localPort
+  const hostHeader = (request.headers.host || '').toLowerCase()
+  const allowed = allowedHosts.some(
+    host => hostHeader === `${host}:${port}` || (port === 80 && hostHeader === host)
+  )
+  if (!allowed) {
+    throw createHttpError(403, `Requests must be addressed to this server, not ${hostHeader}`)
+  }
+}
+
+/**
+ * Parse the URL of a request
+ * @param {http.IncomingMessage} request - Request
+ * @returns {URL} Parsed URL
+ * @throws {Error} With status 400 if the URL is malformed
+ */
+function parseRequestURL(request) {
+  try {
+    return new URL(request.url, 'http://localhost')
+  } catch {
+    throw createHttpError(400, `Malformed request URL: ${request.url}`)
+  }
+}
+
+/**
+ * Answer a request: API endpoints, static files, or a redirect to the browser UI
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {URL} url - Parsed request URL
+ * @param {Object} context - Directories, anchor config and options of the server
+ * @returns {Promise<void>}
+ * @throws {Error} With the HTTP status of the error as status (500 if it has none)
+ */
+async function handleRequest(request, response, url, context) {
+  const { pathname } = url
+  const method = request.method
+
+  if (pathname === '/' || pathname === '/browser' || pathname === '/browser/') {
+    response.writeHead(302, { Location: '/browser/index.html' })
+    response.end()
+    return
+  }
+
+  if (!pathname.startsWith('/api/')) {
+    requireMethod(method, ['GET', 'HEAD'])
+    await sendStaticFile(response, pathname, context, method === 'HEAD')
+    return
+  }
+
+  if (pathname === '/api/status') {
+    requireMethod(method, ['GET'])
+    sendJSON(response, 200, getStatus(context))
+  } else if (pathname === '/api/snapshots') {
+    requireMethod(method, ['GET'])
+    sendJSON(response, 200, await listSnapshots(context))
+  } else if (pathname === '/api/analyze') {
+    requireMethod(method, ['GET', 'POST'])
+    const signal = getDisconnectSignal(response)
+    const results =
+      method === 'POST'
+        ? await analyzeUpload(await readJSONBody(request), context, signal)
+        : await analyzeNamedPair(url.searchParams, context, signal)
+    sendJSON(response, 200, results)
+  } else if (pathname === '/api/results') {
+    requireMethod(method, ['GET'])
+    sendJSON(response, 200, await listResults(context))
+  } else if (pathname.startsWith('/api/results/')) {
+    requireMethod(method, ['GET'])
+    const name = decodePath(pathname.slice('/api/results/'.length))
+    sendJSON(response, 200, await loadNamedResults(name, context))
+  } else {
+    throw createHttpError(404, `Unknown endpoint ${pathname}`)
+  }
+}
+
+/**
+ * Describe the server; the browser UI also requests it to detect the server
+ * @param {Object} context - Server context
+ * @returns {Object} Tool, anchor config (file, feature names and normalization steps)
+ *   and the known normalization steps
+ */
+function getStatus({ config, configInput }) {
+  const { tool } = createResultMeta('analysis', [], {})
+  return {
+    tool,
+    config: {
+      file: configInput ? path.basename(configInput.path) : null,
+      features: config.features.map(feature => feature.name),
+      normalization: config.normalization
+        ? OutlookDOMDiff.resolveNormalization(config.normalization).steps
+        : null,
+    },
+    normalizationSteps: OutlookDOMDiff.getDefaultNormalization().steps,
+  }
+}
+
+/**
+ * List the snapshots in html/, with the consecutive pairs of each <mode>-<version> series
+ * (the pairs the batch command analyzes)
+ * @param {Object} context - Server context
+ * @returns {Promise<Object>} snapshots ({name, size, modified, mode, version}) and
+ *   pairs ({mode, before, after})
+ */
+async function listSnapshots({ snapshotDir }) {
+  const entries = await fs.readdir(snapshotDir, { withFileTypes: true })
+  const snapshots = []
+  for (const entry of entries) {
+    if (entry.isFile() && /\.html?$/i.test(entry.name)) {
+      const stats = await fs.stat(path.join(snapshotDir, entry.name))
+      const match = /^([^-]+)-(.+)\.html?$/i.exec(entry.name)
+      snapshots.push({
+        name: entry.name,
+        size: stats.size,
+        modified: stats.mtime.toISOString(),
+        mode: match ? match[1] : null,
+        version: match ? match[2] : null,
+      })
+    }
+  }
+  snapshots.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+
+  const series = await findSnapshotSeries(snapshotDir)
+  const pairs = Object.entries(series).flatMap(([mode, versions]) =>
+    versions.slice(1).map((after, index) => ({
+      mode,
+      before: path.basename(versions[index].path),
+      after: path.basename(after.path),
+    }))
+  )
+
+  return { snapshots, pairs }
+}
+
+/**
+ * Analyze an uploaded pair
+ * The body is {before: {html, name, modified}, after: {...}, config, normalize}: name and
+ * modified (ISO 8601) only go into the meta block, config replaces the anchor config of
+ * the server and normalize lists the normalization steps to run (omit it to use the
+ * normalization of the anchor config, [] for none).
+ * @param {Object} body - Parsed request body
+ * @param {Object} context - Server context
+ * @param {AbortSignal} signal - Aborts the analysis
+ * @returns {Promise<Object>} Analysis results with their meta block
+ * @throws {Error} With status 400 if the body is invalid
+ */
+async function analyzeUpload(body, context, signal) {
+  const snapshots = ['before', 'after'].map(role => {
+    const snapshot = body[role]
+    if (!snapshot || typeof snapshot.html !== 'string' || !snapshot.html.trim()) {
+      throw createHttpError(400, `"${role}.html" must be the HTML of the ${role} snapshot`)
+    }
+    const modified =
+      typeof snapshot.modified === 'string' && !isNaN(Date.parse(snapshot.modified))
+        ? new Date(snapshot.modified).toISOString()
+        : null
+    const name = typeof snapshot.name === 'string' && snapshot.name ? snapshot.name : '(uploaded)'
+    return { role, html: snapshot.html, source: describeContent(name, snapshot.html, modified) }
+  })
+
+  let config = context.config
+  let inputs = context.configInput ? [context.configInput] : []
+  if (body.config) {
+    try {
+      config = OutlookDOMDiff.normalizeConfig(body.config)
+    } catch (error) {
+      throw createHttpError(400, `Invalid anchor config: ${error.message}`)
+    }
+    inputs = []
+  }
+
+  return analyzeLoadedPair(snapshots, config, body.normalize, inputs, context, signal)
+}
+
+/**
+ * Analyze two snapshots of html/ named by the before and after query parameters
+ * The optional normalize parameter is a comma-separated list of steps ("" for none).
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @param {Object} context - Server context
+ * @param {AbortSignal} signal - Aborts the analysis
+ * @returns {Promise<Object>} Analysis results with their meta block
+ * @throws {Error} With status 400 if a name is invalid, 404 if a snapshot does not exist
+ */
+async function analyzeNamedPair(searchParams, context, signal) {
+  const snapshots = []
+  for (const role of ['before', 'after']) {
+    const name = searchParams.get(role)
+    if (!name) {
+      throw createHttpError(400, `The "${role}" parameter must name a snapshot in html/`)
+    }
+    if (name !== path.basename(name) || !/\.html?$/i.test(name)) {
+      throw createHttpError(400, `"${name}" is not the name of an HTML file in html/`)
+    }
+
+    const filePath = path.join(context.snapshotDir, name)
+    if (!(await isFile(filePath))) {
+      throw createHttpError(404, `Snapshot ${name} not found in html/`)
+    }
+    snapshots.push({ role, ...(await loadSnapshot(filePath)) })
+  }
+
+  const normalize = searchParams.has('normalize')
+    ? searchParams
+        .get('normalize')
+        .split(',')
+        .map(step => step.trim())
+        .filter(step => step)
+    : undefined
+  const inputs = context.configInput ? [context.configInput] : []
+  return analyzeLoadedPair(snapshots, context.config, normalize, inputs, context, signal)
+}
+
+/**
+ * Normalize and analyze a pair, and add the meta block to the results
+ * @param {Array<Object>} snapshots - Before and after snapshots ({role, html, source})
+ * @param {Object} config - Anchor config
+ * @param {Array<string>|undefined} normalize - Normalization steps (undefined: those of the config)
+ * @param {Array<Object>} configInputs - Fingerprint of the anchor config file, if any
+ * @param {Object} context - Server context
+ * @param {AbortSignal} signal - Aborts the analysis
+ * @returns {Promise<Object>} Analysis results with their meta block
+ */
+async function analyzeLoadedPair(snapshots, config, normalize, configInputs, context, signal) {
+  let normalization = null
+  try {
+    if (Array.isArray(normalize)) {
+      normalization =
+        normalize.length > 0
+          ? OutlookDOMDiff.resolveNormalization({ ...config.normalization, steps: normalize })
+          : null
+    } else if (normalize !== undefined && normalize !== null) {
+      throw new Error('"normalize" must be an array of step names')
+    } else if (config.normalization) {
+      normalization = OutlookDOMDiff.resolveNormalization(config.normalization)
+    }
+  } catch (error) {
+    throw createHttpError(400, error.message)
+  }
+
+  const [before, after] = snapshots.map(snapshot =>
+    normalization
+      ? OutlookDOMDiff.normalizeSnapshot(snapshot.html, normalization).html
+      : snapshot.html
+  )
+  const results = await OutlookDOMDiff.analyzeChangesAsync(before, after, { config, signal })
+
+  const inputs = [...snapshots.map(({ role, source }) => ({ role, ...source })), ...configInputs]
+  const options = { ...context.options }
+  if (normalization) {
+    options.normalize = normalization.steps
+  }
+  return { meta: createResultMeta('analysis', inputs, options), ...results }
+}
+
+/**
+ * List the results files in output/ and its subdirectories
+ * Files that are not valid results are left out.
+ * @param {Object} context - Server context
+ * @returns {Promise<Object>} results ({path relative to output/, kind, generatedAt, size, modified})
+ */
+async function listResults({ outputDir }) {
+  const files = await findFiles(outputDir, name => name.endsWith('.json'))
+  const results = []
+  for (const filePath of files) {
+    let loaded
+    try {
+      loaded = await loadResults(filePath)
+    } catch {
+      continue
+    }
+    const stats = await fs.stat(filePath)
+    results.push({
+      path: path.relative(outputDir, filePath).split(path.sep).join('/'),
+      kind: loaded.meta.kind,
+      generatedAt: loaded.meta.generatedAt,
+      size: stats.size,
+      modified: stats.mtime.toISOString(),
+    })
+  }
+  return { results }
+}
+
+/**
+ * Load a results file of output/, migrated to the current result schema
+ * @param {string} name - Path relative to output/
+ * @param {Object} context - Server context
+ * @returns {Promise<Object>} Results
+ * @throws {Error} With status 400 for paths outside output/, 404 for missing files and
+ *   422 for files that are not valid results
+ */
+async function loadNamedResults(name, { outputDir }) {
+  const filePath = resolveInside(outputDir, name)
+  if (!filePath || !filePath.endsWith('.json')) {
+    throw createHttpError(400, `"${name}" is not the path of a JSON file in output/`)
+  }
+  if (!(await isFile(filePath))) {
+    throw createHttpError(404, `Results ${name} not found in output/`)
+  }
+
+  try {
+    return await loadResults(filePath)
+  } catch (error) {
+    throw createHttpError(422, error.message)
+  }
+}
+
+/**
+ * Send one of the STATIC_FILES or a file of one of the STATIC_DIRECTORIES
+ * @param {http.ServerResponse} response - Response
+ * @param {string} pathname - URL path of the file
+ * @param {Object} context - Server context
+ * @param {boolean} headOnly - Send the headers only (HEAD request)
+ * @returns {Promise<void>}
+ * @throws {Error} With status 404 if the path is not a static file
+ */
+async function sendStaticFile(response, pathname, { rootDirectory }, headOnly) {
+  const relativePath = decodePath(pathname.slice(1))
+  const [directory] = relativePath.split('/')
+  let filePath = null
+  if (STATIC_FILES.includes(relativePath)) {
+    filePath = path.join(rootDirectory, relativePath)
+  } else if (STATIC_DIRECTORIES.includes(directory)) {
+    filePath = resolveInside(
+      path.join(rootDirectory, directory),
+      relativePath.slice(directory.length + 1)
+    )
+  }
+  if (!filePath || !(await isFile(filePath))) {
+    throw createHttpError(404, `Not found: ${pathname}`)
+  }
+
+  const content = await fs.readFile(filePath)
+  response.writeHead(200, {
+    'Content-Type':
+      CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Content-Length': content.length,
+    'Cache-Control': 'no-cache',
+  })
+  response.end(headOnly ? undefined : content)
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body
+ * @throws {Error} With status 415 if the body is not declared as application/json, 413 if
+ *   it exceeds MAX_BODY_SIZE, 400 if it is not a JSON object
+ */
+async function readJSONBody(request) {
+  const [contentType] = (request.headers['content-type'] || '').split(';')
+  if (contentType.trim().toLowerCase() !== 'application/json') {
+    throw createHttpError(415, 'The request body must be sent as Content-Type: application/json')
+  }
+
+  const chunks = []
+  let size = 0
+  for await (const chunk of request) {
+    size += chunk.length
+    if (size > MAX_BODY_SIZE) {
+      throw createHttpError(413, `Request body exceeds ${MAX_BODY_SIZE / 1024 / 1024} MB`)
+    }
+    chunks.push(chunk)
+  }
+
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('expected an object')
+    }
+    return body
+  } catch (error) {
+    throw createHttpError(400, `Invalid JSON body: ${error.message}`)
+  }
+}
+
+/**
+ * Get a signal aborted when the client disconnects before the response is sent,
+ * so an analysis cancelled in the browser UI stops on the server too
+ * @param {http.ServerResponse} response - Response
+ * @returns {AbortSignal} Signal
+ */
+function getDisconnectSignal(response) {
+  const controller = new AbortController()
+  response.on('close', () => {
+    if (!response.writableFinished) {
+      controller.abort()
+    }
+  })
+  return controller.signal
+}
+
+/**
+ * Resolve a relative path inside a directory
+ * @param {string} directory - Absolute directory path
+ * @param {string} relativePath - Path from the request
+ * @returns {string|null} Absolute path, or null if the path leads outside of the directory
+ */
+function resolveInside(directory, relativePath) {
+  const resolved = path.resolve(directory, relativePath)
+  return resolved.startsWith(directory + path.sep) ? resolved : null
+}
+
+/**
+ * Decode a URL path
+ * @param {string} encoded - Percent-encoded path
+ * @returns {string} Decoded path
+ * @throws {Error} With status 400 if the path has malformed escapes
+ */
+function decodePath(encoded) {
+  try {
+    return decodeURIComponent(encoded)
+  } catch {
+    throw createHttpError(400, `Malformed path: ${encoded}`)
+  }
+}
+
+/**
+ * Find the files below a directory whose name passes a test
+ * @param {string} directory - Directory to search (may not exist)
+ * @param {Function} test - Called with each file name
+ * @returns {Promise<Array<string>>} Absolute file paths, in sorted order
+ */
+async function findFiles(directory, test) {
+  let entries
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true })
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []
+    }
+    throw error
+  }
+
+  const files = []
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(directory, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...(await findFiles(entryPath, test)))
+    } else if (entry.isFile() && test(entry.name)) {
+      files.push(entryPath)
+    }
+  }
+  return files
+}
+
+/**
+ * Check that a path exists and is a file
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} Whether it is a file
+ */
+async function isFile(filePath) {
+  try {
+    return (await fs.stat(filePath)).isFile()
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Check the method of a request
+ * @param {string} method - Request method
+ * @param {Array<string>} allowed - Methods the endpoint answers
+ * @throws {Error} With status 405 if the method is not allowed
+ */
+function requireMethod(method, allowed) {
+  if (!allowed.includes(method)) {
+    throw createHttpError(405, `Method ${method} not allowed (expected ${allowed.join(' or ')})`)
+  }
+}
+
+/**
+ * Create an error answered with an HTTP status instead of 500
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message, sent as {"error": message}
+ * @returns {Error} Error with its status
+ */
+function createHttpError(status, message) {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJSON(response, status, body) {
+  const content = JSON.stringify(body)
+  response.writeHead(status, {
+    'Content-Type': CONTENT_TYPES['.json'],
+    'Content-Length': Buffer.byteLength(content, 'utf8'),
+    'Cache-Control': 'no-store',
+  })
+  response.end(content)
+}
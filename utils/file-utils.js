@@ -1,14 +1,170 @@
 /**
  * File utilities for the Outlook HTML snapshot analysis
  */
+import { createHash } from 'crypto'
+import { watch } from 'fs'
 import fs from 'fs/promises'
 import { JSDOM } from 'jsdom'
 import path from 'path'
-import { fileURLToPath } from 'url'
+import { fileURLToPath, pathToFileURL } from 'url'
+import '../analyzers/result-schema.js'
+import '../analyzers/anchor-module.js'
+
+const { OutlookResultSchema, OutlookAnchorModule } = globalThis
 
 // Convert ES module URL to file path
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
+// Maximum number of element (and accessibility) changes listed in the HTML report
+const ELEMENT_CHANGES_LIMIT = 200
+
+// Maximum number of non-surviving values listed per attribute type in the timeline report
+const SURVIVAL_VALUES_LIMIT = 50
+
+// Maximum number of generated values listed per attribute type in the HTML reports
+const VOLATILE_VALUES_LIMIT = 20
+
+// Selector verification statuses, in the order they are listed in the verify report
+const VERIFY_STATUSES = ['ok', 'ambiguous', 'retargeted', 'broken', 'new', 'missing', 'invalid']
+
+// Rules of the SARIF log, by the ruleId of the CI check problems
+const SARIF_RULES = {
+  'anchor-missing': 'No anchor was found for a watched feature',
+  'anchor-below-threshold': 'The anchor of a watched feature scores below --fail-under',
+  'anchor-unreliable': 'The anchor of a watched feature is not reliable',
+  'selector-removed': 'None of the selectors of a watched feature match anymore',
+  'selector-changed': 'A watched feature is matched by a different selector than before',
+  'selector-added': 'A watched feature is matched by its selectors for the first time',
+}
+
+// Shared stylesheet of the generated HTML reports
+const REPORT_STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; color: #333; max-width: 1200px; margin: 0 auto; padding: 20px; }
+    h1, h2, h3 { color: #0078d4; }
+    .report-section { margin-bottom: 30px; border-bottom: 1px solid #eee; padding-bottom: 20px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 20px; }
+    th, td { border: 1px solid #ddd; padding: 8px 12px; text-align: left; }
+    th { background-color: #f2f2f2; }
+    tr:nth-child(even) { background-color: #f9f9f9; }
+    .score-high { color: #107c10; }
+    .score-medium { color: #ff8c00; }
+    .score-low { color: #d83b01; }
+    .status-changed { color: #0078d4; font-weight: bold; }
+    .status-added { color: #107c10; font-weight: bold; }
+    .status-removed { color: #d83b01; font-weight: bold; }
+    .status-moved, .status-renamed, .status-attribute-changed { color: #0078d4; font-weight: bold; }
+    pre { background: #f6f8fa; border-radius: 3px; padding: 10px; overflow: auto; }
+    .highlight { background-color: #fff3cd; padding: 2px; }
+    .survival-present { color: #107c10; text-align: center; }
+    .survival-absent { color: #d83b01; text-align: center; background-color: #fde7e9; }
+    th[tabindex] { cursor: pointer; user-select: none; }
+    th[aria-sort="ascending"]::after { content: ' \\25B2'; }
+    th[aria-sort="descending"]::after { content: ' \\25BC'; }
+    .table-filter input { padding: 4px 8px; width: 320px; max-width: 100%; }
+    .table-filter span { color: #666; margin-left: 8px; }
+    .row-toggle { border: none; background: none; color: #0078d4; cursor: pointer; padding: 0 4px 0 0; }
+    .row-toggle[aria-expanded="true"] { display: inline-block; transform: rotate(90deg); }
+    tr.anchor-details > td { background-color: #fbfbfb; }
+    .value-list ul { columns: 3 240px; list-style: none; padding-left: 0; }
+    .value-list li { break-inside: avoid; overflow-wrap: anywhere; }
+    summary { cursor: pointer; }
+  `
+
+// Shared script of the interactive HTML reports: sortable tables (class "sortable"),
+// search boxes (data-filter), expandable anchor rows and the embedded results
+const REPORT_SCRIPT = `
+    // Rows of a table (or tbody groups when rows expand), or the items of a list
+    function getRowGroups(container) {
+      if (container.tagName !== 'TABLE') return Array.from(container.children)
+      return container.tBodies.length > 1
+        ? Array.from(container.tBodies)
+        : Array.from(container.tBodies[0].rows)
+    }
+
+    function getSortValue(group, column) {
+      const row = group.tagName === 'TBODY' ? group.rows[0] : group
+      const cell = row.cells[column]
+      return cell ? (cell.dataset.sort || cell.textContent).trim() : ''
+    }
+
+    // Numbers (and percentages) sort by value, anything else alphabetically
+    function compareValues(a, b) {
+      const number = /^-?[0-9]+(?:[.][0-9]+)?%?$/
+      if (number.test(a) && number.test(b)) return parseFloat(a) - parseFloat(b)
+      return a.localeCompare(b)
+    }
+
+    document.querySelectorAll('table.sortable').forEach(table => {
+      const headers = Array.from(table.tHead.rows[0].cells)
+      headers.forEach((header, column) => {
+        const sort = () => {
+          const ascending = header.getAttribute('aria-sort') !== 'ascending'
+          headers.forEach(other => other.removeAttribute('aria-sort'))
+          header.setAttribute('aria-sort', ascending ? 'ascending' : 'descending')
+          getRowGroups(table)
+            .sort((a, b) => {
+              const order = compareValues(getSortValue(a, column), getSortValue(b, column))
+              return ascending ? order : -order
+            })
+            .forEach(group => group.parentNode.appendChild(group))
+        }
+        header.tabIndex = 0
+        header.title = 'Sort by ' + header.textContent.trim()
+        header.addEventListener('click', sort)
+        header.addEventListener('keydown', event => {
+          if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault()
+            sort()
+          }
+        })
+      })
+    })
+
+    document.querySelectorAll('input[data-filter]').forEach(input => {
+      const target = document.getElementById(input.dataset.filter)
+      const count = document.querySelector('[data-filter-count="' + input.dataset.filter + '"]')
+      input.addEventListener('input', () => {
+        const query = input.value.trim().toLowerCase()
+        const groups = getRowGroups(target)
+        let shown = 0
+        groups.forEach(group => {
+          group.hidden = !group.textContent.toLowerCase().includes(query)
+          if (!group.hidden) shown++
+        })
+        count.textContent = query ? shown + ' of ' + groups.length + ' shown' : ''
+      })
+    })
+
+    document.querySelectorAll('button.row-toggle').forEach(button => {
+      button.addEventListener('click', () => {
+        const expanded = button.getAttribute('aria-expanded') !== 'true'
+        button.setAttribute('aria-expanded', String(expanded))
+        button.closest('tbody').rows[1].hidden = !expanded
+      })
+    })
+
+    const embedded = document.getElementById('report-results')
+    const getResultsJSON = () => JSON.stringify(JSON.parse(embedded.textContent), null, 2)
+
+    document.getElementById('download-results').addEventListener('click', () => {
+      const link = document.createElement('a')
+      link.href = URL.createObjectURL(new Blob([getResultsJSON()], { type: 'application/json' }))
+      link.download = embedded.dataset.fileName
+      link.click()
+      setTimeout(() => URL.revokeObjectURL(link.href), 0)
+    })
+
+    document.getElementById('raw-results').addEventListener('toggle', event => {
+      const pre = event.target.querySelector('pre')
+      if (event.target.open && !pre.textContent) {
+        pre.textContent = getResultsJSON()
+      }
+    })
+  `
+
+// Snapshot path that stands for standard input
+export const STDIN_PATH = '-'
+
 /**
  * Convert absolute path to path relative to project root
  * @param {string} absolutePath - Absolute file path
@@ -32,6 +188,360 @@ export async function loadHTMLFile(filePath) {
   }
 }
 
+/**
+ * Load a snapshot from a file or standard input, with its provenance
+ * @param {string} filePath - Path to HTML file, or STDIN_PATH to read standard input
+ * @returns {Promise<{html: string, source: Object}>} HTML content and its source description
+ */
+export async function loadSnapshot(filePath) {
+  if (filePath === STDIN_PATH) {
+    const html = await readStdin()
+    return { html, source: describeSource('(stdin)', html, null) }
+  }
+
+  const absolutePath = path.resolve(filePath)
+  const html = await loadHTMLFile(absolutePath)
+  const stats = await fs.stat(absolutePath)
+  return { html, source: describeSource(absolutePath, html, stats) }
+}
+
+/**
+ * Read all of standard input as UTF-8 text
+ * @returns {Promise<string>} Piped content
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new Error('No snapshot was piped to standard input')
+  }
+
+  const chunks = []
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+/**
+ * Describe where a snapshot came from
+ * @param {string} sourcePath - Absolute file path or '(stdin)'
+ * @param {string} html - Snapshot content
+ * @param {fs.Stats|null} stats - File stats (null for standard input)
+ * @returns {Object} Path, size, modification time and SHA-256 of the snapshot
+ */
+function describeSource(sourcePath, html, stats) {
+  return {
+    path: sourcePath,
+    size: Buffer.byteLength(html, 'utf8'),
+    modified: stats ? stats.mtime.toISOString() : null,
+    sha256: createHash('sha256').update(html, 'utf8').digest('hex'),
+  }
+}
+
+/**
+ * Fingerprint another file a run reads (anchor config, selector list)
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} Path, size, modification time and SHA-256 of the file
+ */
+export async function describeFile(filePath) {
+  const absolutePath = path.resolve(filePath)
+  const content = await fs.readFile(absolutePath, 'utf8')
+  const stats = await fs.stat(absolutePath)
+  return describeSource(absolutePath, content, stats)
+}
+
+/**
+ * Fingerprint a snapshot that was not read from a file (uploaded to the serve command)
+ * @param {string} name - File name given by the client, or a placeholder like '(uploaded)'
+ * @param {string} html - Snapshot content
+ * @param {string|null} modified - Modification time given by the client (ISO 8601), if any
+ * @returns {Object} Name, size, modification time and SHA-256 of the snapshot
+ */
+export function describeContent(name, html, modified) {
+  return { ...describeSource(name, html, null), modified }
+}
+
+/**
+ * Build the meta block of a results file (see analyzers/result-schema.js)
+ * @param {string} kind - Result kind: analysis, timeline, verify, batch, sanitize or locales
+ * @param {Array<Object>} inputs - Fingerprints of the files read, each with a role
+ * @param {Object} options - Command line options of the run
+ * @returns {Object} Meta block
+ */
+export function createResultMeta(kind, inputs, options) {
+  return OutlookResultSchema.createMeta(kind, { inputs, options })
+}
+
+/**
+ * Expand snapshot path arguments into file paths
+ * Arguments containing *, ? or [...] are treated as glob patterns (** matches any
+ * number of directories) and replaced by the files they match, in natural sort order.
+ * Plain paths and STDIN_PATH are passed through unchanged.
+ * @param {Array<string>} patterns - Paths or glob patterns
+ * @returns {Promise<Array<string>>} Expanded paths
+ * @throws {Error} If a glob pattern matches no files
+ */
+export async function expandSnapshotPaths(patterns) {
+  const expanded = []
+
+  for (const pattern of patterns) {
+    if (pattern === STDIN_PATH || !hasGlobMagic(pattern)) {
+      expanded.push(pattern)
+      continue
+    }
+
+    const segments = path.resolve(pattern).split(/[\\/]/)
+    const root = segments.shift() + path.sep
+    const matches = await expandGlobSegments(root, segments)
+    if (matches.length === 0) {
+      throw new Error(`No files match ${pattern}`)
+    }
+    expanded.push(...matches.sort((a, b) => a.localeCompare(b, undefined, { numeric: true })))
+  }
+
+  return expanded
+}
+
+/**
+ * Tell what to watch for changes to a snapshot path or glob pattern
+ * A plain path is watched as that file. A glob pattern is watched as the directory
+ * before its first wildcard (html for html/inbox-*.html), since new files may match
+ * it, and recursively if it contains **.
+ * @param {string} pattern - Path or glob pattern (not STDIN_PATH)
+ * @returns {{directory: string, file: string|null, recursive: boolean}} Absolute
+ *   directory, and the absolute file for a plain path (null for a glob pattern)
+ */
+export function getWatchTarget(pattern) {
+  const absolutePath = path.resolve(pattern)
+  if (!hasGlobMagic(pattern)) {
+    return { directory: path.dirname(absolutePath), file: absolutePath, recursive: false }
+  }
+
+  const segments = absolutePath.split(/[\\/]/)
+  const firstGlob = segments.findIndex(hasGlobMagic)
+  return {
+    directory: segments.slice(0, firstGlob).join(path.sep) || path.sep,
+    file: null,
+    recursive: segments.slice(firstGlob).includes('**'),
+  }
+}
+
+/**
+ * Watch directories for changes to the files in them
+ * @param {Array<Object>} targets - Watch targets from getWatchTarget
+ * @param {Function} onChange - Called with the absolute path of each changed file (or of
+ *   the directory, on platforms that don't report file names)
+ * @returns {Function} Stops watching
+ */
+export function watchTargets(targets, onChange) {
+  // One watcher per directory, recursive if any of its targets is
+  const directories = new Map()
+  targets.forEach(({ directory, recursive }) =>
+    directories.set(directory, directories.get(directory) || recursive)
+  )
+
+  const watchers = [...directories].map(([directory, recursive]) =>
+    watch(directory, { recursive }, (eventType, fileName) =>
+      onChange(fileName ? path.join(directory, fileName.toString()) : directory)
+    )
+  )
+  return () => watchers.forEach(watcher => watcher.close())
+}
+
+/**
+ * Check whether a path contains glob wildcards
+ */
+function hasGlobMagic(pattern) {
+  return /[*?[]/.test(pattern)
+}
+
+/**
+ * Recursively match the remaining glob segments below a directory
+ * @returns {Promise<Array<string>>} Matching file paths
+ */
+async function expandGlobSegments(base, segments) {
+  if (segments.length === 0) {
+    const stats = await fs.stat(base).catch(() => null)
+    return stats && stats.isFile() ? [base] : []
+  }
+
+  const [segment, ...rest] = segments
+  if (!hasGlobMagic(segment)) {
+    return expandGlobSegments(path.join(base, segment), rest)
+  }
+
+  const entries = await fs.readdir(base, { withFileTypes: true }).catch(() => [])
+  const matches = []
+
+  if (segment === '**') {
+    // Zero directories, then recurse into every subdirectory
+    matches.push(...(await expandGlobSegments(base, rest)))
+    for (const entry of entries.filter(entry => entry.isDirectory())) {
+      matches.push(...(await expandGlobSegments(path.join(base, entry.name), segments)))
+    }
+    return matches
+  }
+
+  const matcher = globSegmentToRegExp(segment)
+  for (const entry of entries.filter(entry => matcher.test(entry.name))) {
+    matches.push(...(await expandGlobSegments(path.join(base, entry.name), rest)))
+  }
+  return matches
+}
+
+/**
+ * Convert a single glob path segment into an anchored regular expression
+ * Supports *, ? and [...] character classes ([!...] negates)
+ */
+function globSegmentToRegExp(segment) {
+  const source = segment
+    .split(/(\[!?[^\]]+\]|[*?])/)
+    .map(part => {
+      if (part === '*') return '.*'
+      if (part === '?') return '.'
+      if (/^\[.+\]$/.test(part)) return part.replace(/^\[!/, '[^')
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Find snapshot series in a directory
+ * Files named <mode>-<version>.html are grouped by mode; versions are sorted in
+ * natural order (A, B, C or 2025-04, 2025-05 or v9, v10).
+ * @param {string} directory - Directory to scan
+ * @returns {Promise<Object>} Map of mode to [{version, path}], oldest first
+ */
+export async function findSnapshotSeries(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true })
+  const series = {}
+
+  entries.forEach(entry => {
+    const match = entry.isFile() && /^([^-]+)-(.+)\.html?$/i.exec(entry.name)
+    if (!match) {
+      return
+    }
+
+    const [, mode, version] = match
+    if (!series[mode]) {
+      series[mode] = []
+    }
+    series[mode].push({ version, path: path.join(directory, entry.name) })
+  })
+
+  Object.values(series).forEach(snapshots =>
+    snapshots.sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }))
+  )
+
+  return series
+}
+
+/**
+ * Load an anchor config file
+ * JSON files are parsed; .js/.mjs files are imported and their default export is used
+ * @param {string} filePath - Path to anchors.config.json or anchors.config.js
+ * @returns {Promise<Object>} Raw anchor config
+ */
+export async function loadAnchorConfig(filePath) {
+  try {
+    if (/\.m?js$/i.test(filePath)) {
+      // import() caches modules by URL: the modification time in the query loads an
+      // edited config again when --watch reloads it
+      const absolutePath = path.resolve(filePath)
+      const { mtimeMs } = await fs.stat(absolutePath)
+      const module = await import(`${pathToFileURL(absolutePath).href}?v=${mtimeMs}`)
+      return module.default
+    }
+    return JSON.parse(await fs.readFile(filePath, 'utf8'))
+  } catch (error) {
+    console.error(`Error loading anchor config ${toProjectPath(filePath)}:`, error)
+    throw error
+  }
+}
+
+/**
+ * Load the named selectors to verify
+ * JSON files hold either an object mapping names to selectors or an array of
+ * {name, selector} objects or plain selector strings. From any other file (e.g. an
+ * extension's content script) the string literals passed to querySelector() and
+ * querySelectorAll() are extracted, named after the variable they are assigned to.
+ * @param {string} filePath - Path to the selector list or source file
+ * @returns {Promise<Array<{name: string, selector: string}>>} Named selectors
+ */
+export async function loadSelectorList(filePath) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8')
+    const selectors = /\.json$/i.test(filePath)
+      ? normalizeSelectorList(JSON.parse(content))
+      : extractQuerySelectors(content, path.basename(filePath))
+
+    if (selectors.length === 0) {
+      throw new Error('No selectors found')
+    }
+    return selectors
+  } catch (error) {
+    console.error(`Error loading selectors ${toProjectPath(filePath)}:`, error)
+    throw error
+  }
+}
+
+/**
+ * Convert a parsed JSON selector list into named selectors
+ * @param {Object|Array} list - Name to selector map or array of entries
+ * @returns {Array<{name: string, selector: string}>}
+ */
+function normalizeSelectorList(list) {
+  const entries = Array.isArray(list)
+    ? list.map(entry => (typeof entry === 'string' ? { name: entry, selector: entry } : entry))
+    : Object.entries(list || {}).map(([name, selector]) => ({ name, selector }))
+
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry.selector !== 'string' || !entry.selector.trim()) {
+      const label = entry && entry.name ? `"${entry.name}"` : `#${index + 1}`
+      throw new Error(`Selector entry ${label} needs a "selector" string`)
+    }
+  })
+
+  return entries.map(({ name, selector }) => ({ name: name || selector, selector }))
+}
+
+/**
+ * Extract the literal selectors passed to querySelector()/querySelectorAll() in source code
+ * Template literals with substitutions are skipped because their value is not known.
+ * @param {string} source - JavaScript source
+ * @param {string} fileName - File name used in generated selector names
+ * @returns {Array<{name: string, selector: string}>} Selectors in order of first use
+ */
+function extractQuerySelectors(source, fileName) {
+  const callPattern = /querySelector(?:All)?\(\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1\s*\)/g
+  const selectors = new Map()
+  let match
+
+  while ((match = callPattern.exec(source))) {
+    const [, quote, literal] = match
+    if (quote === '`' && literal.includes('${')) {
+      continue
+    }
+
+    const selector = literal.replace(/\\(.)/g, '$1')
+    if (selectors.has(selector)) {
+      continue
+    }
+
+    // Name the selector after the variable or property it is assigned to, if any
+    const lineStart = source.lastIndexOf('\n', match.index) + 1
+    const line = source.slice(0, match.index).split('\n').length
+    const assignment = source
+      .slice(lineStart, match.index)
+      .match(/([A-Za-z_$][\w$]*)\s*(?:=|:)(?!=)(?:[^=:]|=>)*$/)
+    const location = `${fileName}:${line}`
+
+    selectors.set(selector, assignment ? `${assignment[1]} (${location})` : location)
+  }
+
+  return [...selectors].map(([selector, name]) => ({ name, selector }))
+}
+
 /**
  * Parse HTML string into a DOM document
  * @param {string} html - HTML content
@@ -44,12 +554,15 @@ export function parseHTML(html) {
 
 /**
  * Save analysis results to a JSON file
- * @param {Object} results - Analysis results
+ * The results are validated against the current result schema first.
+ * @param {Object} results - Analysis results, with their meta block
  * @param {string} outputPath - Path to save the results
  * @returns {Promise<void>}
  */
 export async function saveResults(results, outputPath) {
   try {
+    OutlookResultSchema.assertValid(results)
+
     const outputDir = path.dirname(outputPath)
 
     // Ensure output directory exists
@@ -68,17 +581,104 @@ export async function saveResults(results, outputPath) {
   }
 }
 
+/**
+ * Write a (sanitized or normalized) snapshot
+ * @param {string} html - Snapshot content
+ * @param {string} outputPath - Path to save the snapshot
+ * @param {string} [label] - Kind of snapshot, for log messages
+ * @returns {Promise<void>}
+ */
+export async function saveSnapshot(html, outputPath, label = 'Snapshot') {
+  await writeReportFile(html, outputPath, label)
+}
+
+/**
+ * Write a report to disk, creating the output directory if needed
+ * @param {string} report - Report content
+ * @param {string} outputPath - Path to save the report
+ * @param {string} [label] - Kind of report, for log messages
+ * @returns {Promise<void>}
+ */
+export async function writeReportFile(report, outputPath, label = 'HTML report') {
+  try {
+    const outputDir = path.dirname(outputPath)
+
+    // Ensure output directory exists
+    try {
+      await fs.mkdir(outputDir, { recursive: true })
+    } catch (err) {
+      // Directory might already exist, ignore error
+    }
+
+    await fs.writeFile(outputPath, report, 'utf8')
+    console.log(`  - ${label} saved to ${toProjectPath(outputPath)}`)
+  } catch (error) {
+    console.error(`Error generating ${label}:`, error)
+    throw error
+  }
+}
+
+/**
+ * Write the recommended anchors as an ES module, with its TypeScript declarations
+ * The declarations go next to the module: anchors.js gets anchors.d.ts and
+ * anchors.mjs gets anchors.d.mts.
+ * @param {Object} results - Pair or timeline results, with their meta block
+ * @param {string} outputPath - Path to save the module
+ * @returns {Promise<void>}
+ */
+export async function saveAnchorModule(results, outputPath) {
+  const extension = path.extname(outputPath)
+  const typesPath =
+    extension === '.js' || extension === '.mjs'
+      ? outputPath.slice(0, -extension.length) + (extension === '.mjs' ? '.d.mts' : '.d.ts')
+      : `${outputPath}.d.ts`
+
+  await writeReportFile(OutlookAnchorModule.generateModule(results), outputPath, 'Anchor module')
+  await writeReportFile(OutlookAnchorModule.generateTypes(results), typesPath, 'Anchor types')
+}
+
+/**
+ * Load a results file written by any version of the tool
+ * Files written by older versions are migrated to the current result schema.
+ * @param {string} filePath - Path to the results JSON
+ * @returns {Promise<Object>} Results at the current schema version
+ * @throws {Error} If the file is not valid JSON or not a valid results file
+ */
+export async function loadResults(filePath) {
+  const absolutePath = path.resolve(filePath)
+  let parsed
+  try {
+    parsed = JSON.parse(await fs.readFile(absolutePath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Could not read results ${toProjectPath(absolutePath)}: ${error.message}`)
+  }
+
+  const results = OutlookResultSchema.migrate(parsed)
+  OutlookResultSchema.assertValid(results)
+  return results
+}
+
+/**
+ * JSON Schema of the current results format
+ * @returns {Object} JSON Schema document
+ */
+export function getResultSchema() {
+  return OutlookResultSchema.getJSONSchema()
+}
+
 /**
  * Create an HTML report from analysis results
+ * The report is a single self-contained file: its tables can be sorted and filtered,
+ * the stable values searched and the anchor rows expanded without a network
+ * connection, and the results it was rendered from are embedded for download.
  * @param {Object} results - Analysis results
- * @param {string} beforePath - Path to before HTML file
- * @param {string} afterPath - Path to after HTML file
+ * @param {Object} beforeSource - Provenance of the before snapshot (from loadSnapshot)
+ * @param {Object} afterSource - Provenance of the after snapshot (from loadSnapshot)
  * @param {string} outputPath - Path to save the HTML report
  * @returns {Promise<void>}
  */
-export async function generateHTMLReport(results, beforePath, afterPath, outputPath) {
-  const beforePathShort = path.basename(beforePath)
-  const afterPathShort = path.basename(afterPath)
+export async function generateHTMLReport(results, beforeSource, afterSource, outputPath) {
+  const { summary } = results.elementChanges
 
   const report = `<!DOCTYPE html>
 <html lang="en">
@@ -86,139 +686,130 @@ export async function generateHTMLReport(results, beforePath, afterPath, outputP
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>Outlook HTML Snapshot Comparison</title>
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; line-height: 1.6; color: #333; max-width: 1200px; margin: 0 auto; padding: 20px; }
-    h1, h2, h3 { color: #0078d4; }
-    .report-section { margin-bottom: 30px; border-bottom: 1px solid #eee; padding-bottom: 20px; }
-    table { border-collapse: collapse; width: 100%; margin-bottom: 20px; }
-    th, td { border: 1px solid #ddd; padding: 8px 12px; text-align: left; }
-    th { background-color: #f2f2f2; }
-    tr:nth-child(even) { background-color: #f9f9f9; }
-    .score-high { color: #107c10; }
-    .score-medium { color: #ff8c00; }
-    .score-low { color: #d83b01; }
-    .status-changed { color: #0078d4; font-weight: bold; }
-    .status-added { color: #107c10; font-weight: bold; }
-    .status-removed { color: #d83b01; font-weight: bold; }
-    pre { background: #f6f8fa; border-radius: 3px; padding: 10px; overflow: auto; }
-    .highlight { background-color: #fff3cd; padding: 2px; }
-  </style>
+  <style>${REPORT_STYLE}</style>
 </head>
 <body>
   <h1>Outlook HTML Snapshot Comparison</h1>
   <div class="report-meta">
-    <p><strong>Before:</strong> ${beforePathShort}</p>
-    <p><strong>After:</strong> ${afterPathShort}</p>
-    <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+    ${renderSourcesTable([
+      ['Before', beforeSource, results.views && results.views.before],
+      ['After', afterSource, results.views && results.views.after],
+    ])}
+    <p><strong>Generated:</strong> ${escapeHtml(new Date().toLocaleString())}</p>
   </div>
 
   <div class="report-section">
     <h2>Stable Attributes Analysis</h2>
-    <table>
-      <tr>
-        <th>Attribute Type</th>
-        <th>Before Count</th>
-        <th>After Count</th>
-        <th>Common Count</th>
-        <th>Stability Score</th>
-      </tr>
-      ${Object.entries(results.stableAttributes)
+    ${renderStableAttributesTable(results.stableAttributes)}
+
+    <h3>Stable Values</h3>
+    <p>Values present in both snapshots, per attribute type.</p>
+    ${renderStableValues(results.stableAttributes)}
+
+    <h3>Volatile Values</h3>
+    <p>Values present in both snapshots that look generated (auto-incremented ids, hashed class
+       names, GUIDs). They are excluded from the stability score and from anchor selectors.</p>
+    ${renderVolatileValues(results.stableAttributes)}
+  </div>
+
+  <div class="report-section">
+    <h2>Changed Selectors</h2>
+    ${renderTableFilter('changed-selectors', 'changed selectors')}
+    <table class="sortable" id="changed-selectors">
+      <thead>
+        <tr>
+          <th>Element</th>
+          <th>Status</th>
+          <th>Before Selector</th>
+          <th>After Selector</th>
+        </tr>
+      </thead>
+      <tbody>
+      ${results.changedSelectors
         .map(
-          ([attr, data]) => `
+          change => `
         <tr>
-          <td>${attr}</td>
-          <td>${data.totalBefore}</td>
-          <td>${data.totalAfter}</td>
-          <td>${data.commonCount}</td>
-          <td class="${getScoreClass(data.stabilityScore)}">${data.stabilityScore}%</td>
+          <td>${escapeHtml(change.elementName)}</td>
+          <td class="status-${escapeHtml(change.status)}">${escapeHtml(change.status)}</td>
+          <td>${
+            change.before.found ? `<code>${escapeHtml(change.before.selector)}</code>` : 'N/A'
+          }</td>
+          <td>${
+            change.after.found ? `<code>${escapeHtml(change.after.selector)}</code>` : 'N/A'
+          }</td>
         </tr>
       `
         )
         .join('')}
+      </tbody>
     </table>
-
-    <h3>Most Stable Values</h3>
-    ${Object.entries(results.stableAttributes)
-      .map(
-        ([attr, data]) => `
-      <div>
-        <h4>${attr} (top 10)</h4>
-        <pre>${JSON.stringify((data.stableValues || []).slice(0, 10), null, 2)}</pre>
-      </div>
-    `
-      )
-      .join('')}
   </div>
 
   <div class="report-section">
-    <h2>Changed Selectors</h2>
+    <h2>Element Changes</h2>
     <table>
       <tr>
-        <th>Element</th>
-        <th>Status</th>
-        <th>Before</th>
-        <th>After</th>
+        <th>Matched</th>
+        <th>Added</th>
+        <th>Removed</th>
+        <th>Moved</th>
+        <th>Attribute Changed</th>
+      </tr>
+      <tr>
+        <td>${summary.matched}</td>
+        <td class="status-added">${summary.added}</td>
+        <td class="status-removed">${summary.removed}</td>
+        <td class="status-changed">${summary.moved}</td>
+        <td class="status-changed">${summary.attributeChanged}</td>
       </tr>
-      ${results.changedSelectors
-        .map(change => {
-          // Handle both formats (browser and Node.js versions)
-          if (change.before && change.after) {
-            // Browser format
-            return `
-            <tr>
-              <td>${change.elementName || 'Element'}</td>
-              <td class="status-${change.status}">${change.status}</td>
-              <td>${change.before.found ? change.before.selector : 'N/A'}</td>
-              <td>${change.after.found ? change.after.selector : 'N/A'}</td>
-            </tr>
-            `
-          } else {
-            // Node.js format
-            return `
-            <tr>
-              <td>${change.selector || 'Element'}</td>
-              <td class="status-${change.change}">${change.change}</td>
-              <td>${change.beforeCount !== undefined ? change.beforeCount : 'N/A'}</td>
-              <td>${change.afterCount !== undefined ? change.afterCount : 'N/A'}</td>
-            </tr>
-            `
-          }
-        })
-        .join('')}
     </table>
-  </div>
 
-  <div class="report-section">
-    <h2>Recommended Anchors</h2>
-    <table>
-      <tr>
-        <th>Feature</th>
-        <th>Primary Selector</th>
-        <th>Stability Score</th>
-        <th>Type</th>
-        <th>Alternatives</th>
-      </tr>
-      ${Object.entries(results.recommendedAnchors)
+    <p>Showing ${Math.min(results.elementChanges.changes.length, ELEMENT_CHANGES_LIMIT)} of
+       ${results.elementChanges.changes.length} changes; the embedded results contain the full
+       list.</p>
+    ${renderTableFilter('element-changes', 'element changes')}
+    <table class="sortable" id="element-changes">
+      <thead>
+        <tr>
+          <th>Status</th>
+          <th>Element</th>
+          <th>Details</th>
+        </tr>
+      </thead>
+      <tbody>
+      ${results.elementChanges.changes
+        .slice(0, ELEMENT_CHANGES_LIMIT)
         .map(
-          ([feature, data]) => `
+          change => `
         <tr>
-          <td>${feature}</td>
-          <td>${data.primarySelector || 'None found'}</td>
-          <td class="${getScoreClass(data.stabilityScore)}">${data.stabilityScore}</td>
-          <td>${data.selectorType || 'N/A'}</td>
-          <td>
-            <pre>${JSON.stringify(data.alternativeSelectors || [], null, 2)}</pre>
-          </td>
+          <td class="status-${escapeHtml(change.status)}">${escapeHtml(change.status)}</td>
+          <td><code>${escapeHtml(change.afterPath || change.beforePath)}</code></td>
+          <td>${describeElementChange(change)}</td>
         </tr>
       `
         )
         .join('')}
+      </tbody>
     </table>
   </div>
 
+  <div class="report-section">
+    <h2>Accessibility Changes</h2>
+    <p>Landmarks and named controls of the accessibility tree, paired across versions.</p>
+    ${renderAccessibilityChanges(results.accessibilityChanges)}
+  </div>
+
+  <div class="report-section">
+    <h2>Recommended Anchors</h2>
+    <p>Expand a feature to see its alternative selectors and the element it matches.</p>
+    ${renderRecommendedAnchorsTable(results.recommendedAnchors)}
+  </div>
+
   <div class="report-section">
     <h2>Summary</h2>
-    <p>This analysis identified ${results.changedSelectors.length} changed selectors and 
+    <p>This analysis identified ${results.changedSelectors.length} changed selectors,
+       ${results.elementChanges.changes.length} element-level changes,
+       ${results.accessibilityChanges.changes.length} accessibility changes and
        ${
          Object.values(results.recommendedAnchors).filter(a => a.isReliable).length
        } reliable anchor points
@@ -230,31 +821,828 @@ export async function generateHTMLReport(results, beforePath, afterPath, outputP
         .filter(([_, data]) => data.isReliable)
         .map(
           ([feature, data]) => `
-          <li>Use <code class="highlight">${data.primarySelector}</code> as a reliable selector for ${feature}</li>
+          <li>Use <code class="highlight">${escapeHtml(
+            data.primarySelector
+          )}</code> as a reliable selector for ${escapeHtml(feature)}</li>
         `
         )
         .join('')}
     </ul>
   </div>
+
+  ${renderEmbeddedResults(results)}
 </body>
 </html>`
 
-  try {
-    const outputDir = path.dirname(outputPath)
+  await writeReportFile(report, outputPath)
+}
 
-    // Ensure output directory exists
-    try {
-      await fs.mkdir(outputDir, { recursive: true })
-    } catch (err) {
-      // Directory might already exist, ignore error
+/**
+ * Create an HTML report from timeline analysis results
+ * Like the pair report, it is interactive and embeds the results.
+ * @param {Object} results - Timeline results from OutlookDOMDiff.analyzeTimeline
+ * @param {Array<Object>} sources - Provenance of each snapshot, oldest first (from loadSnapshot)
+ * @param {string} outputPath - Path to save the HTML report
+ * @returns {Promise<void>}
+ */
+export async function generateTimelineReport(results, sources, outputPath) {
+  const { versions } = results
+  const survivalCells = entry =>
+    versions
+      .map(version =>
+        entry.presentIn.includes(version)
+          ? '<td class="survival-present">&#10003;</td>'
+          : '<td class="survival-absent">&#10007;</td>'
+      )
+      .join('')
+  const versionHeaders = versions.map(version => `<th>${escapeHtml(version)}</th>`).join('')
+
+  const report = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Outlook HTML Snapshot Timeline</title>
+  <style>${REPORT_STYLE}</style>
+</head>
+<body>
+  <h1>Outlook HTML Snapshot Timeline</h1>
+  <div class="report-meta">
+    ${renderSourcesTable(
+      sources.map((source, index) => [
+        versions[index],
+        source,
+        results.views && results.views[versions[index]],
+      ])
+    )}
+    <p><strong>Generated:</strong> ${escapeHtml(new Date().toLocaleString())}</p>
+  </div>
+
+  <div class="report-section">
+    <h2>Anchor Survival Matrix</h2>
+    <p>Versions in which each recommended and configured selector matches.</p>
+    ${renderTableFilter('anchor-survival', 'selectors')}
+    <table class="sortable" id="anchor-survival">
+      <thead>
+        <tr>
+          <th>Feature</th>
+          <th>Selector</th>
+          <th>Source</th>
+          ${versionHeaders}
+          <th>First Broken In</th>
+        </tr>
+      </thead>
+      <tbody>
+      ${Object.entries(results.anchorSurvival)
+        .map(([feature, entries]) =>
+          entries
+            .map(
+              entry => `
+        <tr>
+          <td>${escapeHtml(feature)}</td>
+          <td><code>${escapeHtml(entry.selector)}</code></td>
+          <td>${escapeHtml(entry.source)}</td>
+          ${survivalCells(entry)}
+          <td>${
+            entry.firstBrokenIn
+              ? escapeHtml(entry.firstBrokenIn)
+              : entry.firstSeenIn
+              ? '&mdash;'
+              : 'Never matched'
+          }</td>
+        </tr>
+      `
+            )
+            .join('')
+        )
+        .join('')}
+      </tbody>
+    </table>
+  </div>
+
+  <div class="report-section">
+    <h2>Attribute Value Survival</h2>
+    <table class="sortable">
+      <thead>
+        <tr>
+          <th>Attribute Type</th>
+          <th>Values Seen</th>
+          <th>In Every Version</th>
+          <th>Broke</th>
+          <th>Introduced Later</th>
+        </tr>
+      </thead>
+      <tbody>
+      ${Object.entries(results.attributeSurvival)
+        .map(
+          ([attr, entries]) => `
+        <tr>
+          <td>${escapeHtml(attr)}</td>
+          <td>${entries.length}</td>
+          <td>${entries.filter(entry => entry.presentIn.length === versions.length).length}</td>
+          <td>${entries.filter(entry => entry.firstBrokenIn).length}</td>
+          <td>${entries.filter(entry => entry.firstSeenIn !== versions[0]).length}</td>
+        </tr>
+      `
+        )
+        .join('')}
+      </tbody>
+    </table>
+
+    ${Object.entries(results.attributeSurvival)
+      .map(([attr, entries], index) => {
+        const unstable = entries.filter(entry => entry.presentIn.length < versions.length)
+        if (unstable.length === 0) {
+          return ''
+        }
+        return `
+      <h3>${escapeHtml(attr)}: values missing from at least one version (${Math.min(
+          unstable.length,
+          SURVIVAL_VALUES_LIMIT
+        )} of ${unstable.length})</h3>
+      ${renderTableFilter(`attribute-survival-${index}`, `${attr} values`)}
+      <table class="sortable" id="attribute-survival-${index}">
+        <thead>
+          <tr>
+            <th>Value</th>
+            ${versionHeaders}
+            <th>First Broken In</th>
+          </tr>
+        </thead>
+        <tbody>
+        ${unstable
+          .slice(0, SURVIVAL_VALUES_LIMIT)
+          .map(
+            entry => `
+        <tr>
+          <td><code>${escapeHtml(entry.value)}</code></td>
+          ${survivalCells(entry)}
+          <td>${entry.firstBrokenIn ? escapeHtml(entry.firstBrokenIn) : '&mdash;'}</td>
+        </tr>
+      `
+          )
+          .join('')}
+        </tbody>
+      </table>
+    `
+      })
+      .join('')}
+  </div>
+
+  <div class="report-section">
+    <h2>Stable Attributes Across All Versions</h2>
+    <p>Before Count is the first version, After Count the last; a value is common only if it
+       is present in every version.</p>
+    ${renderStableAttributesTable(results.stableAttributes)}
+
+    <h3>Stable Values</h3>
+    ${renderStableValues(results.stableAttributes)}
+
+    <h3>Volatile Values</h3>
+    ${renderVolatileValues(results.stableAttributes)}
+  </div>
+
+  <div class="report-section">
+    <h2>Recommended Anchors</h2>
+    <p>Stability scores are reduced for selectors that do not match in every version. Expand a
+       feature to see its alternative selectors and the element it matches in the last version.</p>
+    ${renderRecommendedAnchorsTable(results.recommendedAnchors)}
+  </div>
+
+  ${renderEmbeddedResults(results)}
+</body>
+</html>`
+
+  await writeReportFile(report, outputPath)
+}
+
+/**
+ * Create the index report of a batch run
+ * @param {Object} index - Batch index with per-mode pair summaries
+ * @param {string} outputPath - Path to save the HTML report
+ * @returns {Promise<void>}
+ */
+export async function generateBatchIndexReport(index, outputPath) {
+  const report = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Outlook HTML Snapshot Batch Analysis</title>
+  <style>${REPORT_STYLE}</style>
+</head>
+<body>
+  <h1>Outlook HTML Snapshot Batch Analysis</h1>
+  <div class="report-meta">
+    <p><strong>Directory:</strong> <code>${escapeHtml(index.directory)}</code></p>
+    <p><strong>Generated:</strong> ${escapeHtml(new Date(index.generated).toLocaleString())}</p>
+  </div>
+
+  ${Object.entries(index.modes)
+    .map(
+      ([mode, pairs]) => `
+  <div class="report-section">
+    <h2>${escapeHtml(mode)}</h2>
+    ${
+      pairs.length === 0
+        ? '<p>Only one snapshot found; nothing to compare.</p>'
+        : `<table>
+      <tr>
+        <th>Before</th>
+        <th>After</th>
+        <th>Changed Selectors</th>
+        <th>Element Changes</th>
+        <th>Reliable Anchors</th>
+        <th>Outputs</th>
+      </tr>
+      ${pairs
+        .map(pair =>
+          pair.error
+            ? `
+      <tr>
+        <td>${escapeHtml(pair.before)}</td>
+        <td>${escapeHtml(pair.after)}</td>
+        <td colspan="4" class="status-removed">Analysis failed: ${escapeHtml(pair.error)}</td>
+      </tr>
+      `
+            : `
+      <tr>
+        <td>${escapeHtml(pair.before)}</td>
+        <td>${escapeHtml(pair.after)}</td>
+        <td>${pair.changedSelectors}</td>
+        <td>${pair.elementChanges}</td>
+        ${
+          pair.totalAnchors === 0
+            ? '<td>n/a (no watched features)</td>'
+            : `<td class="${getScoreClass((pair.reliableAnchors / pair.totalAnchors) * 100)}">
+          ${pair.reliableAnchors} / ${pair.totalAnchors}
+        </td>`
+        }
+        <td>
+          <a href="${escapeHtml(pair.report)}">Report</a> &middot;
+          <a href="${escapeHtml(pair.results)}">JSON</a>
+        </td>
+      </tr>
+      `
+        )
+        .join('')}
+    </table>`
     }
+  </div>
+  `
+    )
+    .join('')}
+</body>
+</html>`
 
-    await fs.writeFile(outputPath, report, 'utf8')
-    console.log(`  - HTML report saved to ${toProjectPath(outputPath)}`)
-  } catch (error) {
-    console.error('Error generating HTML report:', error)
-    throw error
+  await writeReportFile(report, outputPath)
+}
+
+/**
+ * Create an HTML report from a comparison of snapshots in several display languages
+ * @param {Object} results - Results from OutlookDOMDiff.compareLocales
+ * @param {Array<Object>} sources - Provenance of each snapshot, in the order of results.locales
+ * @param {string} outputPath - Path to save the HTML report
+ * @returns {Promise<void>}
+ */
+export async function generateLocalesReport(results, sources, outputPath) {
+  const { locales } = results
+  const foundCells = anchor =>
+    locales
+      .map(locale =>
+        anchor.foundIn[locale]
+          ? '<td class="survival-present">&#10003;</td>'
+          : '<td class="survival-absent">&#10007;</td>'
+      )
+      .join('')
+  const labelled = Object.entries(results.localeAnchors).filter(([, anchor]) => anchor.labels)
+
+  const report = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Outlook Locale Comparison</title>
+  <style>${REPORT_STYLE}</style>
+</head>
+<body>
+  <h1>Outlook Locale Comparison</h1>
+  <div class="report-meta">
+    ${renderSourcesTable(
+      sources.map((source, index) => [locales[index], source, results.views[locales[index]]])
+    )}
+    <p><strong>Reference locale:</strong> ${escapeHtml(results.referenceLocale)}</p>
+    <p><strong>Generated:</strong> ${escapeHtml(new Date().toLocaleString())}</p>
+  </div>
+
+  <div class="report-section">
+    <h2>Anchors</h2>
+    <p>An anchor is locale-neutral if it matches in every locale without comparing
+       localized text such as aria-label or title.</p>
+    <table>
+      <tr>
+        <th>Feature</th>
+        <th>Selector</th>
+        <th>Locale</th>
+        ${locales.map(locale => `<th>${escapeHtml(locale)}</th>`).join('')}
+      </tr>
+      ${Object.entries(results.localeAnchors)
+        .map(
+          ([feature, anchor]) => `
+        <tr>
+          <td>${escapeHtml(feature)}</td>
+          <td>${
+            anchor.primarySelector
+              ? `<code>${escapeHtml(anchor.primarySelector)}</code>`
+              : 'None found'
+          }</td>
+          <td class="${anchor.localeNeutral ? 'score-high' : 'score-low'}">${
+            anchor.localeNeutral ? 'neutral' : 'localized'
+          }</td>
+          ${foundCells(anchor)}
+        </tr>
+      `
+        )
+        .join('')}
+    </table>
+  </div>
+
+  <div class="report-section">
+    <h2>Label Maps</h2>
+    ${
+      labelled.length === 0
+        ? '<p>Every feature has a locale-neutral anchor.</p>'
+        : `<p>Features without a locale-neutral anchor, with a selector for the label of
+       their element in each locale.</p>
+    <table>
+      <tr>
+        <th>Feature</th>
+        <th>Attribute</th>
+        ${locales.map(locale => `<th>${escapeHtml(locale)}</th>`).join('')}
+      </tr>
+      ${labelled
+        .map(
+          ([feature, { labels }]) => `
+        <tr>
+          <td>${escapeHtml(feature)}</td>
+          <td>${escapeHtml(labels.attribute)}</td>
+          ${locales
+            .map(locale =>
+              labels.selectors[locale]
+                ? `<td><code>${escapeHtml(labels.selectors[locale])}</code></td>`
+                : '<td class="survival-absent">Not found</td>'
+            )
+            .join('')}
+        </tr>
+      `
+        )
+        .join('')}
+    </table>`
+    }
+  </div>
+</body>
+</html>`
+
+  await writeReportFile(report, outputPath)
+}
+
+/**
+ * Create an HTML report from selector verification results
+ * @param {Object} results - Output of OutlookDOMDiff.verifySelectors
+ * @param {Object} beforeSource - Provenance of the before snapshot (from loadSnapshot)
+ * @param {Object} afterSource - Provenance of the after snapshot (from loadSnapshot)
+ * @param {string} outputPath - Path to save the HTML report
+ * @returns {Promise<void>}
+ */
+export async function generateVerifyReport(results, beforeSource, afterSource, outputPath) {
+  const { summary } = results
+
+  const report = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Outlook Selector Verification</title>
+  <style>${REPORT_STYLE}</style>
+</head>
+<body>
+  <h1>Outlook Selector Verification</h1>
+  <div class="report-meta">
+    ${renderSourcesTable([
+      ['Before', beforeSource],
+      ['After', afterSource],
+    ])}
+    <p><strong>Generated:</strong> ${escapeHtml(new Date().toLocaleString())}</p>
+  </div>
+
+  <div class="report-section">
+    <h2>Summary</h2>
+    <table>
+      <tr>
+        ${VERIFY_STATUSES.map(status => `<th>${status}</th>`).join('')}
+      </tr>
+      <tr>
+        ${VERIFY_STATUSES.map(
+          status => `<td class="${getVerifyStatusClass(status)}">${summary[status] || 0}</td>`
+        ).join('')}
+      </tr>
+    </table>
+  </div>
+
+  <div class="report-section">
+    <h2>Selectors</h2>
+    <p>A selector is followed from the element it found in the before snapshot to the element
+       that best matches it in the after snapshot; if its first match is no longer that
+       element, it is reported as retargeted.</p>
+    <table>
+      <tr>
+        <th>Name</th>
+        <th>Selector</th>
+        <th>Before Count</th>
+        <th>After Count</th>
+        <th>Status</th>
+        <th>Details</th>
+      </tr>
+      ${results.selectors
+        .map(
+          result => `
+      <tr>
+        <td>${escapeHtml(result.name)}</td>
+        <td><code>${escapeHtml(result.selector)}</code></td>
+        <td>${result.beforeCount}</td>
+        <td>${result.afterCount}</td>
+        <td class="${getVerifyStatusClass(result.status)}">${escapeHtml(result.status)}</td>
+        <td>${describeVerifyResult(result)}</td>
+      </tr>
+      `
+        )
+        .join('')}
+    </table>
+  </div>
+</body>
+</html>`
+
+  await writeReportFile(report, outputPath)
+}
+
+/**
+ * Write CI checks as a JUnit XML report
+ * Each check becomes a test case (one test suite per check suite); checks with an
+ * error or warning fail, notes are kept as test output.
+ * @param {Array<Object>} checks - Anchor and selector checks from the CI gates
+ * @param {string} outputPath - Path to save the JUnit XML file
+ * @returns {Promise<void>}
+ */
+export async function generateJUnitReport(checks, outputPath) {
+  const isFailure = problem => problem.level === 'error' || problem.level === 'warning'
+  const countFailures = suiteChecks =>
+    suiteChecks.filter(check => check.problems.some(isFailure)).length
+  const suites = [...new Set(checks.map(check => check.suite))].map(name => ({
+    name,
+    checks: checks.filter(check => check.suite === name),
+  }))
+
+  const renderTestCase = (suite, check) => {
+    const failures = check.problems.filter(isFailure)
+    const notes = check.problems.filter(problem => !isFailure(problem))
+    const children = [
+      ...(failures.length > 0
+        ? [
+            `<failure type="${failures[0].ruleId}" message="${escapeXml(
+              failures[0].message
+            )}">${escapeXml(
+              failures.map(problem => `[${problem.level}] ${problem.message}`).join('\n')
+            )}</failure>`,
+          ]
+        : []),
+      ...(notes.length > 0
+        ? [
+            `<system-out>${escapeXml(
+              notes.map(problem => problem.message).join('\n')
+            )}</system-out>`,
+          ]
+        : []),
+    ]
+
+    const testCase = `<testcase classname="${suite.name}" name="${escapeXml(check.name)}"`
+    return children.length === 0
+      ? `    ${testCase} />`
+      : `    ${testCase}>${children.map(child => `\n      ${child}`).join('')}\n    </testcase>`
+  }
+
+  const report = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="outlook-snapshot-analysis" tests="${checks.length}" failures="${countFailures(
+    checks
+  )}">
+${suites
+  .map(
+    suite => `  <testsuite name="${suite.name}" tests="${
+      suite.checks.length
+    }" failures="${countFailures(suite.checks)}">
+${suite.checks.map(check => renderTestCase(suite, check)).join('\n')}
+  </testsuite>`
+  )
+  .join('\n')}
+</testsuites>
+`
+
+  await writeReportFile(report, outputPath, 'JUnit report')
+}
+
+/**
+ * Write the problems found by the CI checks as a SARIF 2.1.0 log
+ * Results point at the snapshot they were found in, with the feature as logical location.
+ * @param {Array<Object>} checks - Anchor and selector checks from the CI gates
+ * @param {Object} snapshotSource - Provenance of the analyzed (after) snapshot
+ * @param {string} outputPath - Path to save the SARIF file
+ * @returns {Promise<void>}
+ */
+export async function generateSarifReport(checks, snapshotSource, outputPath) {
+  const artifactLocation =
+    snapshotSource.path === '(stdin)' ? null : { uri: pathToFileURL(snapshotSource.path).href }
+
+  const log = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'analyze-snapshots',
+            version: '1.0.0',
+            rules: Object.entries(SARIF_RULES).map(([id, text]) => ({
+              id,
+              shortDescription: { text },
+            })),
+          },
+        },
+        results: checks.flatMap(check =>
+          check.problems.map(problem => ({
+            ruleId: problem.ruleId,
+            level: problem.level,
+            message: { text: problem.message },
+            locations: [
+              {
+                ...(artifactLocation ? { physicalLocation: { artifactLocation } } : {}),
+                logicalLocations: [
+                  {
+                    name: check.name,
+                    fullyQualifiedName: `${check.suite}/${check.name}`,
+                    kind: 'element',
+                  },
+                ],
+              },
+            ],
+          }))
+        ),
+      },
+    ],
+  }
+
+  await writeReportFile(JSON.stringify(log, null, 2), outputPath, 'SARIF log')
+}
+
+/**
+ * Helper function for HTML report to list snapshot provenance
+ * @param {Array<Array>} rows - [label, source] pairs, with the detected view as optional
+ *   third element
+ */
+function renderSourcesTable(rows) {
+  const showViews = rows.some(([, , detection]) => detection)
+  return `<table>
+      <tr>
+        <th>Snapshot</th>
+        ${showViews ? '<th>View</th>' : ''}
+        <th>Path</th>
+        <th>Size</th>
+        <th>Modified</th>
+        <th>SHA-256</th>
+      </tr>
+      ${rows
+        .map(
+          ([label, source, detection]) => `
+        <tr>
+          <td><strong>${escapeHtml(label)}</strong></td>
+          ${showViews ? `<td>${escapeHtml(describeView(detection))}</td>` : ''}
+          <td><code>${escapeHtml(source.path)}</code></td>
+          <td>${source.size.toLocaleString()} bytes</td>
+          <td>${
+            source.modified ? escapeHtml(new Date(source.modified).toLocaleString()) : 'N/A'
+          }</td>
+          <td><code>${escapeHtml(source.sha256)}</code></td>
+        </tr>
+      `
+        )
+        .join('')}
+    </table>`
+}
+
+/**
+ * Describe a detected view with its confidence, e.g. "reading (100%)"
+ * @param {Object} [detection] - detectView() result
+ * @returns {string}
+ */
+function describeView(detection) {
+  return detection ? `${detection.view} (${Math.round(detection.confidence * 100)}%)` : 'N/A'
+}
+
+/**
+ * Helper function for HTML report to render the stable attributes table
+ */
+function renderStableAttributesTable(stableAttributes) {
+  return `<table class="sortable">
+      <thead>
+        <tr>
+          <th>Attribute Type</th>
+          <th>Before Count</th>
+          <th>After Count</th>
+          <th>Common Count</th>
+          <th>Volatile Count</th>
+          <th>Stability Score</th>
+        </tr>
+      </thead>
+      <tbody>
+      ${Object.entries(stableAttributes)
+        .map(
+          ([attr, data]) => `
+        <tr>
+          <td>${escapeHtml(attr)}</td>
+          <td>${data.totalBefore}</td>
+          <td>${data.totalAfter}</td>
+          <td>${data.commonCount}</td>
+          <td>${data.volatileCount || 0}</td>
+          <td class="${getScoreClass(data.stabilityScore)}">${escapeHtml(data.stabilityScore)}%</td>
+        </tr>
+      `
+        )
+        .join('')}
+      </tbody>
+    </table>`
+}
+
+/**
+ * Helper function for HTML report to list every stable value, with a search box per
+ * attribute type
+ */
+function renderStableValues(stableAttributes) {
+  return Object.entries(stableAttributes)
+    .map(([attr, data], index) => {
+      const values = data.stableValues || []
+      const listId = `stable-values-${index}`
+      return `
+    <details class="value-list">
+      <summary>${escapeHtml(attr)} (${values.length} values)</summary>
+      ${renderTableFilter(listId, `${attr} values`)}
+      <ul id="${listId}">
+        ${values.map(value => `<li><code>${escapeHtml(value)}</code></li>`).join('')}
+      </ul>
+    </details>`
+    })
+    .join('')
+}
+
+/**
+ * Helper function for HTML report to list common values flagged as generated
+ */
+function renderVolatileValues(stableAttributes) {
+  const rows = Object.entries(stableAttributes).flatMap(([attr, data]) =>
+    (data.volatileValues || [])
+      .slice(0, VOLATILE_VALUES_LIMIT)
+      .map(({ value, reasons }) => [attr, value, reasons])
+  )
+
+  if (rows.length === 0) {
+    return '<p>No generated values detected.</p>'
+  }
+
+  return `${renderTableFilter('volatile-values', 'volatile values')}
+    <table class="sortable" id="volatile-values">
+      <thead>
+        <tr>
+          <th>Attribute Type</th>
+          <th>Value</th>
+          <th>Reasons</th>
+        </tr>
+      </thead>
+      <tbody>
+      ${rows
+        .map(
+          ([attr, value, reasons]) => `
+        <tr>
+          <td>${escapeHtml(attr)}</td>
+          <td><code>${escapeHtml(value)}</code></td>
+          <td>${escapeHtml(reasons.join(', '))}</td>
+        </tr>
+      `
+        )
+        .join('')}
+      </tbody>
+    </table>`
+}
+
+/**
+ * Helper function for HTML report to render the recommended anchors table
+ * Each anchor has its own tbody: the row of the anchor, and a hidden row with its
+ * alternative selectors and element that the toggle button expands.
+ */
+function renderRecommendedAnchorsTable(recommendedAnchors) {
+  return `${renderTableFilter('recommended-anchors', 'anchors')}
+    <table class="sortable" id="recommended-anchors">
+      <thead>
+        <tr>
+          <th>Feature</th>
+          <th>Primary Selector</th>
+          <th>Stability Score</th>
+          <th>Type</th>
+          <th>Locale</th>
+          <th>Alternatives</th>
+        </tr>
+      </thead>
+      ${Object.entries(recommendedAnchors)
+        .map(([feature, data]) => {
+          const alternatives = data.alternativeSelectors || []
+          return `
+      <tbody>
+        <tr>
+          <td data-sort="${escapeHtml(feature)}">
+            <button type="button" class="row-toggle" aria-expanded="false"
+              aria-label="Show the details of ${escapeHtml(feature)}">&#9656;</button>
+            ${escapeHtml(feature)}
+          </td>
+          <td>${
+            data.primarySelector ? `<code>${escapeHtml(data.primarySelector)}</code>` : 'None found'
+          }</td>
+          <td class="${getScoreClass(data.stabilityScore)}">${data.stabilityScore}</td>
+          <td>${escapeHtml(data.selectorType || 'N/A')}</td>
+          <td>${describeAnchorLocale(data)}</td>
+          <td>${alternatives.length}</td>
+        </tr>
+        <tr class="anchor-details" hidden>
+          <td colspan="6">
+            <h4>Alternative Selectors</h4>
+            ${
+              alternatives.length === 0
+                ? '<p>None found.</p>'
+                : `<ol>${alternatives
+                    .map(selector => `<li><code>${escapeHtml(selector)}</code></li>`)
+                    .join('')}</ol>`
+            }
+            <h4>Element</h4>
+            ${renderElementMetadata(data.element)}
+          </td>
+        </tr>
+      </tbody>`
+        })
+        .join('')}
+    </table>`
+}
+
+/**
+ * Helper function for HTML report to describe the element of an anchor
+ * @param {Object} [element] - Element metadata of the anchor (absent in older results)
+ */
+function renderElementMetadata(element) {
+  if (!element) {
+    return '<p>No element metadata in these results.</p>'
+  }
+
+  const attributes = Object.entries(element.attributes)
+  return `<p><code>&lt;${escapeHtml(element.tagName.toLowerCase())}&gt;</code> with
+       ${element.childrenCount} child elements and ${element.textContentLength} characters of
+       text</p>
+            <p><strong>Path:</strong> <code>${escapeHtml(element.path)}</code></p>
+            ${
+              attributes.length === 0
+                ? '<p>No attributes.</p>'
+                : `<table>
+              <tr>
+                <th>Attribute</th>
+                <th>Value</th>
+              </tr>
+              ${attributes
+                .map(
+                  ([name, value]) => `
+              <tr>
+                <td>${escapeHtml(name)}</td>
+                <td><code>${escapeHtml(value)}</code></td>
+              </tr>
+            `
+                )
+                .join('')}
+            </table>`
+            }`
+}
+
+/**
+ * Tell whether a recommended anchor compares localized text
+ * @param {Object} anchor - Recommended anchor
+ * @returns {string}
+ */
+function describeAnchorLocale(anchor) {
+  if (!anchor.primarySelector || anchor.localized === undefined) {
+    return 'N/A'
   }
+  return anchor.localized ? 'localized text' : 'neutral'
 }
 
 /**
@@ -266,3 +1654,186 @@ function getScoreClass(score) {
   if (score >= 50) return 'score-medium'
   return 'score-low'
 }
+
+/**
+ * Helper function for HTML report to summarize an element change
+ */
+function describeElementChange(change) {
+  if (change.status === 'added' || change.status === 'removed') {
+    return `${change.descendantCount} descendant elements`
+  }
+
+  if (change.status === 'moved') {
+    return change.reason === 'parent'
+      ? `New parent: <code>${escapeHtml(change.to.parentPath)}</code>`
+      : `Position ${change.from.position} &rarr; ${change.to.position}`
+  }
+
+  const { added, removed, changed } = change.attributes
+  return [
+    ...Object.entries(added).map(([name, value]) => `+ ${name}="${value}"`),
+    ...Object.entries(removed).map(([name]) => `- ${name}`),
+    ...Object.entries(changed).map(
+      ([name, values]) => `${name}: "${values.before}" \u2192 "${values.after}"`
+    ),
+  ]
+    .map(escapeHtml)
+    .join('<br>')
+}
+
+/**
+ * Helper function for HTML report to render the accessibility tree diff
+ * @param {Object} accessibilityChanges - Output of OutlookDOMDiff.diffAccessibilityTrees
+ */
+function renderAccessibilityChanges({ summary, changes }) {
+  return `<table>
+      <tr>
+        <th>Before</th>
+        <th>After</th>
+        <th>Added</th>
+        <th>Removed</th>
+        <th>Renamed</th>
+        <th>Moved</th>
+      </tr>
+      <tr>
+        <td>${summary.before}</td>
+        <td>${summary.after}</td>
+        <td class="status-added">${summary.added}</td>
+        <td class="status-removed">${summary.removed}</td>
+        <td class="status-changed">${summary.renamed}</td>
+        <td class="status-changed">${summary.moved}</td>
+      </tr>
+    </table>
+
+    <p>Showing ${Math.min(changes.length, ELEMENT_CHANGES_LIMIT)} of ${changes.length} changes.</p>
+    ${renderTableFilter('accessibility-changes', 'accessibility changes')}
+    <table class="sortable" id="accessibility-changes">
+      <thead>
+        <tr>
+          <th>Status</th>
+          <th>Role</th>
+          <th>Name</th>
+          <th>Landmark</th>
+          <th>Element</th>
+        </tr>
+      </thead>
+      <tbody>
+      ${changes
+        .slice(0, ELEMENT_CHANGES_LIMIT)
+        .map(
+          change => `
+        <tr>
+          <td class="status-${escapeHtml(change.status)}">${escapeHtml(change.status)}</td>
+          <td>${escapeHtml(change.role)}</td>
+          <td>${escapeHtml(
+            change.status === 'renamed'
+              ? `"${change.previousName}" \u2192 "${change.name}"`
+              : `"${change.name}"`
+          )}</td>
+          <td>${escapeHtml(
+            change.status === 'moved'
+              ? `${change.previousLandmark || '(top level)'} \u2192 ${
+                  change.landmark || '(top level)'
+                }`
+              : change.landmark || '(top level)'
+          )}</td>
+          <td><code>${escapeHtml(change.path)}</code></td>
+        </tr>
+      `
+        )
+        .join('')}
+      </tbody>
+    </table>`
+}
+
+/**
+ * Helper function for HTML report to render the search box of a table or value list
+ * The count next to it tells how many rows match while a search is active.
+ * @param {string} targetId - id of the table or list to filter
+ * @param {string} label - What the rows are, e.g. "element changes"
+ */
+function renderTableFilter(targetId, label) {
+  return `<p class="table-filter">
+      <input type="search" data-filter="${targetId}" placeholder="Filter ${escapeHtml(label)}"
+        aria-label="Filter ${escapeHtml(label)}">
+      <span data-filter-count="${targetId}"></span>
+    </p>`
+}
+
+/**
+ * Helper function for HTML report to embed the results and the script of the report
+ * The results go in a JSON script element, with < escaped so that no value can close it,
+ * and can be downloaded or viewed from the report without the original files.
+ * @param {Object} results - Results the report was rendered from
+ */
+function renderEmbeddedResults(results) {
+  const kind = (results.meta && results.meta.kind) || 'analysis'
+  return `<div class="report-section">
+    <h2>Results</h2>
+    <p>The complete results are embedded in this report.</p>
+    <p><button type="button" id="download-results">Download JSON</button></p>
+    <details id="raw-results">
+      <summary>Show JSON</summary>
+      <pre></pre>
+    </details>
+  </div>
+
+  <script type="application/json" id="report-results" data-file-name="${escapeHtml(
+    kind
+  )}-results.json">${JSON.stringify(results).replace(/</g, '\\u003c')}</script>
+  <script>${REPORT_SCRIPT}</script>`
+}
+
+/**
+ * Helper function for HTML report to color a selector verification status
+ */
+function getVerifyStatusClass(status) {
+  if (status === 'ok' || status === 'new') return 'score-high'
+  if (status === 'ambiguous') return 'score-medium'
+  return 'score-low'
+}
+
+/**
+ * Helper function for HTML report to explain a selector verification result
+ */
+function describeVerifyResult(result) {
+  switch (result.status) {
+    case 'invalid':
+      return `Invalid selector: ${escapeHtml(result.error)}`
+    case 'broken':
+      return `Used to match <code>${escapeHtml(result.beforePath)}</code>`
+    case 'retargeted':
+      return `Now matches <code>${escapeHtml(result.afterPath)}</code>${
+        result.expectedPath ? `, expected <code>${escapeHtml(result.expectedPath)}</code>` : ''
+      }`
+    case 'ambiguous':
+      return `First of ${result.afterCount} matches: <code>${escapeHtml(result.afterPath)}</code>`
+    case 'missing':
+      return 'Matches in neither snapshot'
+    default:
+      return `<code>${escapeHtml(result.afterPath)}</code>`
+  }
+}
+
+/**
+ * Escape text for use in HTML content and quoted attribute values
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Escape text for use in XML content and attribute values
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
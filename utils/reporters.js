@@ -0,0 +1,604 @@
+/**
+ * Report formats of pair and timeline analyses
+ * Every reporter renders the saved results (the object written as JSON, meta block
+ * included), so all the formats of a run describe the same analysis. The formats are
+ * selected with --format; a new format only needs an entry in REPORTERS.
+ */
+import path from 'path'
+import {
+  saveResults,
+  generateHTMLReport,
+  generateTimelineReport,
+  writeReportFile,
+} from './file-utils.js'
+
+// Formats written when --format is not given
+export const DEFAULT_REPORT_FORMATS = ['json', 'html']
+
+// Maximum number of element (and accessibility) changes listed in the Markdown report,
+// which has to fit in a pull request comment
+const MARKDOWN_CHANGES_LIMIT = 50
+
+/**
+ * Reporters by format name
+ * label names the output in log messages, output is its key in the output paths
+ * (see resolveOutputPaths in analyze-snapshots.js) and write(results, outputPath)
+ * saves it.
+ */
+export const REPORTERS = {
+  json: { label: 'JSON results', output: 'outputJsonPath', write: saveResults },
+  html: { label: 'HTML report', output: 'outputHtmlPath', write: saveHTMLReport },
+  md: { label: 'Markdown report', output: 'outputMarkdownPath', write: saveMarkdownReport },
+  csv: { label: 'CSV reports', output: 'outputCsvDir', write: saveCsvReports },
+}
+
+/**
+ * Write the results in each of the given formats
+ * @param {Object} results - Pair or timeline results, with their meta block
+ * @param {Array<string>} formats - Keys of REPORTERS
+ * @param {Object} outputPaths - Output path of each format, by the output key of its reporter
+ * @returns {Promise<void>}
+ */
+export async function writeReports(results, formats, outputPaths) {
+  for (const format of formats) {
+    const reporter = REPORTERS[format]
+    if (!reporter) {
+      throw new Error(`Unknown report format "${format}"`)
+    }
+    await reporter.write(results, outputPaths[reporter.output])
+  }
+}
+
+/**
+ * Render the Markdown report of pair or timeline results
+ * The report opens with a summary and the recommended anchors, and folds the long
+ * tables into <details> blocks, so it can be posted as a pull request comment.
+ * @param {Object} results - Pair or timeline results, with their meta block
+ * @returns {string} GitHub-flavored Markdown
+ */
+export function renderMarkdownReport(results) {
+  const lines =
+    getResultKind(results) === 'timeline'
+      ? renderTimelineMarkdown(results)
+      : renderAnalysisMarkdown(results)
+  return `${lines.join('\n')}\n`
+}
+
+/**
+ * Render the CSV tables of pair or timeline results, one per report section
+ * Unlike the HTML and Markdown reports, the tables list every change and value.
+ * @param {Object} results - Pair or timeline results, with their meta block
+ * @returns {Object<string, string>} CSV content by section name, e.g. element-changes
+ */
+export function renderCsvReports(results) {
+  const tables =
+    getResultKind(results) === 'timeline' ? getTimelineTables(results) : getAnalysisTables(results)
+  return Object.fromEntries(
+    Object.entries(tables).map(([section, rows]) => [
+      section,
+      rows.map(row => row.map(formatCsvField).join(',')).join('\r\n') + '\r\n',
+    ])
+  )
+}
+
+/**
+ * Write the HTML report, using the snapshot fingerprints of the meta block as sources
+ */
+async function saveHTMLReport(results, outputPath) {
+  const snapshots = getSnapshotInputs(results)
+  if (getResultKind(results) === 'timeline') {
+    await generateTimelineReport(results, snapshots, outputPath)
+    return
+  }
+
+  const [before, after] = ['before', 'after'].map(role =>
+    snapshots.find(input => input.role === role)
+  )
+  await generateHTMLReport(results, before, after, outputPath)
+}
+
+/**
+ * Write the Markdown report
+ */
+async function saveMarkdownReport(results, outputPath) {
+  await writeReportFile(renderMarkdownReport(results), outputPath, 'Markdown report')
+}
+
+/**
+ * Write the CSV tables as <section>.csv files in a directory
+ */
+async function saveCsvReports(results, outputDir) {
+  for (const [section, csv] of Object.entries(renderCsvReports(results))) {
+    await writeReportFile(csv, path.join(outputDir, `${section}.csv`), 'CSV report')
+  }
+}
+
+/**
+ * Kind of results a reporter can render: analysis (a pair) or timeline
+ * @throws {Error} For any other kind of results
+ */
+function getResultKind(results) {
+  const kind = results.meta && results.meta.kind
+  if (kind !== 'analysis' && kind !== 'timeline') {
+    throw new Error(`Reports can only be rendered from analysis or timeline results, not ${kind}`)
+  }
+  return kind
+}
+
+/**
+ * Snapshot fingerprints of the meta block, without the config and selector files
+ */
+function getSnapshotInputs(results) {
+  return results.meta.inputs.filter(input => ['before', 'after', 'version'].includes(input.role))
+}
+
+/**
+ * Markdown report lines of pair results
+ */
+function renderAnalysisMarkdown(results) {
+  const { changedSelectors, elementChanges, accessibilityChanges, recommendedAnchors } = results
+  const anchors = Object.values(recommendedAnchors)
+  const { summary } = elementChanges
+  const snapshots = getSnapshotInputs(results).map(input => [
+    input.role === 'before' ? 'Before' : 'After',
+    input,
+    results.views && results.views[input.role],
+  ])
+
+  return [
+    '## Outlook HTML Snapshot Comparison',
+    '',
+    ...renderMarkdownSources(snapshots),
+    '',
+    `**Summary:** ${changedSelectors.length} changed selectors, ` +
+      `${elementChanges.changes.length} element changes (${summary.added} added, ` +
+      `${summary.removed} removed, ${summary.moved} moved, ${summary.attributeChanged} ` +
+      `re-attributed), ${accessibilityChanges.changes.length} accessibility changes and ` +
+      `${anchors.filter(anchor => anchor.isReliable).length} of ${
+        anchors.length
+      } anchors reliable.`,
+    '',
+    '### Recommended Anchors',
+    '',
+    ...renderMarkdownAnchors(recommendedAnchors),
+    '',
+    '### Changed Selectors',
+    '',
+    ...(changedSelectors.length === 0
+      ? ['No selector of a watched feature changed.']
+      : renderMarkdownTable(
+          ['Element', 'Status', 'Before Selector', 'After Selector'],
+          changedSelectors.map(change => [
+            escapeMarkdown(change.elementName),
+            change.status,
+            change.before.found ? markdownCode(change.before.selector) : 'N/A',
+            change.after.found ? markdownCode(change.after.selector) : 'N/A',
+          ])
+        )),
+    '',
+    ...renderMarkdownDetails(
+      `Element changes (${elementChanges.changes.length})`,
+      renderMarkdownChanges(elementChanges.changes, ['Status', 'Element', 'Details'], change => [
+        change.status,
+        markdownCode(change.afterPath || change.beforePath),
+        escapeMarkdown(describeElementChange(change)),
+      ])
+    ),
+    '',
+    ...renderMarkdownDetails(
+      `Accessibility changes (${accessibilityChanges.changes.length})`,
+      renderMarkdownChanges(
+        accessibilityChanges.changes,
+        ['Status', 'Role', 'Name', 'Landmark'],
+        change => [
+          change.status,
+          escapeMarkdown(change.role),
+          escapeMarkdown(describeAccessibleName(change)),
+          escapeMarkdown(describeLandmark(change)),
+        ]
+      )
+    ),
+    '',
+    ...renderMarkdownDetails(
+      'Stable attributes',
+      renderMarkdownStableAttributes(results.stableAttributes)
+    ),
+  ]
+}
+
+/**
+ * Markdown report lines of timeline results
+ */
+function renderTimelineMarkdown(results) {
+  const { versions, anchorSurvival } = results
+  const anchors = Object.values(results.recommendedAnchors)
+  const survival = Object.entries(anchorSurvival).flatMap(([feature, entries]) =>
+    entries.map(entry => ({ feature, ...entry }))
+  )
+  const snapshots = getSnapshotInputs(results).map((input, index) => [
+    escapeMarkdown(versions[index]),
+    input,
+    results.views && results.views[versions[index]],
+  ])
+
+  return [
+    '## Outlook HTML Snapshot Timeline',
+    '',
+    ...renderMarkdownSources(snapshots),
+    '',
+    `**Summary:** ${versions.length} versions, ` +
+      `${survival.filter(entry => entry.firstBrokenIn).length} of ${survival.length} ` +
+      'recommended and configured selectors broke in a later version and ' +
+      `${anchors.filter(anchor => anchor.isReliable).length} of ${anchors.length} anchors ` +
+      'are reliable.',
+    '',
+    '### Recommended Anchors',
+    '',
+    ...renderMarkdownAnchors(results.recommendedAnchors),
+    '',
+    '### Anchor Survival',
+    '',
+    ...renderMarkdownTable(
+      ['Feature', 'Selector', 'Source', ...versions.map(escapeMarkdown), 'First Broken In'],
+      survival.map(entry => [
+        escapeMarkdown(entry.feature),
+        markdownCode(entry.selector),
+        entry.source,
+        ...versions.map(version => (entry.presentIn.includes(version) ? '✓' : '✗')),
+        escapeMarkdown(entry.firstBrokenIn || (entry.firstSeenIn ? '—' : 'Never matched')),
+      ])
+    ),
+    '',
+    ...renderMarkdownDetails(
+      'Attribute value survival',
+      renderMarkdownTable(
+        ['Attribute Type', 'Values Seen', 'In Every Version', 'Broke', 'Introduced Later'],
+        Object.entries(results.attributeSurvival).map(([attr, entries]) => [
+          escapeMarkdown(attr),
+          entries.length,
+          entries.filter(entry => entry.presentIn.length === versions.length).length,
+          entries.filter(entry => entry.firstBrokenIn).length,
+          entries.filter(entry => entry.firstSeenIn !== versions[0]).length,
+        ])
+      )
+    ),
+    '',
+    ...renderMarkdownDetails(
+      'Stable attributes across all versions',
+      renderMarkdownStableAttributes(results.stableAttributes)
+    ),
+  ]
+}
+
+/**
+ * Markdown table of the snapshots, by file name so that CI paths stay out of comments
+ * @param {Array<Array>} rows - [label, input, view detection] triples
+ */
+function renderMarkdownSources(rows) {
+  return renderMarkdownTable(
+    ['Snapshot', 'View', 'File', 'SHA-256'],
+    rows.map(([label, input, detection]) => [
+      `**${label}**`,
+      detection ? `${detection.view} (${Math.round(detection.confidence * 100)}%)` : 'N/A',
+      markdownCode(getFileName(input.path)),
+      markdownCode(input.sha256.slice(0, 12)),
+    ])
+  )
+}
+
+/**
+ * Markdown table of the recommended anchors
+ */
+function renderMarkdownAnchors(recommendedAnchors) {
+  return renderMarkdownTable(
+    ['Feature', 'Primary Selector', 'Stability Score', 'Type', 'Locale', 'Reliable'],
+    Object.entries(recommendedAnchors).map(([feature, anchor]) => [
+      escapeMarkdown(feature),
+      anchor.primarySelector ? markdownCode(anchor.primarySelector) : 'None found',
+      anchor.stabilityScore,
+      anchor.selectorType || 'N/A',
+      describeAnchorLocale(anchor),
+      anchor.isReliable ? '✓' : '✗',
+    ])
+  )
+}
+
+/**
+ * Markdown table of the stable attribute scores
+ */
+function renderMarkdownStableAttributes(stableAttributes) {
+  return renderMarkdownTable(
+    ['Attribute Type', 'Before Count', 'After Count', 'Common Count', 'Volatile Count', 'Score'],
+    Object.entries(stableAttributes).map(([attr, data]) => [
+      escapeMarkdown(attr),
+      data.totalBefore,
+      data.totalAfter,
+      data.commonCount,
+      data.volatileCount || 0,
+      `${data.stabilityScore}%`,
+    ])
+  )
+}
+
+/**
+ * Markdown table of the first MARKDOWN_CHANGES_LIMIT changes
+ * @param {Array<Object>} changes - Element or accessibility changes
+ * @param {Array<string>} headers - Column headers
+ * @param {Function} toRow - Renders a change as Markdown cells
+ */
+function renderMarkdownChanges(changes, headers, toRow) {
+  if (changes.length === 0) {
+    return ['No changes.']
+  }
+  return [
+    `Showing ${Math.min(changes.length, MARKDOWN_CHANGES_LIMIT)} of ${changes.length} changes; ` +
+      'the JSON results and CSV reports contain the full list.',
+    '',
+    ...renderMarkdownTable(headers, changes.slice(0, MARKDOWN_CHANGES_LIMIT).map(toRow)),
+  ]
+}
+
+/**
+ * Fold Markdown lines into a <details> block
+ */
+function renderMarkdownDetails(summary, lines) {
+  return ['<details>', `<summary>${summary}</summary>`, '', ...lines, '', '</details>']
+}
+
+/**
+ * GitHub-flavored Markdown table lines
+ * Cells are Markdown already; pipes are escaped so that they don't split them.
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Cells of each row
+ */
+function renderMarkdownTable(headers, rows) {
+  const toLine = cells =>
+    `| ${cells.map(cell => String(cell).replace(/\|/g, '\\|').replace(/\s+/g, ' ')).join(' | ')} |`
+  return [toLine(headers), toLine(headers.map(() => '---')), ...rows.map(toLine)]
+}
+
+/**
+ * Escape the Markdown syntax characters of plain text
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]<>~#]/g, '\\$&')
+}
+
+/**
+ * Markdown code span, fenced with more backticks than the text contains in a row
+ */
+function markdownCode(text) {
+  const runs = String(text).match(/`+/g) || []
+  const fence = '`'.repeat(Math.max(0, ...runs.map(run => run.length)) + 1)
+  const padding = /^`|`$/.test(text) ? ' ' : ''
+  return `${fence}${padding}${text}${padding}${fence}`
+}
+
+/**
+ * CSV tables of pair results, as arrays of rows starting with the header row
+ */
+function getAnalysisTables(results) {
+  return {
+    inputs: getInputsTable(results),
+    'stable-attributes': getStableAttributesTable(results.stableAttributes),
+    'volatile-values': getVolatileValuesTable(results.stableAttributes),
+    'changed-selectors': [
+      ['element', 'status', 'before_selector', 'after_selector'],
+      ...results.changedSelectors.map(change => [
+        change.elementName,
+        change.status,
+        change.before.found ? change.before.selector : '',
+        change.after.found ? change.after.selector : '',
+      ]),
+    ],
+    'element-changes': [
+      ['status', 'tag', 'before_path', 'after_path', 'details'],
+      ...results.elementChanges.changes.map(change => [
+        change.status,
+        change.tagName,
+        change.beforePath,
+        change.afterPath,
+        describeElementChange(change),
+      ]),
+    ],
+    'accessibility-changes': [
+      ['status', 'role', 'name', 'previous_name', 'landmark', 'previous_landmark', 'path'],
+      ...results.accessibilityChanges.changes.map(change => [
+        change.status,
+        change.role,
+        change.name,
+        change.previousName,
+        change.landmark,
+        change.previousLandmark,
+        change.path,
+      ]),
+    ],
+    'recommended-anchors': getRecommendedAnchorsTable(results.recommendedAnchors),
+  }
+}
+
+/**
+ * CSV tables of timeline results, with one presence column per version
+ */
+function getTimelineTables(results) {
+  const { versions } = results
+  const presence = entry => versions.map(version => entry.presentIn.includes(version))
+
+  return {
+    inputs: getInputsTable(results),
+    'anchor-survival': [
+      ['feature', 'selector', 'source', ...versions, 'first_seen_in', 'first_broken_in'],
+      ...Object.entries(results.anchorSurvival).flatMap(([feature, entries]) =>
+        entries.map(entry => [
+          feature,
+          entry.selector,
+          entry.source,
+          ...presence(entry),
+          entry.firstSeenIn,
+          entry.firstBrokenIn,
+        ])
+      ),
+    ],
+    'attribute-survival': [
+      ['attribute', 'value', ...versions, 'first_seen_in', 'first_broken_in'],
+      ...Object.entries(results.attributeSurvival).flatMap(([attr, entries]) =>
+        entries.map(entry => [
+          attr,
+          entry.value,
+          ...presence(entry),
+          entry.firstSeenIn,
+          entry.firstBrokenIn,
+        ])
+      ),
+    ],
+    'stable-attributes': getStableAttributesTable(results.stableAttributes),
+    'volatile-values': getVolatileValuesTable(results.stableAttributes),
+    'recommended-anchors': getRecommendedAnchorsTable(results.recommendedAnchors),
+  }
+}
+
+/**
+ * CSV table of the files a run read
+ */
+function getInputsTable(results) {
+  return [
+    ['role', 'label', 'path', 'size', 'modified', 'sha256'],
+    ...results.meta.inputs.map(input => [
+      input.role,
+      input.label,
+      input.path,
+      input.size,
+      input.modified,
+      input.sha256,
+    ]),
+  ]
+}
+
+/**
+ * CSV table of the stable attribute scores
+ */
+function getStableAttributesTable(stableAttributes) {
+  return [
+    ['attribute', 'before_count', 'after_count', 'common_count', 'volatile_count', 'score'],
+    ...Object.entries(stableAttributes).map(([attr, data]) => [
+      attr,
+      data.totalBefore,
+      data.totalAfter,
+      data.commonCount,
+      data.volatileCount || 0,
+      data.stabilityScore,
+    ]),
+  ]
+}
+
+/**
+ * CSV table of every common value flagged as generated
+ */
+function getVolatileValuesTable(stableAttributes) {
+  return [
+    ['attribute', 'value', 'reasons'],
+    ...Object.entries(stableAttributes).flatMap(([attr, data]) =>
+      (data.volatileValues || []).map(({ value, reasons }) => [attr, value, reasons.join(';')])
+    ),
+  ]
+}
+
+/**
+ * CSV table of the recommended anchors, alternatives on separate lines of their cell
+ */
+function getRecommendedAnchorsTable(recommendedAnchors) {
+  return [
+    [
+      'feature',
+      'primary_selector',
+      'stability_score',
+      'selector_type',
+      'reliable',
+      'localized',
+      'alternative_selectors',
+    ],
+    ...Object.entries(recommendedAnchors).map(([feature, anchor]) => [
+      feature,
+      anchor.primarySelector,
+      anchor.stabilityScore,
+      anchor.selectorType,
+      anchor.isReliable,
+      anchor.localized,
+      (anchor.alternativeSelectors || []).join('\n'),
+    ]),
+  ]
+}
+
+/**
+ * Format a CSV field, quoting it if it contains a comma, quote or line break
+ * Missing values (null, undefined) become empty fields. Text that spreadsheets would
+ * read as a formula (starting with =, +, -, @, a tab or a carriage return) is
+ * prefixed with an apostrophe.
+ */
+function formatCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Plain-text summary of an element change
+ */
+function describeElementChange(change) {
+  if (change.status === 'added' || change.status === 'removed') {
+    return `${change.descendantCount} descendant elements`
+  }
+
+  if (change.status === 'moved') {
+    return change.reason === 'parent'
+      ? `New parent: ${change.to.parentPath}`
+      : `Position ${change.from.position} → ${change.to.position}`
+  }
+
+  const { added, removed, changed } = change.attributes
+  return [
+    ...Object.entries(added).map(([name, value]) => `+ ${name}="${value}"`),
+    ...Object.entries(removed).map(([name]) => `- ${name}`),
+    ...Object.entries(changed).map(
+      ([name, values]) => `${name}: "${values.before}" → "${values.after}"`
+    ),
+  ].join('; ')
+}
+
+/**
+ * Accessible name of an accessibility change, with the previous name if renamed
+ */
+function describeAccessibleName(change) {
+  return change.status === 'renamed'
+    ? `"${change.previousName}" → "${change.name}"`
+    : `"${change.name}"`
+}
+
+/**
+ * Landmark of an accessibility change, with the previous landmark if moved
+ */
+function describeLandmark(change) {
+  const landmark = change.landmark || '(top level)'
+  return change.status === 'moved'
+    ? `${change.previousLandmark || '(top level)'} → ${landmark}`
+    : landmark
+}
+
+/**
+ * Tell whether a recommended anchor compares localized text
+ */
+function describeAnchorLocale(anchor) {
+  if (!anchor.primarySelector || anchor.localized === undefined) {
+    return 'N/A'
+  }
+  return anchor.localized ? 'localized text' : 'neutral'
+}
+
+/**
+ * Last segment of a snapshot path ('(stdin)' stays as is)
+ */
+function getFileName(filePath) {
+  return filePath.split(/[\\/]/).pop()
+}
@@ -0,0 +1,442 @@
+/**
+ * Snapshot sanitizer
+ * Replaces the personal data in Outlook snapshots (addresses, names, subjects,
+ * message previews and bodies, avatars) with pseudonyms so that captures can be
+ * committed and attached to bug reports.
+ *
+ * Pseudonyms are made per word and keep the length and letter case of the word,
+ * and the same word gets the same pseudonym in every snapshot of a run. Anchor key
+ * terms, element structure and structural attributes (id, class, role, data-*)
+ * are left alone, so the analysis of a sanitized pair matches the analysis of the
+ * raw pair.
+ */
+import { createHmac, randomBytes } from 'crypto'
+import { parseHTML } from './file-utils.js'
+
+// Attributes whose personal fragments are replaced (the rest of the label is kept)
+const LABEL_ATTRIBUTES = ['aria-label', 'title', 'alt', 'aria-description', 'placeholder']
+
+// Containers of message content (list rows, reading pane, compose fields): their
+// text also identifies the personal fragments of labels elsewhere
+const MESSAGE_CONTENT_SELECTORS = [
+  '[data-convid]',
+  '#ItemReadingPaneContainer',
+  '[aria-label^="Message body"]',
+  '[aria-label="To"]',
+  '[aria-label="Cc"]',
+  '[aria-label="Bcc"]',
+]
+
+// Buttons and menu items, whose labels are UI text even inside message content
+const CONTROL_SELECTOR = 'button, [role="button"], [role="menuitem"], [role="tab"]'
+
+// Elements whose label is the name of a person
+const PERSONA_SELECTORS = ['.fui-Avatar[aria-label]', '[class*="Persona"][aria-label]']
+
+// Labels that embed the name of the signed-in user
+const NAME_LABEL_PATTERNS = [/^Account manager for (.+)$/]
+
+// Image URLs that point to profile photos
+const AVATAR_URL_PATTERN = /profilephoto|usertile|getpersonaphoto|getuserphoto|avatar/i
+
+// Plain or URL-encoded (%40) email address
+const EMAIL_PATTERN = /[\w.+-]+(?:@|%40)[\w-]+(?:\.[\w-]+)+/g
+
+// Letters that can stand in for letters of a word (no vowels, so a pseudonym
+// never spells an anchor key term)
+const PSEUDONYM_LETTERS = 'bcdfghjklmnpqrstvwxz'
+
+// A word, or a URL percent-escape (%40) that is kept as is
+const ESCAPE_OR_WORD_PATTERN = /%[\dA-Fa-f]{2}|[\p{L}\p{N}]+/gu
+
+// Key terms shorter than this are only kept as whole words: inside other words one
+// or two letters would keep most of a personal word
+const MIN_KEPT_TERM_LENGTH = 3
+
+/**
+ * Sanitize a set of snapshots with one shared set of pseudonyms
+ * @param {Array<string>} htmlList - Raw snapshots
+ * @param {Object} [options] - Sanitizer options
+ * @param {string} [options.seed] - Secret that derives the pseudonyms (random by default);
+ *   runs with the same seed give a word the same pseudonym
+ * @param {Array<string>} [options.keyTerms] - Anchor key terms; they are kept wherever they
+ *   occur in the text, in any case (shorter ones than MIN_KEPT_TERM_LENGTH as whole words)
+ * @returns {Object} Sanitized snapshots with their replacement counts, and the learned
+ *   personal terms by kind, as pseudonyms
+ */
+export function sanitizeSnapshots(htmlList, { seed, keyTerms = [] } = {}) {
+  const pseudonymizer = createPseudonymizer(seed || randomBytes(16).toString('hex'), keyTerms)
+  const documents = htmlList.map(html => parseHTML(html))
+  const terms = collectPersonalTerms(documents)
+  const fragmentPattern = buildFragmentPattern([...terms.names, ...terms.content])
+
+  const snapshots = documents.map((document, index) => {
+    const replacements = {
+      textNodes: 0,
+      labels: 0,
+      emails: 0,
+      mailtoLinks: 0,
+      avatarUrls: 0,
+      values: 0,
+    }
+    sanitizeDocument(document, { pseudonymizer, terms, fragmentPattern, replacements })
+    return { html: serializeDocument(document, htmlList[index]), replacements }
+  })
+
+  const describe = (kind, values) =>
+    [...values].map(value => ({ kind, pseudonym: pseudonymizer.words(value) }))
+
+  return {
+    snapshots,
+    terms: {
+      emails: describe('email', terms.emails),
+      names: describe('name', terms.names),
+      contentFragments: terms.content.size,
+    },
+  }
+}
+
+/**
+ * Derive consistent, length-preserving pseudonyms from a secret seed
+ * @param {string} seed - Secret seed
+ * @param {Array<string>} keyTerms - Anchor key terms
+ * @returns {Object} words(text) replaces every word of a text, url(url) every avatar URL
+ */
+function createPseudonymizer(seed, keyTerms) {
+  const keptTermPatterns = [...new Set(keyTerms.map(term => term.trim().toLowerCase()))]
+    .filter(term => term)
+    .map(term => {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      return term.length >= MIN_KEPT_TERM_LENGTH
+        ? new RegExp(escaped, 'giu')
+        : new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu')
+    })
+  const wordMap = new Map()
+  const used = new Set()
+  const urlMap = new Map()
+
+  const pseudonymizeWord = word => {
+    if (!wordMap.has(word)) {
+      // Derive from the seed so runs with the same seed agree; retry on collisions
+      let attempt = 0
+      let pseudonym = derivePseudonym(seed, word, attempt)
+      while (used.has(pseudonym) && attempt < 20) {
+        pseudonym = derivePseudonym(seed, word, ++attempt)
+      }
+      used.add(pseudonym)
+      wordMap.set(word, pseudonym)
+    }
+    return wordMap.get(word)
+  }
+
+  // The analyzer matches key terms anywhere in the text (also inside longer words, as
+  // "message" in "Messages"), so every occurrence is kept and only the rest of a word
+  // gets a pseudonym
+  const words = text => {
+    const kept = new Array(text.length).fill(false)
+    keptTermPatterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        kept.fill(true, match.index, match.index + match[0].length)
+      }
+    })
+
+    return text.replace(ESCAPE_OR_WORD_PATTERN, (word, offset) => {
+      if (word.startsWith('%')) {
+        return word
+      }
+      let result = ''
+      let start = 0
+      for (let end = 1; end <= word.length; end++) {
+        if (end === word.length || kept[offset + end] !== kept[offset + start]) {
+          const part = word.slice(start, end)
+          result += kept[offset + start] ? part : pseudonymizeWord(part)
+          start = end
+        }
+      }
+      return result
+    })
+  }
+
+  return {
+    words,
+    url: url => {
+      if (!urlMap.has(url)) {
+        urlMap.set(url, `https://avatar.invalid/${urlMap.size + 1}`)
+      }
+      return urlMap.get(url)
+    },
+  }
+}
+
+/**
+ * Pseudonym of one word: letters become consonants of the same case, digits digits
+ * @param {string} seed - Secret seed
+ * @param {string} word - Original word
+ * @param {number} attempt - Collision retry counter
+ * @returns {string} Pseudonym of the same length
+ */
+function derivePseudonym(seed, word, attempt) {
+  let bytes = []
+  for (let block = 0; bytes.length < word.length; block++) {
+    const digest = createHmac('sha256', seed).update(`${attempt}:${block}:${word}`).digest()
+    bytes = bytes.concat(Array.from(digest))
+  }
+
+  return Array.from(word, (char, index) => {
+    if (/\p{N}/u.test(char)) {
+      return String(bytes[index] % 10)
+    }
+    const letter = PSEUDONYM_LETTERS[bytes[index] % PSEUDONYM_LETTERS.length]
+    return char !== char.toLowerCase() ? letter.toUpperCase() : letter
+  }).join('')
+}
+
+/**
+ * Learn the personal terms of all snapshots before any of them is rewritten
+ * @param {Array<Document>} documents - Parsed snapshots
+ * @returns {Object} Email addresses, names (with their initials) and message content fragments
+ */
+function collectPersonalTerms(documents) {
+  const emails = new Set()
+  const names = new Set()
+  const content = new Set()
+  const uiLabels = new Set()
+
+  documents.forEach(document => {
+    const root = document.documentElement
+    ;(root.outerHTML.match(EMAIL_PATTERN) || []).forEach(email =>
+      emails.add(email.replace('%40', '@'))
+    )
+
+    root.querySelectorAll('*').forEach(element => {
+      // Sender names: the text of an element whose tooltip is the address
+      const title = element.getAttribute('title')
+      if (title && isEmailAddress(title)) {
+        addName(names, element.textContent)
+      }
+      const href = element.getAttribute('href')
+      if (
+        href &&
+        href.toLowerCase().startsWith('mailto:') &&
+        !isEmailAddress(element.textContent)
+      ) {
+        addName(names, element.textContent)
+      }
+
+      ;[element.getAttribute('aria-label'), title].filter(Boolean).forEach(label =>
+        NAME_LABEL_PATTERNS.forEach(pattern => {
+          const match = label.match(pattern)
+          if (match) addName(names, match[1])
+        })
+      )
+    })
+
+    PERSONA_SELECTORS.forEach(selector =>
+      root
+        .querySelectorAll(selector)
+        .forEach(element => addName(names, element.getAttribute('aria-label')))
+    )
+
+    // "Name <address>" as shown in the reading pane header
+    forEachTextNode(root, node => {
+      const match = node.nodeValue.match(/([^<>]+?)\s*<[^<>\s]+@[^<>\s]+>/)
+      if (match) addName(names, match[1])
+    })
+
+    // Labels of the UI around the messages and of controls, which message content
+    // text may repeat
+    const contentSelector = MESSAGE_CONTENT_SELECTORS.join(', ')
+    root.querySelectorAll('*').forEach(element => {
+      if (!element.closest(contentSelector) || element.matches(CONTROL_SELECTOR)) {
+        LABEL_ATTRIBUTES.filter(name => element.hasAttribute(name)).forEach(name =>
+          uiLabels.add(normalizeWhitespace(element.getAttribute(name)))
+        )
+      }
+    })
+
+    MESSAGE_CONTENT_SELECTORS.forEach(selector =>
+      root.querySelectorAll(selector).forEach(container =>
+        forEachTextNode(container, node => {
+          const text = normalizeWhitespace(node.nodeValue)
+          if (text.split(' ').length >= 2 || /\d/.test(text)) {
+            content.add(text)
+          }
+        })
+      )
+    )
+  })
+
+  uiLabels.forEach(label => content.delete(label))
+
+  const initials = new Set(
+    [...names]
+      .map(name => name.split(' '))
+      .filter(words => words.length >= 2)
+      .map(words => (words[0][0] + words[words.length - 1][0]).toUpperCase())
+  )
+
+  return { emails, names, initials, content }
+}
+
+/**
+ * Rewrite one parsed snapshot in place
+ * @param {Document} document - Parsed snapshot
+ * @param {Object} context - Pseudonymizer, learned terms, fragment pattern and replacement counters
+ */
+function sanitizeDocument(document, { pseudonymizer, terms, fragmentPattern, replacements }) {
+  const root = document.documentElement
+
+  // Email addresses and learned personal fragments inside a string
+  const scrub = text => {
+    let scrubbed = text.replace(EMAIL_PATTERN, email => {
+      replacements.emails++
+      return pseudonymizer.words(email)
+    })
+    if (fragmentPattern) {
+      scrubbed = scrubbed.replace(fragmentPattern, fragment => pseudonymizer.words(fragment))
+    }
+    return scrubbed
+  }
+
+  // Text: all of it, except code and styles, where only personal fragments are replaced
+  forEachTextNode(root, node => {
+    const parent = node.parentElement
+    const isCode = parent && ['SCRIPT', 'STYLE'].includes(parent.tagName)
+    const sanitized = isCode ? scrub(node.nodeValue) : pseudonymizer.words(node.nodeValue)
+    if (sanitized !== node.nodeValue) {
+      node.nodeValue = sanitized
+      replacements.textNodes++
+    }
+  })
+
+  root.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(attr => {
+      const value = attr.value
+      let sanitized
+
+      if (attr.name === 'href' && value.toLowerCase().startsWith('mailto:')) {
+        sanitized = value.slice(0, 7) + pseudonymizer.words(value.slice(7))
+        replacements.mailtoLinks++
+      } else if (attr.name === 'src' && isAvatarImage(element, value)) {
+        sanitized = pseudonymizer.url(value)
+        replacements.avatarUrls++
+      } else if (attr.name === 'value' && ['INPUT', 'TEXTAREA'].includes(element.tagName)) {
+        sanitized = pseudonymizer.words(value)
+        if (sanitized !== value) replacements.values++
+      } else if (LABEL_ATTRIBUTES.includes(attr.name)) {
+        sanitized = terms.initials.has(value.trim()) ? pseudonymizer.words(value) : scrub(value)
+        if (sanitized !== value) replacements.labels++
+      } else {
+        sanitized = value.replace(EMAIL_PATTERN, email => {
+          replacements.emails++
+          return pseudonymizer.words(email)
+        })
+      }
+
+      if (sanitized !== value) {
+        element.setAttribute(attr.name, sanitized)
+      }
+    })
+  })
+}
+
+/**
+ * Serialize a sanitized snapshot in the form of the original
+ * Snapshots captured as a bare <body> are written back without the <html> and
+ * <head> elements the parser added.
+ * @param {Document} document - Sanitized snapshot
+ * @param {string} originalHTML - Raw snapshot
+ * @returns {string} Sanitized HTML
+ */
+function serializeDocument(document, originalHTML) {
+  const trailingNewline = originalHTML.endsWith('\n') ? '\n' : ''
+  if (!/<html[\s>]/i.test(originalHTML)) {
+    return document.body.outerHTML + trailingNewline
+  }
+  const doctype = document.doctype ? `<!DOCTYPE ${document.doctype.name}>\n` : ''
+  return doctype + document.documentElement.outerHTML + trailingNewline
+}
+
+/**
+ * Build one pattern matching any of the learned fragments as whole words,
+ * longest first and regardless of how their whitespace is wrapped
+ * @param {Array<string>} fragments - Normalized fragments
+ * @returns {RegExp|null} Global pattern, or null without fragments
+ */
+function buildFragmentPattern(fragments) {
+  if (fragments.length === 0) {
+    return null
+  }
+  const alternatives = [...new Set(fragments)]
+    .sort((a, b) => b.length - a.length)
+    .map(fragment =>
+      fragment
+        .split(' ')
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('\\s+')
+    )
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'gu')
+}
+
+/**
+ * Call a function for every non-blank text node (and comment) below an element
+ * @param {Element} root - Root element
+ * @param {Function} callback - Called with each node
+ */
+function forEachTextNode(root, callback) {
+  const { NodeFilter } = root.ownerDocument.defaultView
+  const walker = root.ownerDocument.createTreeWalker(
+    root,
+    NodeFilter.SHOW_TEXT | NodeFilter.SHOW_COMMENT
+  )
+  let node
+  while ((node = walker.nextNode())) {
+    if (node.nodeValue.trim()) {
+      callback(node)
+    }
+  }
+}
+
+/**
+ * Add a name (and nothing that is only an address or blank)
+ * @param {Set<string>} names - Learned names
+ * @param {string|null} text - Candidate name
+ */
+function addName(names, text) {
+  const name = normalizeWhitespace(text || '')
+  if (name && !isEmailAddress(name) && /\p{L}/u.test(name)) {
+    names.add(name)
+  }
+}
+
+/**
+ * Check whether an image shows a profile photo
+ * @param {Element} element - Element with a src attribute
+ * @param {string} url - Its src
+ * @returns {boolean}
+ */
+function isAvatarImage(element, url) {
+  return (
+    element.tagName === 'IMG' &&
+    (AVATAR_URL_PATTERN.test(url) ||
+      Boolean(element.closest('[class*="Avatar"], [class*="Persona"], [class*="UserTile"]')))
+  )
+}
+
+/**
+ * Check whether a string is exactly one email address
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+function isEmailAddress(text) {
+  return /^[\w.+-]+@[\w-]+(?:\.[\w-]+)+$/.test(text.trim())
+}
+
+/**
+ * Collapse runs of whitespace to single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim()
+}